@@ -6,21 +6,83 @@
  * Notes:
  * - "overlays" can list any number of FeatureServer layers.
  * - For each overlay, provide a human-readable "name" for the layer control.
- * - "popup" is an optional function receiving properties; return safe HTML.
+ * - "popup" is an optional function receiving properties; return safe HTML
+ *   (escapeHtml from src/geometry.js is available by the time popups open).
+ * - "styles" holds per-contrast-profile stroke/casing ("light" for light
+ *   basemaps, "imagery" for imagery/dark); "style"/"casing" are the base values.
+ * - "mode" picks the rendering strategy: "featureLayer" (tiled queries) or
+ *   "snapshot" (one query, static GeoJSON); "renderer" picks "svg" or "canvas".
+ * - "fallbackUrl" points at a GeoJSON snapshot used when the FeatureServer is
+ *   unreachable (or always, with dataSource "local" / ?data=local). Only set
+ *   it once the file is committed; create or refresh snapshots with:
+ *   node scripts/snapshot-overlays.js <overlay id>...
+ * - "role" ("focus" | "context") ties an overlay to the emphasized CPA in
+ *   "focus": its where clause is built from focus.cpname instead of "where".
+ * - Planning overlays (zoning, districts, transit, parcels) are commented out
+ *   until their services are checked. Enabled, they start hidden ("visible":
+ *   false, loaded on first toggle), keep only features touching the focus
+ *   CPA ("clipTo") and, for parcels, wait for "minZoom".
  *
  * Types (for reference):
  * @typedef {Object} OverlayEntry
  * @property {string} id
- * @property {'featureServer'} type
- * @property {string} url
+ * @property {'featureServer'|'geojson'} type
+ * @property {string} url FeatureServer layer URL, or a GeoJSON file for type "geojson"
+ * @property {string} [fallbackUrl] GeoJSON snapshot for featureServer entries
  * @property {string} [where]
+ * @property {'focus'|'context'} [role] Where clause follows APP_CONFIG.focus
  * @property {string[]} [fields]
- * @property {{color:string, weight:number, opacity?:number, fillColor?:string, fillOpacity?:number}} [style]
+ * @property {'featureLayer'|'snapshot'} [mode='featureLayer'] Ignored for type "geojson"
+ * @property {'svg'|'canvas'} [renderer] Defaults to the map's Canvas renderer
+ * @property {PathStyle} [style]
  * @property {{color:string, weight:number, opacity?:number}} [casing]
- * @property {{prop?:string, text?:string, minZoom?:number, skipValues?:string[]}} [label]
- * @property {string} [name]
+ * @property {{light?: ProfileStyle, imagery?: ProfileStyle}} [styles]
+ * @property {LabelConfig} [label]
+ * @property {string} [name] "{focus}" is replaced with the focus CPA name
  * @property {string} [attribution]
  * @property {boolean} [fitBounds=true]
+ * @property {boolean} [identify] Click (or Enter at map center) opens the details panel
+ * @property {boolean} [visible=true] false: off in the layer control, loaded when first shown
+ * @property {string} [clipTo] Overlay id whose features clip this one (spatial filter)
+ * @property {number} [minZoom] featureLayer mode: no requests or drawing below this zoom
+ * @property {'planning'} [pane] Draw under reference labels and CPA boundaries
+ * @property {Symbology} [symbology] Per-value styles (one legend row per class)
+ *
+ * @typedef {Object} LabelConfig
+ * @property {string} [prop] Feature property used as label text
+ * @property {string} [text] Fixed text when no prop
+ * @property {number} [minZoom] Optional floor; overlapping labels are hidden anyway
+ * @property {string[]} [skipValues] Prop values that get no label
+ * @property {boolean} [overrides] Apply data/cpa-labels.csv (keyed by prop value)
+ * @property {number} [priority=0] Overlapping labels keep the higher priority
+ *
+ * @typedef {Object} Symbology
+ * @property {string} field Attribute to classify by
+ * @property {Array<{label:string, values?:Array<string|number>, match?:string, style:PathStyle}>} classes
+ *   First class whose "values" include the value, or whose "match" regex matches it
+ * @property {{label:string, style:PathStyle}} [other] Everything else
+ *
+ * @typedef {{color:string, weight:number, opacity?:number, fillColor?:string, fillOpacity?:number, radius?:number}} PathStyle
+ * @typedef {{stroke?: PathStyle, casing?: PathStyle}} ProfileStyle
+ *
+ * @typedef {Object} BasemapLayerDef
+ * @property {'xyz'|'esriTiled'|'esriImage'|'esriVectorTile'|'group'} type
+ * @property {string} [url] Tile template (xyz) or ArcGIS service URL
+ * @property {string} [itemId] ArcGIS item id (esriVectorTile)
+ * @property {string} [portalUrl] Portal for itemId (default https://www.arcgis.com)
+ * @property {string} [pane] Custom pane ("imagery" | "ref"); see BASEMAP_PANES in src/basemaps.js
+ * @property {Object} [options] Extra Leaflet/Esri layer options (maxZoom, maxNativeZoom, ...)
+ * @property {string} [attribution]
+ * @property {boolean|'anonymous'|'use-credentials'} [crossOrigin] Load tiles in CORS mode so
+ *   the PNG export can include them. Only for hosts that send CORS headers; others stop loading.
+ * @property {BasemapLayerDef[]} [layers] Children of a "group" (inherit pane/options/crossOrigin)
+ *
+ * @typedef {Object} BasemapEntry A BasemapLayerDef plus:
+ * @property {string} id Stable key used in deep links (?base=<id>)
+ * @property {string} name Label in the layer control
+ * @property {'light'|'imagery'} [contrastProfile='light'] Overlay styling while active
+ * @property {BasemapLayerDef[]} [references] Overlays shown only while this basemap is active
+ * @property {boolean} [default] Start on this basemap (else the first entry)
  */
 
 window.APP_CONFIG = {
@@ -29,62 +91,513 @@ window.APP_CONFIG = {
     center: [32.745, -117.129],
     /** @type {number} Default zoom level */
     zoom: 14,
+    /** Sync view, basemap and overlay visibility with the URL hash (deep links). */
+    urlState: true,
+  },
+
+  /**
+   * Emphasized Community Plan Area. Overlays with role "focus" show only this
+   * CPA (fit on load, styled and labeled above the rest); role "context" shows
+   * every other CPA. Override per page with ?focus=GREATER%20GOLDEN%20HILL.
+   * picker: in-map dropdown to switch the focus at runtime.
+   */
+  focus: {
+    cpname: "NORTH PARK",
+    field: "cpname", // attribute holding the CPA name
+    picker: true,
+  },
+
+  /**
+   * Overlay data source: "live" queries SANDAG (falling back to snapshots on
+   * failure); "local" reads the fallbackUrl snapshots only.
+   */
+  dataSource: "live",
+
+  /**
+   * Address search ("which plan area am I in?").
+   * provider: "arcgis" (ArcGIS World Geocoder) or a function
+   *   (query) => Promise<{latlng: [lat, lng], label: string} | null>
+   * so tests or offline builds can swap in a local stub.
+   * overlays: OVERLAYS ids searched for the containing CPA, in priority order.
+   */
+  search: {
+    enabled: true,
+    provider: "arcgis",
+    // Bias results to the San Diego region (xmin,ymin,xmax,ymax in WGS84)
+    options: { searchExtent: "-117.30,32.53,-116.90,33.12", countryCode: "USA" },
+    overlays: ["north-park", "cpas-context"],
+  },
+
+  /** Export control: PNG of the view, GeoJSON/KML of loaded plan areas. */
+  export: {
+    enabled: true,
+    filename: "north-park-map", // date and extension are appended
+  },
+
+  /**
+   * Legend (bottom right): swatches for the visible overlays built from their
+   * style/casing/symbology, updated on toggles and basemap changes.
+   * collapsed: start closed; defaults to closed on narrow screens only.
+   */
+  legend: {
+    enabled: true,
+  },
+
+  /**
+   * Measure/sketch toolbar: lines, areas and markers with geodesic readouts.
+   * Sketches are kept in this browser (localStorage) and can be saved/opened
+   * as GeoJSON. snapPixels: vertex snapping to plan-area boundaries (0 = off).
+   */
+  measure: {
+    enabled: true,
+    snapPixels: 10,
+  },
+
+  /**
+   * Keyboard access to the plan areas (identify overlays). enabled: the
+   * "Browse plan areas" button, after which Tab / arrow keys on the focused map
+   * move between areas and announce them. table: a table of the loaded plan
+   * areas after the map, for screen readers (shown while it has focus).
+   */
+  keyboard: {
+    enabled: true,
+    table: true,
+  },
+
+  /**
+   * UI theme: "auto" follows the OS (prefers-contrast, prefers-color-scheme);
+   * "light" | "dark" | "high-contrast" fix it. Visitors can override mode and
+   * palette from the picker (bottom left); their choice is kept in this browser.
+   * Themes apply on top of each basemap's contrastProfile: palettes swap the
+   * overlay colors listed below (others are kept), high-contrast makes strokes
+   * opaque and heavier. darkBasemap replaces the light default basemap in the
+   * dark theme (not when the link names a basemap).
+   */
+  theme: {
+    mode: "auto",
+    palette: "default",
+    picker: true,
+    darkBasemap: "dark-gray",
+    palettes: {
+      // Okabe-Ito colors, distinguishable with the common color-vision deficiencies
+      "color-blind": {
+        "#08519c": "#0072b2", // focus CPA
+        "#fde68a": "#f0e442", // zoning: single dwelling
+        "#f59e0b": "#e69f00", // zoning: multiple dwelling
+        "#ef4444": "#d55e00", // zoning: commercial
+        "#a78bfa": "#cc79a7", // zoning: industrial
+        "#34d399": "#009e73", // zoning: open space
+        "#93c5fd": "#56b4e9", // zoning: planned district
+        "#7c3aed": "#cc79a7", // council districts
+        "#92400e": "#d55e00", // historic districts
+        "#b45309": "#e69f00",
+        "#0f766e": "#009e73", // transit stops
+        "#14b8a6": "#56b4e9",
+      },
+    },
+  },
+
+  /**
+   * Compare tools: opacity sliders under each shown layer in the layer
+   * control, and a Swipe button that puts a second basemap (swipeBasemap,
+   * changeable on the map) right of a draggable divider over the current one.
+   */
+  compare: {
+    opacity: true,
+    swipe: true,
+    swipeBasemap: "light-gray",
+  },
+
+  /**
+   * Boundary history ("Boundary changes", top right): compares two versions
+   * of the plan areas, matched by `key`, and hatches the area each one gained
+   * (green) or lost (red), with a table of acreage deltas. Each version is a
+   * source like an overlay entry: type "geojson" with url (one file or a list),
+   * or type "featureServer" with url/where/fields (fallbackUrl is used with
+   * ?data=local). minAcres drops slivers from coordinate rounding.
+   * Off until the "before" files are in data/ (node scripts/snapshot-overlays.js
+   * cpas-context north-park writes them; see README).
+   */
+  history: {
+    enabled: false,
+    before: {
+      name: "Saved snapshot (data/)",
+      type: "geojson",
+      url: ["data/cpas-context.geojson", "data/north-park.geojson"],
+    },
+    after: {
+      name: "SANDAG (live)",
+      type: "featureServer",
+      url: "https://geo.sandag.org/server/rest/services/Hosted/Community_Plan_SD/FeatureServer/0",
+      fields: ["objectid", "cpname"],
+    },
+    key: "cpname",
+    minAcres: 0.5,
+  },
+
+  /**
+   * Neighbors view ("Neighbors", top right) for the focus plan area: bordering
+   * areas highlighted and labeled with the shared boundary length, plus those
+   * within radiusMiles of its boundary (changeable in the panel). Exports CSV.
+   */
+  neighbors: {
+    enabled: true,
+    radiusMiles: 0.5,
+  },
+
+  /**
+   * Print layout, opened with ?print=letter-landscape (letter | tabloid | a4,
+   * then -portrait or -landscape; bare ?print uses `layout`). The sheet has a
+   * title block ({focus} = focus plan area), legend, north arrow, scale bar,
+   * full attribution and a QR code linking back to the live view.
+   * date: true prints today's date, false none, or give fixed text.
+   */
+  print: {
+    layout: "letter-landscape",
+    title: "{focus} Community Plan Area",
+    subtitle: "City of San Diego Community Plan Areas",
+    date: true,
+    qr: true,
+  },
+
+  /**
+   * Service worker cache (sw.js): app files, CPA queries (served from cache
+   * for maxAgeHours, then refreshed first) and up to maxTiles basemap tiles.
+   * Tiles from hosts without CORS (imagery) are opaque to the browser and
+   * count as several MB each against the storage quota: at most
+   * maxOpaqueTiles of them are kept.
+   * Editing this file already installs a fresh cache; bump version to force
+   * one after changing data files or the app code.
+   */
+  cache: {
+    enabled: true,
+    version: 1,
+    maxAgeHours: 24,
+    maxTiles: 1000,
+    maxOpaqueTiles: 100,
+  },
+
+  /**
+   * Embed API (postMessage) for host pages framing this map; see README.
+   * allowedOrigins: host origins that may send commands and receive events,
+   * e.g. ["https://www.northparkplanning.org"]; "*" allows any. The map's own
+   * origin is always allowed.
+   */
+  embed: {
+    allowedOrigins: [],
   },
 
   /** Additional credit shown in the attribution control. */
   attribution: "Data: City of San Diego Planning Dept via SANDAG RDW",
 
   layers: {
+    // Basemaps in layer-control order. To add another imagery year or a historic
+    // aerial, copy the "imagery" entry and change id, name, url and attribution.
+    basemaps: [
+      {
+        id: "osm",
+        name: "OpenStreetMap",
+        type: "xyz",
+        url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+        options: { maxZoom: 20 },
+        attribution: "&copy; OpenStreetMap contributors",
+        crossOrigin: true,
+        contrastProfile: "light",
+        default: true,
+      },
+      {
+        id: "light-gray",
+        name: "Light Gray Canvas",
+        type: "group",
+        // Prevent requests past native LOD; still allow zoom UI beyond that
+        options: { maxNativeZoom: 16, maxZoom: 20 },
+        attribution: "Esri, HERE, Garmin, FAO, NOAA, USGS, &copy; OpenStreetMap contributors",
+        crossOrigin: true,
+        contrastProfile: "light",
+        layers: [
+          {
+            type: "esriTiled",
+            url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Light_Gray_Base/MapServer",
+          },
+          {
+            type: "esriTiled",
+            url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Light_Gray_Reference/MapServer",
+          },
+        ],
+      },
+      {
+        id: "dark-gray",
+        name: "Dark Gray Canvas",
+        type: "group",
+        options: { maxNativeZoom: 16, maxZoom: 20 },
+        attribution: "Esri, HERE, Garmin, FAO, NOAA, USGS, &copy; OpenStreetMap contributors",
+        crossOrigin: true,
+        // Dark background: use the same boosted strokes as imagery
+        contrastProfile: "imagery",
+        layers: [
+          {
+            type: "esriTiled",
+            url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Dark_Gray_Base/MapServer",
+          },
+          {
+            type: "esriTiled",
+            url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Dark_Gray_Reference/MapServer",
+          },
+        ],
+      },
+      {
+        id: "imagery",
+        name: "Imagery (SANDAG 2023 9in)",
+        type: "esriImage",
+        url: "https://gis.sandag.org/sdgis/rest/services/Imagery/SD2023_9inch/ImageServer",
+        pane: "imagery",
+        attribution: "Imagery: SANDAG (Nearmap 2023, 9 in)",
+        contrastProfile: "imagery",
+        // Esri Hybrid Reference (US Edition) vector tiles: roads/places above imagery
+        references: [
+          {
+            type: "esriVectorTile",
+            itemId: "5447e9aef0684ec391ae9381725f7370",
+            portalUrl: "https://www.arcgis.com",
+            pane: "ref",
+          },
+        ],
+      },
+    ],
+
     overlays: [
-      // Context layer (draw first / below North Park)
+      // Context layer (draw first / below the focus CPA)
       {
         id: "cpas-context",
         type: "featureServer",
         url: "https://geo.sandag.org/server/rest/services/Hosted/Community_Plan_SD/FeatureServer/0",
-        where: "cpname <> 'NORTH PARK'",
+        role: "context", // every CPA except focus.cpname
         fields: ["objectid", "cpname"],
+        // Not generated yet (see README, Offline cache):
+        // fallbackUrl: "data/cpas-context.geojson",
         name: "All Community Plans (context)",
         attribution: "Community Plans: SANDAG RDW",
 
-        // Base (light-basemap) style — muted but legible
-        style: { color: "#444444", weight: 1.5, opacity: 0.9, fillOpacity: 0 },
+        // One query drawn as static GeoJSON on SVG: crisp, stable strokes without
+        // the FeatureLayer redraw artifacts seen on dark/imagery basemaps.
+        mode: "snapshot",
+        renderer: "svg",
 
-        // Thin white casing we can boost on imagery (see contrast profiles in main.js)
-        casing: { color: "#ffffff", weight: 3, opacity: 0 }, // start off (light)
+        // Muted but legible dark stroke; white casing boosted on imagery/dark
+        styles: {
+          light: {
+            stroke: { color: "#1f2937", weight: 2.25, opacity: 1 },
+            casing: { color: "#ffffff", weight: 4, opacity: 0.5 },
+          },
+          imagery: {
+            stroke: { color: "#111827", weight: 3.0, opacity: 1 },
+            casing: { color: "#ffffff", weight: 5, opacity: 0.95 },
+          },
+        },
 
-        // Label all other CPAs by name when zoomed in (minZoom avoids clutter).
+        // Label all other CPAs by name; labels that would overlap are hidden
+        // (larger areas win), so no minZoom is needed to avoid clutter.
         // CSV overrides (data/cpa-labels.csv) can replace text per CPA at runtime.
-        label: { prop: "cpname", minZoom: 12 },
+        label: { prop: "cpname", overrides: true },
 
-        // North Park overlay handles fitBounds; context should not re-zoom.
+        // Click any plan area for name, area, perimeter, neighbors and plan link
+        identify: true,
+
+        // Focus overlay handles fitBounds; context should not re-zoom.
         fitBounds: false,
       },
 
-      // North Park (draw above; emphasized with color and casing)
+      // Focus CPA, North Park by default (draw above; emphasized with color and casing).
+      // The id stays "north-park" so existing deep links keep working.
       {
         id: "north-park",
         type: "featureServer",
         url: "https://geo.sandag.org/server/rest/services/Hosted/Community_Plan_SD/FeatureServer/0",
-        where: "cpname = 'NORTH PARK'",
+        role: "focus", // cpname = focus.cpname
         fields: ["objectid", "cpname"],
-        name: "North Park Boundary",
+        // Not generated yet (see README, Offline cache):
+        // fallbackUrl: "data/north-park.geojson",
+        name: "{focus} Boundary",
         attribution: "Community Plans: SANDAG RDW",
+        mode: "featureLayer",
 
-        // Base (light-basemap) style — strong dark blue stroke + subtle fill
-        style: { color: "#08519c", weight: 3, opacity: 1, fillOpacity: 0.06, fillColor: "#08519c" },
-
-        // White casing underlay for contrast on imagery/dark basemaps
-        casing: { color: "#ffffff", weight: 7, opacity: 1 },
+        // Strong dark blue stroke + subtle fill over a white casing underlay;
+        // heavier on imagery/dark basemaps.
+        styles: {
+          light: {
+            stroke: {
+              color: "#08519c",
+              weight: 3,
+              opacity: 1,
+              fillColor: "#08519c",
+              fillOpacity: 0.06,
+            },
+            casing: { color: "#ffffff", weight: 7, opacity: 1 },
+          },
+          imagery: {
+            stroke: {
+              color: "#08519c",
+              weight: 4,
+              opacity: 1,
+              fillColor: "#08519c",
+              fillOpacity: 0.08,
+            },
+            casing: { color: "#ffffff", weight: 9, opacity: 1 },
+          },
+        },
 
-        // Always label North Park (from attribute)
-        label: { prop: "cpname" },
+        // Always label the focus CPA (from attribute); wins every label collision
+        label: { prop: "cpname", priority: 10 },
+        identify: true,
 
-        // Fit the initial view to North Park after the layer loads
+        // Fit the initial view to the focus CPA after the layer loads
         fitBounds: true,
 
         // Optional popup example (disabled by default):
         // popup: (p) => `<strong>${p.cpname ?? "Community"}</strong>`
       },
+
+      // To emphasize another community, set focus.cpname (or open the page with
+      // ?focus=GREATER%20GOLDEN%20HILL); the two overlays above follow it.
+
+      /* ----- Planning overlays ---------------------------------------------
+       * Off by default; each loads on first toggle and keeps only features
+       * touching the focus CPA (clipTo: "north-park" follows focus.cpname).
+       * Commented out until checked: the service names and fields below
+       * (zone_name, district, stop_agncy, apn) have not been confirmed
+       * against SANDAG RDW. Before uncommenting one, open its url with ?f=json
+       * and match "fields", "symbology.field" and the popup to the service.
+       * ------------------------------------------------------------------- */
+
+      // // Zoning base zones, colored by zone family (RS-1-7 -> "RS")
+      // {
+      //   id: "zoning",
+      //   type: "featureServer",
+      //   url: "https://geo.sandag.org/server/rest/services/Hosted/Zoning_Base_SD/FeatureServer/0",
+      //   fields: ["objectid", "zone_name"],
+      //   name: "Zoning (base zones)",
+      //   attribution: "Zoning: City of San Diego via SANDAG RDW",
+      //   mode: "snapshot",
+      //   pane: "planning",
+      //   visible: false,
+      //   clipTo: "north-park",
+      //   fitBounds: false,
+      //   style: { color: "#6b7280", weight: 0.75, opacity: 0.9, fillOpacity: 0.35 },
+      //   symbology: {
+      //     field: "zone_name",
+      //     classes: [
+      //       {
+      //         label: "Residential, single dwelling",
+      //         match: "^R[SEX]",
+      //         style: { fillColor: "#fde68a" },
+      //       },
+      //       {
+      //         label: "Residential, multiple dwelling",
+      //         match: "^R[MT]",
+      //         style: { fillColor: "#f59e0b" },
+      //       },
+      //       { label: "Commercial", match: "^C[CNROVP]", style: { fillColor: "#ef4444" } },
+      //       { label: "Industrial", match: "^I[LHSP]", style: { fillColor: "#a78bfa" } },
+      //       {
+      //         label: "Open space / agriculture",
+      //         match: "^(O[PRCF]|A[GR])",
+      //         style: { fillColor: "#34d399" },
+      //       },
+      //       {
+      //         label: "Planned district",
+      //         match: "^(CU|MC|PD|[A-Z]+PD)",
+      //         style: { fillColor: "#93c5fd" },
+      //       },
+      //     ],
+      //     other: { label: "Other zone", style: { fillColor: "#d1d5db" } },
+      //   },
+      //   popup: (p) => `<strong>Zone ${escapeHtml(p.zone_name ?? "unknown")}</strong>`,
+      // },
+
+      // // City Council districts touching the focus CPA
+      // {
+      //   id: "council-districts",
+      //   type: "featureServer",
+      //   url: "https://geo.sandag.org/server/rest/services/Hosted/Council_Districts_SD/FeatureServer/0",
+      //   fields: ["objectid", "district", "name"],
+      //   name: "Council districts",
+      //   attribution: "Council districts: City of San Diego via SANDAG RDW",
+      //   mode: "snapshot",
+      //   pane: "planning",
+      //   visible: false,
+      //   clipTo: "north-park",
+      //   fitBounds: false,
+      //   style: { color: "#7c3aed", weight: 3, opacity: 0.9, dashArray: "8 6" },
+      //   popup: (p) => `<strong>Council District ${escapeHtml(p.district ?? "")}</strong>`,
+      // },
+
+      // // Designated historic districts
+      // {
+      //   id: "historic-districts",
+      //   type: "featureServer",
+      //   url: "https://geo.sandag.org/server/rest/services/Hosted/Historic_Districts_SD/FeatureServer/0",
+      //   fields: ["objectid", "name"],
+      //   name: "Historic districts",
+      //   attribution: "Historic districts: City of San Diego via SANDAG RDW",
+      //   mode: "snapshot",
+      //   pane: "planning",
+      //   visible: false,
+      //   clipTo: "north-park",
+      //   fitBounds: false,
+      //   style: {
+      //     color: "#92400e",
+      //     weight: 2,
+      //     opacity: 1,
+      //     dashArray: "2 4",
+      //     fillColor: "#b45309",
+      //     fillOpacity: 0.2,
+      //   },
+      //   popup: (p) => `<strong>${escapeHtml(p.name ?? "Historic district")}</strong>`,
+      // },
+
+      // // Transit stops (drawn above the boundaries as small circles)
+      // {
+      //   id: "transit-stops",
+      //   type: "featureServer",
+      //   url: "https://geo.sandag.org/server/rest/services/Hosted/Transit_Stops_GTFS/FeatureServer/0",
+      //   fields: ["objectid", "stop_name", "stop_agncy"],
+      //   name: "Transit stops",
+      //   attribution: "Transit stops: MTS/NCTD GTFS via SANDAG RDW",
+      //   mode: "snapshot",
+      //   visible: false,
+      //   clipTo: "north-park",
+      //   fitBounds: false,
+      //   style: {
+      //     color: "#0f766e",
+      //     weight: 1.5,
+      //     opacity: 1,
+      //     fillColor: "#14b8a6",
+      //     fillOpacity: 1,
+      //     radius: 4,
+      //   },
+      //   casing: { color: "#ffffff", weight: 5, opacity: 1, radius: 4 },
+      //   popup: (p) =>
+      //     `<strong>${escapeHtml(p.stop_name ?? "Transit stop")}</strong>` +
+      //     (p.stop_agncy ? `<br>${escapeHtml(p.stop_agncy)}` : ""),
+      // },
+
+      // // Parcels: tiled queries, only at street-level zoom
+      // {
+      //   id: "parcels",
+      //   type: "featureServer",
+      //   url: "https://geo.sandag.org/server/rest/services/Hosted/Parcels/FeatureServer/0",
+      //   fields: ["objectid", "apn"],
+      //   name: "Parcels (zoom 17+)",
+      //   attribution: "Parcels: SANDAG RDW",
+      //   mode: "featureLayer",
+      //   pane: "planning",
+      //   visible: false,
+      //   clipTo: "north-park",
+      //   minZoom: 17,
+      //   fitBounds: false,
+      //   style: { color: "#4b5563", weight: 0.75, opacity: 0.8 },
+      //   popup: (p) => `<strong>APN ${escapeHtml(p.apn ?? "unknown")}</strong>`,
+      // },
     ],
   },
 };
@@ -0,0 +1,105 @@
+/* ============================================================================
+ * embed.js — host-page helper for the North Park map embed API
+ * - Load on the page that contains the map <iframe>
+ * - Wraps the postMessage protocol handled by the map (initEmbedApi in src/embed-api.js)
+ * - Commands return Promises; events are delivered to .on() listeners
+ *
+ * Usage:
+ *   <script src="https://joshalogs.github.io/north-park-leaflet-map/embed.js"></script>
+ *   const npmap = NorthParkEmbed.connect(document.querySelector("iframe"));
+ *   npmap.on("cpaClick", (e) => console.log(e.name));
+ *   npmap.ready.then(() => npmap.fitCPA("NORTH PARK"));
+ *
+ * Connect before the iframe finishes loading so the "ready" event is seen.
+ * The host's origin must be listed in APP_CONFIG.embed.allowedOrigins.
+ * ========================================================================== */
+
+(function (root) {
+  "use strict";
+
+  /** Must match EMBED_CHANNEL in src/embed-api.js. */
+  const CHANNEL = "north-park-map";
+
+  /** Reject a command that gets no reply (e.g. origin not allowed). */
+  const TIMEOUT_MS = 10000;
+
+  /**
+   * Attach to a map iframe.
+   * @param {HTMLIFrameElement} iframe
+   * @param {{origin?: string}} [opts] Map origin; defaults to the iframe src origin
+   */
+  function connect(iframe, opts = {}) {
+    const origin = opts.origin || new URL(iframe.src, window.location.href).origin;
+    const listeners = {};
+    const pending = new Map();
+    let nextId = 1;
+    let resolveReady;
+    const ready = new Promise((resolve) => (resolveReady = resolve));
+
+    window.addEventListener("message", (e) => {
+      if (e.source !== iframe.contentWindow || e.origin !== origin) return;
+      const msg = e.data;
+      if (!msg || msg.channel !== CHANNEL) return;
+
+      if (msg.type === "result") {
+        const call = pending.get(msg.id);
+        if (!call) return;
+        pending.delete(msg.id);
+        clearTimeout(call.timer);
+        if (msg.ok) call.resolve(msg.result);
+        else call.reject(new Error(msg.error));
+        return;
+      }
+
+      if (msg.type === "ready") resolveReady(msg);
+      (listeners[msg.type] || []).forEach((fn) => fn(msg));
+    });
+
+    /**
+     * Send a command and resolve with its result.
+     * @param {string} type
+     * @param {Object} [args]
+     * @returns {Promise<any>}
+     */
+    function send(type, args = {}) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`No reply to "${type}" from ${origin}`));
+        }, TIMEOUT_MS);
+        pending.set(id, { resolve, reject, timer });
+        iframe.contentWindow.postMessage({ ...args, channel: CHANNEL, type, id }, origin);
+      });
+    }
+
+    return {
+      /**
+       * Resolves with the map's "ready" event, sent once each visible overlay
+       * has loaded or failed for good; `failed` lists the [{id, message}] that failed.
+       */
+      ready,
+      /**
+       * Listen for "ready", "moveend", "baselayerchange" or "cpaClick".
+       * @param {string} type
+       * @param {(event: any) => void} fn
+       */
+      on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return this;
+      },
+      off(type, fn) {
+        listeners[type] = (listeners[type] || []).filter((f) => f !== fn);
+        return this;
+      },
+      send,
+      setView: (center, zoom) => send("setView", { center, zoom }),
+      setBasemap: (id) => send("setBasemap", { id }),
+      toggleOverlay: (id, visible) => send("toggleOverlay", { id, visible }),
+      highlightCPA: (name) => send("highlightCPA", { name }),
+      fitCPA: (name, padding) => send("fitCPA", { name, padding }),
+    };
+  }
+
+  root.NorthParkEmbed = { connect };
+})(window);
@@ -1,651 +1,617 @@
 /* ============================================================================
- * main.js — North Park Leaflet map
- * - Basemaps: OSM (default), Esri Light/Dark Gray Canvas, SANDAG Imagery
- * - Imagery reference: Esri Hybrid Reference (vector tiles) shown on Imagery only
- * - Overlays: Community Plan Areas (context) + North Park (emphasized)
- * - Labels: permanent Leaflet tooltips; CSV overrides for context layer
+ * main.js — North Park Leaflet map: entry point
+ * - Builds the map from APP_CONFIG using the modules in src/, which
+ *   index.html loads first (classic scripts sharing one global scope)
+ * - Basemaps: built from APP_CONFIG.layers.basemaps (OSM, Esri Canvas, SANDAG Imagery)
+ * - Basemap references: companion overlays shown only with their basemap
+ * - Overlays: Community Plan Areas (context) + North Park (emphasized), built
+ *   by one config-driven renderer (FeatureLayer or snapshot, SVG or Canvas)
+ * - Labels: permanent Leaflet tooltips placed inside each polygon, decluttered
+ *   by priority on zoom; CSV overrides where label.overrides is set
  * - Accessibility: pill-style labels (see styles.css), keyboard enabled
- * - Contrast profiles: adjust stroke/casing when Imagery/Dark is active
+ * - Contrast profiles: per-overlay styles.light / styles.imagery by basemap
+ * - Deep links: view, basemap and overlays read from / written to the URL
+ * - Search: geocode an address / lat,lng and report the containing CPA
+ * - Export: PNG of the current view; GeoJSON/KML of loaded plan areas
+ * - Embed API: postMessage commands/events for host pages (src/embed-api.js)
+ * - Config validation: APP_CONFIG checked at startup; errors shown in a banner
+ * - Layer status: per-layer loading spinner, automatic retries, Retry button
+ * - Focus: emphasized CPA from config / ?focus=, switchable from a dropdown
+ * - Legend: swatches for visible overlays, contrast-profile note, basemap credits
+ * - Measure: line/area/marker sketches with geodesic readouts, saved locally
+ * - Compare: opacity sliders in the layer control; swipe between two basemaps
+ * - Themes: light / dark / high-contrast UI and a color-blind-safe palette, saved
+ * - Offline cache: service worker (sw.js) for app files, CPA queries and tiles
  * ========================================================================== */
 
 "use strict";
 
-/** Registry of overlay groups by id (cpas-context, north-park, etc.). */
-const OVERLAYS = Object.create(null);
-
 /* ============================================================================
- * Helpers: Map & Controls
+ * Entry point: set up the map when the DOM is ready.
  * ========================================================================== */
+(function bootstrap() {
+  if (typeof document === "undefined") return; // required from Node
 
-/**
- * Initialize the Leaflet map.
- * @param {string} containerId
- * @param {[number, number]} center [lat, lng]
- * @param {number} zoom
- * @returns {L.Map}
- */
-function initMap(containerId, center, zoom) {
-  const map = L.map(containerId, {
-    zoomControl: true,
-    keyboard: true,
-    preferCanvas: true, // render vectors on Canvas for stability at high zoom
-  }).setView(center, zoom);
-
-  L.control.scale({ imperial: true, metric: true }).addTo(map);
-  return map;
-}
-
-/**
- * Add the standard OSM basemap and return it (added to map by default).
- * @param {L.Map} map
- * @returns {L.TileLayer}
- */
-function addOsmBasemap(map) {
-  const osm = L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-    maxZoom: 20,
-    attribution: "© OpenStreetMap contributors",
-  });
-  osm.addTo(map); // default basemap
-  return osm;
-}
-
-/**
- * Layer control (basemaps + overlays).
- * @param {L.Map} map
- * @param {Record<string, L.Layer>} baseLayers
- * @param {Record<string, L.Layer>} [overlays]
- * @returns {L.Control.Layers}
- */
-function addLayerControl(map, baseLayers, overlays) {
-  return L.control.layers(baseLayers, overlays || {}, { collapsed: false }).addTo(map);
-}
+  const CONFIG =
+    (typeof window !== "undefined" && window.APP_CONFIG) ||
+    (typeof APP_CONFIG !== "undefined" ? APP_CONFIG : null);
 
-/* ============================================================================
- * Helpers: Basemaps
- * ========================================================================== */
+  if (!CONFIG) {
+    console.error("APP_CONFIG not found. Ensure config.js loads before main.js.");
+    return;
+  }
 
-/**
- * Esri Light Gray Canvas (base + reference) grouped as one basemap.
- * @returns {L.LayerGroup}
- */
-function createEsriLightGrayBasemap() {
-  const opts = {
-    // Prevent requests past native LOD; still allow zoom UI beyond that
-    maxNativeZoom: 16,
-    maxZoom: 20,
-    attribution: "Esri, HERE, Garmin, FAO, NOAA, USGS, © OpenStreetMap contributors",
-  };
+  // Validate before building anything; problems also go to the banner below
+  const configIssues = validateConfig(CONFIG);
+  configIssues.forEach((i) =>
+    (i.level === "error" ? console.error : console.warn)(`APP_CONFIG ${i.path}: ${i.message}`)
+  );
 
-  const base = L.esri.tiledMapLayer({
-    url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Light_Gray_Base/MapServer",
-    ...opts,
-  });
+  const { map: mapCfg, layers, attribution } = CONFIG;
 
-  const ref = L.esri.tiledMapLayer({
-    url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Light_Gray_Reference/MapServer",
-    ...opts,
-  });
+  // Cache app files, CPA queries and tiles for repeat visits / flaky networks
+  registerServiceWorker(CONFIG);
 
-  return L.layerGroup([base, ref]);
-}
-
-/**
- * Esri Dark Gray Canvas (base + reference) grouped as one basemap.
- * @returns {L.LayerGroup}
- */
-function createEsriDarkGrayBasemap() {
-  const opts = {
-    maxNativeZoom: 16,
-    maxZoom: 20,
-    attribution: "Esri, HERE, Garmin, FAO, NOAA, USGS, © OpenStreetMap contributors",
-  };
+  // Deep-link state (hash/query); an explicit view overrides config + fitBounds
+  const useUrlState = mapCfg.urlState !== false;
+  const urlState = useUrlState ? readUrlState() : {};
 
-  const base = L.esri.tiledMapLayer({
-    url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Dark_Gray_Base/MapServer",
-    ...opts,
-  });
+  // Map & basemaps
+  const map = initMap(
+    "map",
+    urlState.view?.center || mapCfg.center,
+    urlState.view?.zoom ?? mapCfg.zoom
+  );
+  if (new URLSearchParams(window.location.search).has("perf")) startPerfProbe(map);
 
-  const ref = L.esri.tiledMapLayer({
-    url: "https://services.arcgisonline.com/arcgis/rest/services/Canvas/World_Dark_Gray_Reference/MapServer",
-    ...opts,
-  });
+  new RepoCredit().addTo(map); // developer credit
 
-  return L.layerGroup([base, ref]);
-}
-
-/**
- * SANDAG Imagery in its own pane below the reference overlay.
- * @param {L.Map} map
- * @param {string} url ImageServer URL
- * @returns {L.esri.ImageMapLayer}
- */
-function createSandagImageryBasemap(map, url) {
-  if (!map.getPane("imagery")) {
-    map.createPane("imagery");
-    map.getPane("imagery").style.zIndex = 300; // tile(200) < imagery(300) < ref(350) < overlays(400) < tooltips(650)
-  }
-  const imagery = L.esri.imageMapLayer({
-    url,
-    pane: "imagery",
-    opacity: 1,
-    attribution: "Imagery: SANDAG (Nearmap 2023, 9 in)",
+  // Error banner: config problems now, load failures as they happen
+  const banner = createErrorBanner(map);
+  map.on("app:error", (e) => banner.show(e.message, e.level));
+
+  // Per-layer loading / retry status (before any layer is added)
+  new LayerStatusControl().addTo(map);
+  map.on("layer:status", (e) => {
+    if (e.state === "error") banner.show(`${e.name} failed to load (${e.message}).`);
   });
-  imagery.once("load", () => console.debug("Imagery basemap loaded:", url));
-  return imagery;
-}
-
-/**
- * Esri Hybrid Reference (US Edition) as a Vector Tile overlay.
- * Draws in pane "ref", above imagery and below overlays/labels.
- * Requires esri-leaflet-vector + MapLibre CSS (included in index.html).
- * @param {L.Map} map
- * @returns {L.esri.Vector.VectorTileLayer}
- */
-function createEsriImageryVectorReference(map) {
-  if (!map.getPane("ref")) {
-    map.createPane("ref");
-    map.getPane("ref").style.zIndex = 350; // sits above imagery (300), below overlays (400)
+  configIssues
+    .filter((i) => i.level === "error")
+    .forEach((i) => banner.show(`Config error at ${i.path}: ${i.message}`));
+  const configWarnings = configIssues.filter((i) => i.level === "warning").length;
+  if (configWarnings) {
+    banner.show(`${configWarnings} config warning(s); see the browser console.`, "warning");
   }
-  const vt = L.esri.Vector.vectorTileLayer("5447e9aef0684ec391ae9381725f7370", {
-    portalUrl: "https://www.arcgis.com",
-    pane: "ref",
-  });
-  vt.on("load", () => console.debug("Vector imagery reference loaded."));
-  vt.on("error", (e) => console.warn("Vector imagery reference error:", e));
-  return vt;
-}
 
-/* ============================================================================
- * Helper: FeatureServer overlays with labels and optional casing
- * ========================================================================== */
+  // Basemaps + companion references from config (ids double as deep-link keys)
+  const basemaps = createBasemaps(map, layers?.basemaps);
+  const basemapsById = Object.fromEntries(basemaps.map((b) => [b.id, b.layer]));
 
-/**
- * Create and add an ArcGIS FeatureServer overlay from a config entry.
- * - Labels: permanent tooltips per feature via entry.label.{prop|text|minZoom}
- * - Casing: optional underlay FeatureLayer via entry.casing
- * - Contrast profiles: attach group.applyContrastProfile('light'|'imagery')
- * - CSV Overrides: group.refreshLabels() will re-evaluate label text
- * @param {L.Map} map
- * @param {any} entry Config entry (see config.js typedef)
- * @returns {L.LayerGroup}
- */
-function addFeatureServerOverlay(map, entry) {
-  console.debug("Creating FeatureLayer:", entry.name || entry.id, entry.url, entry.where);
-
-  // Track each per-feature Leaflet layer for labeling (avoids layer.eachLayer())
-  const featureLayers = new Set();
-
-  // Optional casing (underlay) for high-contrast outlines
-  let casingLayer = null;
-  if (entry.casing) {
-    casingLayer = L.esri.featureLayer({
-      url: entry.url,
-      where: entry.where ?? "1=1",
-      fields: entry.fields ?? ["*"],
-      attribution: entry.attribution || undefined,
-      style: () => ({
-        color: entry.casing.color || "#ffffff",
-        weight: entry.casing.weight != null ? Number(entry.casing.weight) : 7,
-        opacity: entry.casing.opacity != null ? Number(entry.casing.opacity) : 1,
-        fillOpacity: 0, // stroke-only underlay
-        smoothFactor: 0, // don’t oversimplify during projection
-        lineJoin: "round",
-        lineCap: "round",
-      }),
-      simplifyFactor: 0, // no simplification (prevents thin lines “disappearing”)
-      precision: 8, // higher coordinate precision reduces zoom artifacts
-    });
-  }
+  // Start on the deep-linked basemap, else the config default, else the first
+  const initialBase =
+    basemaps.find((b) => b.id === urlState.base) ||
+    basemaps.find((b) => b.def.default) ||
+    basemaps[0];
+  initialBase.layer.addTo(map);
 
-  // Main layer
-  const layer = L.esri.featureLayer({
-    url: entry.url,
-    where: entry.where ?? "1=1",
-    fields: entry.fields ?? ["*"],
-    attribution: entry.attribution || undefined,
-
-    // For the context CPAs only, force SVG rendering for crisp, stable strokes.
-    // (Everything else can keep Canvas via map's preferCanvas.)
-    ...(entry.id === "cpas-context" ? { renderer: SVG_RENDERER } : {}),
-
-    // Geometry fidelity (prevents thin lines dropping out at large scales)
-    simplifyFactor: 0,
-    precision: 8,
-
-    // Style: start from entry.style and add stroke-stability props.
-    // Note: fillOpacity defaults to 0 for boundaries.
-    style: () => ({
-      ...(entry.style || { color: "#3388ff", weight: 2 }),
-      fillOpacity: entry.style?.fillOpacity ?? 0,
-      smoothFactor: 0,
-      lineJoin: "round",
-      lineCap: "round",
-    }),
-
-    // Called once per feature as it becomes a Leaflet layer
-    onEachFeature: function onEachFeature(feature, lyr) {
-      // Track the Leaflet layer so we can refresh labels and force repaints later
-      featureLayers.add(lyr);
-
-      // Bind a permanent tooltip if labeling is configured for this overlay
-      if (entry.label) {
-        lyr.bindTooltip("", {
-          permanent: true,
-          direction: "center",
-          className: "np-label-tooltip",
-          opacity: 1,
-        });
-      }
-    },
-  });
-
-  // Optional custom popup renderer
-  if (typeof entry.popup === "function") {
-    layer.bindPopup((feat) => {
-      const props = feat?.feature?.properties || {};
-      return entry.popup(props);
-    });
+  function activeBasemapId() {
+    return Object.keys(basemapsById).find((id) => map.hasLayer(basemapsById[id]));
   }
 
-  // Build group so layer control can toggle everything together
-  const layerGroup = L.layerGroup();
-  if (casingLayer) layerGroup.addLayer(casingLayer); // underlay first
-  layerGroup.addLayer(layer);
-  layerGroup.addTo(map);
-
-  // ----- Labeling logic ------------------------------------------------------
-
-  const labelCfg = entry.label || null;
-  const minZoomForLabels = labelCfg && labelCfg.minZoom != null ? Number(labelCfg.minZoom) : null;
+  // Swap basemaps outside the layer control; returns false for unknown ids
+  function setBasemap(id) {
+    const next = basemapsById[id];
+    if (!next) return false;
+    if (!map.hasLayer(next)) {
+      Object.values(basemapsById).forEach((l) => map.hasLayer(l) && map.removeLayer(l));
+      next.addTo(map); // layer control fires "baselayerchange"
+    }
+    return true;
+  }
 
-  /**
-   * Resolve label text for a feature. For the context overlay, allow CSV overrides.
-   * @param {GeoJSON.Feature} feature
-   * @returns {string|null}
-   */
-  function labelTextFor(feature) {
-    const prop = (labelCfg && labelCfg.prop) || "cpname";
-    const fp = feature?.properties || {};
-
-    // CSV overrides only for the context overlay
-    if (entry.id === "cpas-context" && window.CPA_LABEL_OVERRIDES) {
-      const key = String(fp[prop] ?? "").toUpperCase();
-      const override = window.CPA_LABEL_OVERRIDES[key];
-      if (override != null && override !== "") {
-        // Convert "A|B" to "A\nB" (CSS uses white-space: pre-line)
-        return String(override).replace(/\s*\|\s*/g, "\n");
-      }
+  // Layers control (single declaration)
+  const baseLayers = Object.fromEntries(basemaps.map((b) => [b.name, b.layer]));
+  const compareCfg = CONFIG.compare || {};
+  const layerControl = addLayerControl(
+    map,
+    baseLayers,
+    {},
+    {
+      opacity: compareCfg.opacity !== false,
     }
+  );
 
-    // Fallbacks
-    if (labelCfg?.prop && fp[prop] != null) return String(fp[prop]);
-    if (labelCfg?.text) return String(labelCfg.text);
-    return entry.name || null;
+  // Swipe: a second basemap right of a draggable divider, overlays across both
+  if (compareCfg.swipe !== false && basemaps.length > 1) {
+    new SwipeControl({
+      basemaps,
+      activeId: activeBasemapId,
+      ...(compareCfg.swipeBasemap ? { defaultId: compareCfg.swipeBasemap } : {}),
+    }).addTo(map);
   }
 
-  function shouldSkip(feature) {
-    if (!labelCfg || !Array.isArray(labelCfg.skipValues) || !labelCfg.prop) return false;
-    const v = feature?.properties?.[labelCfg.prop];
-    return labelCfg.skipValues.includes(v);
+  // Theme: saved choice, else config (default "auto": follow the OS settings).
+  // Sets data-np-theme / data-np-palette on <html> for styles.css and restyles
+  // overlays, casings and layer-control swatches; the dark theme also swaps a
+  // light default basemap for theme.darkBasemap unless a basemap was linked.
+  const themeCfg = CONFIG.theme || {};
+  let themeChoice = loadThemeChoice() || {
+    mode: themeCfg.mode || "auto",
+    palette: themeCfg.palette || "default",
+  };
+  const mediaMatches = (q) => window.matchMedia(q).matches;
+  let darkSwap = null; // basemap id to restore when leaving the dark theme
+
+  function currentTheme() {
+    return {
+      mode: resolveThemeMode(themeChoice.mode, mediaMatches),
+      palette: themeCfg.palettes?.[themeChoice.palette] || null,
+    };
   }
 
-  function updateLabels() {
-    const zoomOK = minZoomForLabels == null || map.getZoom() >= minZoomForLabels;
-    featureLayers.forEach((lyr) => {
-      const feature = lyr?.feature;
-      if (!feature || shouldSkip(feature) || !zoomOK) {
-        if (lyr.getTooltip()) lyr.setTooltipContent(""), lyr.closeTooltip();
-        return;
-      }
-      const text = labelTextFor(feature);
-      if (!text) {
-        if (lyr.getTooltip()) lyr.setTooltipContent(""), lyr.closeTooltip();
-        return;
+  function applyTheme() {
+    const theme = currentTheme();
+    const root = document.documentElement;
+    root.dataset.npTheme = theme.mode;
+    root.dataset.npPalette = theme.palette ? themeChoice.palette : "default";
+
+    const darkBase = basemaps.find((b) => b.id === themeCfg.darkBasemap);
+    const active = basemaps.find((b) => map.hasLayer(b.layer));
+    if (theme.mode === "dark" && darkBase && active && active !== darkBase && !urlState.base) {
+      if ((active.def.contrastProfile || "light") === "light" && active === initialBase) {
+        darkSwap = active.id;
+        setBasemap(darkBase.id);
       }
-      if (lyr.getTooltip()) {
-        lyr.setTooltipContent(String(text));
-        lyr.openTooltip();
+    } else if (theme.mode !== "dark" && darkSwap && active === darkBase) {
+      setBasemap(darkSwap);
+      darkSwap = null;
+    }
+
+    Object.values(OVERLAYS).forEach((g) => {
+      g?.applyTheme?.(theme);
+      if (g?.layerControlLabel) {
+        layerControl.removeLayer(g);
+        layerControl.addOverlay(g, g.layerControlLabel());
       }
     });
+    map.fire("themechange", { theme: theme.mode, palette: root.dataset.npPalette });
   }
 
-  // Expose a refresh hook (used after CSV overrides load)
-  layerGroup.refreshLabels = updateLabels;
-
-  // ----- End labeling logic --------------------------------------------------
-
-  layer.once("load", () => {
-    console.debug("FeatureLayer loaded:", entry.name || entry.id);
+  if (themeCfg.picker !== false) {
+    new ThemeControl({
+      colorBlind: !!themeCfg.palettes?.["color-blind"],
+      onChange: (choice) => {
+        themeChoice = choice;
+        saveThemeChoice(choice);
+        applyTheme();
+      },
+    })
+      .addTo(map)
+      .setValue(themeChoice);
+  }
+  ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].forEach((q) =>
+    window.matchMedia(q).addEventListener?.("change", () => {
+      if (themeChoice.mode === "auto") applyTheme();
+    })
+  );
+  applyTheme();
 
-    // Keep casing as an underlay after draw
-    if (casingLayer && typeof casingLayer.bringToBack === "function") {
-      casingLayer.bringToBack();
-    }
+  if (attribution) map.attributionControl.addAttribution(attribution);
 
-    // Initialize labels and wire zoom gating if needed
-    if (labelCfg) {
-      updateLabels();
-      if (minZoomForLabels != null) {
-        map.on("zoomend", updateLabels);
-        // Detach listener if overlay toggled off
-        layerGroup.on("remove", () => map.off("zoomend", updateLabels));
-        layerGroup.on("add", updateLabels);
-      }
+  // Data source: "live" (FeatureServer, snapshot on failure) or "local"
+  // (snapshots only). ?data=local overrides config for offline testing.
+  const dataSource = new URLSearchParams(window.location.search).get("data") || CONFIG.dataSource;
+
+  // Focus CPA: ?focus= (or #focus=) over config focus.cpname. Overlays with
+  // role "focus"/"context" get their where clauses (and snapshot filters) from it.
+  const focusCfg = CONFIG.focus || {};
+  const normalizeFocus = (name) =>
+    String(name || "")
+      .trim()
+      .toUpperCase();
+  const defaultFocus = normalizeFocus(focusCfg.cpname);
+  let focusName = normalizeFocus(urlState.focus) || defaultFocus;
+  const roleEntries = (layers?.overlays || []).filter((e) => e?.role && e.id);
+  const focusSnapshots = roleEntries.map((e) => e.fallbackUrl).filter(Boolean);
+  // Rebuilt on focus change: the role overlays, then overlays clipped to them
+  const focusEntries = [
+    ...roleEntries,
+    ...(layers?.overlays || []).filter((e) => e?.clipTo && e.id && !e.role),
+  ];
+
+  // Clip areas (clipTo: overlay id), one query per overlay and focus, shared
+  // by every overlay clipped to it and independent of that overlay's visibility
+  const clipAreas = new Map();
+  function clipFeaturesFor(id) {
+    const key = `${id}|${focusName}`;
+    if (!clipAreas.has(key)) {
+      const target = (layers?.overlays || []).find((e) => e?.id === id);
+      const request = new Promise((resolve, reject) => {
+        if (!target) return reject(new Error(`clipTo: no overlay "${id}"`));
+        loadOverlayFeatures(overlayEntryFor(target, false), (err, fc) =>
+          err ? reject(err) : resolve(fc.features || [])
+        );
+      });
+      request.catch(() => {}); // reported by the overlays that use it, once shown
+      clipAreas.set(key, request);
     }
+    return clipAreas.get(key);
+  }
 
-    // Fit to bounds after first load if enabled
-    if (entry.fitBounds !== false) {
-      try {
-        const b = layer.getBounds();
-        if (b && b.isValid()) map.fitBounds(b, { padding: [20, 20] });
-      } catch (_e) {
-        /* no-op */
-      }
+  /**
+   * Runtime entry for a config overlay (focus, data source, initial fit).
+   * @param {any} entry
+   * @param {boolean} allowFit false when a deep-linked view must be kept
+   */
+  function overlayEntryFor(entry, allowFit) {
+    let e = entry;
+    if (entry.role && focusName) {
+      e = withFocus(e, focusName, { field: focusCfg.field, snapshots: focusSnapshots });
     }
-    // Force a repaint + keep casing under stroke after zoom/pan
-    function ensureVisible() {
-      if (casingLayer?.bringToBack) casingLayer.bringToBack(); // keep underlay under
-      if (casingLayer?.redraw) casingLayer.redraw();
-      if (layer.redraw) layer.redraw();
-      if (layer.bringToFront) layer.bringToFront(); // and main stroke on top
-    }
-    map.on("zoomend moveend", ensureVisible);
-    layerGroup.on("remove", () => map.off("zoomend moveend", ensureVisible));
-  });
-
-  // Attach a contrast profile applicator (used on baselayerchange)
-  layerGroup.applyContrastProfile = function applyContrastProfile(profile) {
-    // North Park emphasis
-    if (entry.id === "north-park") {
-      if (profile === "imagery") {
-        layer.setStyle({
-          color: "#08519c",
-          weight: 4,
-          opacity: 1,
-          fillColor: "#08519c",
-          fillOpacity: 0.08,
-        });
-        casingLayer?.setStyle({ color: "#ffffff", weight: 9, opacity: 1, fillOpacity: 0 });
-      } else {
-        layer.setStyle({
-          color: "#08519c",
-          weight: 3,
-          opacity: 1,
-          fillColor: "#08519c",
-          fillOpacity: 0.06,
-        });
-        casingLayer?.setStyle({ color: "#ffffff", weight: 7, opacity: 1, fillOpacity: 0 });
-      }
+    if (!allowFit) e = { ...e, fitBounds: false };
+    if (dataSource === "local" && e.type === "featureServer" && e.fallbackUrl) {
+      e = { ...e, type: "geojson", url: e.fallbackUrl };
     }
+    if (entry.clipTo) e = { ...e, clip: clipFeaturesFor(entry.clipTo) };
+    return e;
+  }
 
-    // Context CPAs (enhance on imagery/dark)
-    if (entry.id === "cpas-context") {
-      if (profile === "imagery") {
-        layer.setStyle({ color: "#111827", weight: 3.0, opacity: 1, fillOpacity: 0 });
-        casingLayer?.setStyle({ color: "#ffffff", weight: 5, opacity: 0.95, fillOpacity: 0 });
-      } else {
-        layer.setStyle({ color: "#1f2937", weight: 2.25, opacity: 1, fillOpacity: 0 });
-        casingLayer?.setStyle({ color: "#ffffff", weight: 4, opacity: 0.5, fillOpacity: 0 });
-      }
-    }
-  };
+  function buildOverlay(entry, allowFit) {
+    const overlayEntry = overlayEntryFor(entry, allowFit);
+    const group = addOverlay(map, overlayEntry);
+    group.applyTheme(currentTheme());
 
-  // Register for external access (contrast/refresh)
-  if (entry.id) OVERLAYS[entry.id] = layerGroup;
-
-  return layerGroup;
-}
-
-/**
- * Repo credit control shown separately from the attribution strip.
- * Usage: new RepoCredit().addTo(map)
- */
-const RepoCredit = L.Control.extend({
-  options: { position: "bottomleft" },
-  onAdd: function () {
-    const div = L.DomUtil.create("div", "np-repo-credit leaflet-control");
-    div.innerHTML =
-      '<a href="https://github.com/JoshALogs/north-park-leaflet-map" ' +
-      'target="_blank" rel="noopener" title="Open project repository">GitHub</a>';
-    // Prevent map drag/zoom on click
-    L.DomEvent.disableClickPropagation(div);
-    return div;
-  },
-});
-
-/** SVG renderer for layers that must remain crisp during zoom (context CPAs). */
-const SVG_RENDERER = L.svg({ padding: 0.5 });
-
-/**
- * Draw the context CPAs (all except North Park) as static GeoJSON with
- * a white casing underlay + dark stroke overlay. This avoids redraw
- * artifacts seen with FeatureLayer on dark/imagery basemaps.
- *
- * @param {L.Map} map
- * @param {any} entry  Config entry (id, url, where, fields, label, etc.)
- * @returns {L.LayerGroup}
- */
-function addContextCPAOverlayAsGeoJSON(map, entry) {
-  console.debug("Querying context CPAs as GeoJSON…", entry.url, entry.where);
-
-  /** Track per-feature Leaflet layers for tooltip updates */
-  const featureLayers = new Set();
-
-  /** Label text util mirroring our FeatureLayer variant */
-  function labelTextFor(props) {
-    const prop = entry.label?.prop || "cpname";
-    // CSV overrides
-    if (window.CPA_LABEL_OVERRIDES) {
-      const key = String(props?.[prop] ?? "").toUpperCase();
-      const override = window.CPA_LABEL_OVERRIDES[key];
-      if (override != null && override !== "") {
-        return String(override).replace(/\s*\|\s*/g, "\n");
-      }
-    }
-    return props?.[prop] ?? entry.name ?? null;
+    group.layerControlLabel = () => overlayLabel(group, overlayEntry.name || entry.id);
+    layerControl.addOverlay(group, group.layerControlLabel());
+    if (entry.id && !OVERLAYS[entry.id]) OVERLAYS[entry.id] = group;
+    return group;
   }
 
-  /** onEachFeature to add tooltips and register layers */
-  function onEach(feature, lyr) {
-    featureLayers.add(lyr);
-    if (entry.label) {
-      lyr.bindTooltip(labelTextFor(feature.properties) || "", {
-        permanent: true,
-        direction: "center",
-        className: "np-label-tooltip",
-        opacity: 1,
-      });
-    }
+  // Layer control entry: name plus its legend swatch(es)
+  function overlayLabel(group, title) {
+    const name = escapeHtml(title || "Overlay");
+    const items = group.legendItems();
+    return items.length > 1
+      ? `${name}<span class="np-lc-legend">${legendSwatchesHtml(items, false)}</span>`
+      : legendSwatchesHtml([{ ...items[0], label: "" }], false) + name;
   }
 
-  // Initial styles (light profile); adjusted later by applyContrastProfile()
-  const casing = L.geoJSON(null, {
-    style: {
-      color: "#ffffff",
-      weight: 4,
-      opacity: 0.5,
-      fillOpacity: 0,
-      lineJoin: "round",
-      lineCap: "round",
-    },
-    onEachFeature: onEach,
-  });
-  const stroke = L.geoJSON(null, {
-    style: {
-      color: "#1f2937",
-      weight: 2.25,
-      opacity: 1,
-      fillOpacity: 0,
-      lineJoin: "round",
-      lineCap: "round",
-    },
-    onEachFeature: onEach,
+  // Overlays from config (context first, then the focus CPA)
+  (layers?.overlays || []).forEach((entry) => {
+    if (entry?.type !== "featureServer" && entry?.type !== "geojson") return;
+    buildOverlay(entry, !urlState.view); // a deep-linked view wins over the initial fit
   });
 
-  const group = L.layerGroup([casing, stroke]).addTo(map);
-
-  // Contrast profile switcher (called from the IIFE)
-  group.applyContrastProfile = function (profile) {
-    if (profile === "imagery") {
-      stroke.setStyle({ color: "#111827", weight: 3.0, opacity: 1, fillOpacity: 0 });
-      casing.setStyle({ color: "#ffffff", weight: 5, opacity: 0.95, fillOpacity: 0 });
-    } else {
-      stroke.setStyle({ color: "#1f2937", weight: 2.25, opacity: 1, fillOpacity: 0 });
-      casing.setStyle({ color: "#ffffff", weight: 4, opacity: 0.5, fillOpacity: 0 });
-    }
-  };
+  // Title and map label name the focus CPA
+  const mapEl = map.getContainer();
+  const baseAriaLabel = mapEl.getAttribute("aria-label") || "";
+  function applyFocusText() {
+    if (!focusName) return;
+    const display = titleCase(focusName);
+    document.title = `${display} Planning Map`;
+    const [first, ...rest] = baseAriaLabel.split(". ");
+    mapEl.setAttribute("aria-label", [`${first}, emphasizing ${display}`, ...rest].join(". "));
+  }
+  applyFocusText();
 
-  // Label refresh hook (called after CSV loads)
-  group.refreshLabels = function () {
-    featureLayers.forEach((lyr) => {
-      const props = lyr?.feature?.properties || {};
-      const text = labelTextFor(props) || "";
-      if (lyr.getTooltip()) {
-        lyr.setTooltipContent(text);
-        lyr.openTooltip();
+  /**
+   * Switch the emphasized CPA: rebuild the focus/context overlays and those
+   * clipped to them in place (same ids, same visibility); fit to the new focus.
+   * @param {string} name
+   */
+  function setFocus(name) {
+    const next = normalizeFocus(name);
+    if (!next || next === focusName || !roleEntries.length) return;
+    focusName = next;
+
+    focusEntries.forEach((entry) => {
+      const old = OVERLAYS[entry.id];
+      const visible = old ? map.hasLayer(old) : entry.visible !== false;
+      if (old) {
+        layerControl.removeLayer(old);
+        map.removeLayer(old);
+        delete OVERLAYS[entry.id];
       }
+      const group = buildOverlay(entry, !!entry.role);
+      group.applyContrastProfile?.(currentProfile());
+      if (old) group.setOpacity?.(old.getOpacity());
+      if (visible && !map.hasLayer(group)) group.addTo(map);
+      if (!visible && map.hasLayer(group)) map.removeLayer(group);
+      if (entry.role) group.ready.then(updateFocusNames);
     });
-  };
 
-  // Fetch once via Esri query -> add to both layers (casing under, stroke over)
-  const q = L.esri
-    .query({ url: entry.url })
-    .where(entry.where ?? "1=1")
-    .fields(entry.fields ?? ["*"])
-    .returnGeometry(true)
-    .precision(8);
-  q.run((err, fc) => {
-    if (err) {
-      console.error("Context CPA query failed:", err);
-      return;
-    }
-    // Add the same feature set to both layers
-    casing.addData(fc);
-    stroke.addData(fc);
-
-    // Keep casing beneath stroke
-    if (casing.bringToBack) casing.bringToBack();
-    if (stroke.bringToFront) stroke.bringToFront();
-
-    // Fit bounds once if requested
-    if (entry.fitBounds) {
-      try {
-        const b = stroke.getBounds();
-        if (b && b.isValid()) map.fitBounds(b, { padding: [20, 20] });
-      } catch (_e) {}
-    }
-  });
-
-  // Keep registry parity with the FeatureLayer path
-  OVERLAYS[entry.id] = group;
-  return group;
-}
-
-/* ============================================================================
- * Entry point: set up the map when the DOM is ready.
- * ========================================================================== */
-(function bootstrap() {
-  const CONFIG =
-    (typeof window !== "undefined" && window.APP_CONFIG) ||
-    (typeof APP_CONFIG !== "undefined" ? APP_CONFIG : null);
+    applyFocusText();
+    focusControl?.setValue(focusName);
+    map.fire("focus:change", { cpname: focusName });
+  }
 
-  if (!CONFIG) {
-    console.error("APP_CONFIG not found. Ensure config.js loads before main.js.");
-    return;
+  // Runtime picker: names collected from whatever the role overlays have loaded
+  const focusNames = new Set(focusName ? [focusName] : []);
+  const focusControl =
+    roleEntries.length && focusCfg.picker !== false
+      ? new FocusControl({ onChange: setFocus }).addTo(map)
+      : null;
+  function updateFocusNames() {
+    roleEntries.forEach((e) =>
+      (OVERLAYS[e.id]?.getFeatures() || []).forEach((f) => {
+        const n = normalizeFocus(f.properties?.[focusCfg.field || "cpname"]);
+        if (n) focusNames.add(n);
+      })
+    );
+    focusControl?.setNames([...focusNames].sort(), focusName);
+  }
+  roleEntries.forEach((e) => OVERLAYS[e.id]?.ready.then(updateFocusNames));
+
+  // Address search -> containing Community Plan Area
+  const searchCfg = CONFIG.search;
+  if (searchCfg && searchCfg.enabled !== false) {
+    const geocoder =
+      typeof searchCfg.provider === "function"
+        ? searchCfg.provider
+        : GEOCODERS[searchCfg.provider || "arcgis"]?.(searchCfg.options);
+    if (!geocoder) console.warn("Unknown search provider:", searchCfg.provider);
+    const searchIds = searchCfg.overlays || Object.keys(OVERLAYS);
+    new SearchControl({
+      geocoder,
+      overlayIds: searchIds,
+      // Current focus and data source; the same requests the overlays make
+      lookup: (latlng) =>
+        lookupCPAAt(
+          latlng,
+          searchIds
+            .map((id) => (layers?.overlays || []).find((e) => e?.id === id))
+            .filter(Boolean)
+            .map((e) => overlayEntryFor(e, false))
+        ),
+      ...(searchCfg.placeholder ? { placeholder: searchCfg.placeholder } : {}),
+    }).addTo(map);
   }
 
-  const { map: mapCfg, layers, attribution } = CONFIG;
+  // Click (or Enter on the focused map) to identify a plan area
+  const identifyIds = Object.keys(OVERLAYS).filter((id) =>
+    (layers?.overlays || []).some((e) => e.id === id && e.identify)
+  );
 
-  // Map & basemaps
-  const map = initMap("map", mapCfg.center, mapCfg.zoom);
+  // Measure/sketch toolbar (added below Export); vertices snap to plan-area
+  // boundaries, and map clicks while drawing belong to the sketch
+  const measureCfg = CONFIG.measure || {};
+  const measure =
+    measureCfg.enabled !== false
+      ? new MeasureControl({
+          snapFeatures: () => identifyIds.flatMap((id) => OVERLAYS[id]?.getFeatures() || []),
+          ...(measureCfg.snapPixels != null ? { snapPixels: measureCfg.snapPixels } : {}),
+          filename: `${CONFIG.export?.filename || "north-park-map"}-sketches`,
+        })
+      : null;
+
+  if (identifyIds.length) {
+    const infoPanel = new InfoPanel({ overlayIds: identifyIds }).addTo(map);
+    map.on("cpa:select", (e) => {
+      if (!measure?.isDrawing()) infoPanel.show(e.feature);
+    });
 
-  new RepoCredit().addTo(map); // developer credit
+    const container = map.getContainer();
+    container.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || e.target !== container) return;
+      const center = map.getCenter();
+      const feature = findCPAAt(center, identifyIds);
+      if (feature) map.fire("cpa:select", { feature, latlng: center });
+    });
 
-  const osm = addOsmBasemap(map); // default
-  const lightGray = createEsriLightGrayBasemap();
-  const darkGray = createEsriDarkGrayBasemap();
-  const sandagImagery = createSandagImageryBasemap(
-    map,
-    "https://gis.sandag.org/sdgis/rest/services/Imagery/SD2023_9inch/ImageServer"
-  );
+    // Keyboard browsing between plan areas, and a table view after the map
+    if (CONFIG.keyboard?.enabled !== false) {
+      const keyNav = new PlanAreaNavControl({
+        overlayIds: identifyIds,
+        paused: () => !!measure?.isDrawing(),
+      }).addTo(map);
+      if (CONFIG.keyboard?.table !== false) {
+        createPlanAreaTable(map, {
+          overlayIds: identifyIds,
+          onSelect: (feature) => {
+            if (keyNav.isActive()) keyNav.focusFeature(feature);
+            map.fire("cpa:select", { feature, latlng: labelAnchorFor(feature) || map.getCenter() });
+          },
+        });
+      }
+    }
+  }
 
-  // Vector reference overlay for imagery (pane "ref" @ 350)
-  const imageryVectorRef = createEsriImageryVectorReference(map);
+  // Boundary history: diff two snapshots of the plan areas (loaded on open);
+  // FeatureServer sources read their snapshot in local data mode
+  const historyCfg = CONFIG.history;
+  if (historyCfg && historyCfg.enabled !== false) {
+    const historySource = (s) =>
+      dataSource === "local" && s?.type === "featureServer" && s.fallbackUrl
+        ? { ...s, type: "geojson", url: s.fallbackUrl }
+        : s;
+    new BoundaryHistoryControl({
+      before: historySource(historyCfg.before),
+      after: historySource(historyCfg.after),
+      ...(historyCfg.key ? { key: historyCfg.key } : {}),
+      ...(historyCfg.minAcres != null ? { minAcres: historyCfg.minAcres } : {}),
+    }).addTo(map);
+  }
 
-  // Layers control (single declaration)
-  const baseLayers = {
-    OpenStreetMap: osm,
-    "Light Gray Canvas": lightGray,
-    "Dark Gray Canvas": darkGray,
-    "Imagery (SANDAG 2023 9in)": sandagImagery,
-  };
-  const layerControl = addLayerControl(map, baseLayers, {});
+  // Neighbors of the focus plan area: shared boundaries and a distance ring
+  const neighborsCfg = CONFIG.neighbors;
+  if (identifyIds.length && neighborsCfg?.enabled !== false) {
+    new NeighborsControl({
+      feature: () => findCPAByName(focusName, identifyIds),
+      candidates: () => identifyIds.flatMap((id) => OVERLAYS[id]?.getFeatures() || []),
+      overlayIds: identifyIds,
+      ...(neighborsCfg?.radiusMiles != null ? { radiusMiles: neighborsCfg.radiusMiles } : {}),
+      filename: `${CONFIG.export?.filename || "north-park-map"}-neighbors`,
+    }).addTo(map);
+  }
 
-  if (attribution) map.attributionControl.addAttribution(attribution);
+  // Export: PNG of the view, GeoJSON/KML of loaded plan areas
+  if (CONFIG.export?.enabled !== false) {
+    const exportOpts = CONFIG.export?.filename ? { filename: CONFIG.export.filename } : {};
+    new ExportControl(exportOpts).addTo(map);
+  }
+  measure?.addTo(map);
+
+  // Legend: visible overlays, contrast-profile note, basemap credits
+  if (CONFIG.legend?.enabled !== false) {
+    const leaves = (l) => (l instanceof L.LayerGroup ? l.getLayers().flatMap(leaves) : [l]);
+    new LegendControl({
+      collapsed: CONFIG.legend?.collapsed ?? window.matchMedia("(max-width: 480px)").matches,
+      profile: currentProfile,
+      basemap: () => {
+        const active = basemaps.find((b) => map.hasLayer(b.layer));
+        if (!active) return null;
+        const credits = [active.layer, ...active.references]
+          .flatMap(leaves)
+          .map((l) => l.getAttribution?.())
+          .filter(Boolean);
+        return { name: active.name, attribution: [...new Set(credits)].join(" | ") };
+      },
+    }).addTo(map);
+  }
 
-  // Overlays from config (context first, then North Park)
-  (layers?.overlays || []).forEach((entry) => {
-    if (entry?.type === "featureServer") {
-      const group =
-        entry.id === "cpas-context"
-          ? addContextCPAOverlayAsGeoJSON(map, entry) // <-- new path
-          : addFeatureServerOverlay(map, entry); // existing path (e.g., north-park)
-
-      layerControl.addOverlay(group, entry.name || entry.id || "Overlay");
-      if (entry.id && !OVERLAYS[entry.id]) OVERLAYS[entry.id] = group;
-    }
-  });
+  // Labels: re-run collision placement when zoom or visible overlays change
+  map.on("zoomend overlayadd overlayremove", () => scheduleLabelLayout(map));
 
-  // Basemap-dependent reference overlay (imagery only)
-  function syncImageryRefs() {
-    const imageryOn = map.hasLayer(sandagImagery);
-    if (imageryOn) {
-      if (!map.hasLayer(imageryVectorRef)) imageryVectorRef.addTo(map);
-    } else {
-      if (map.hasLayer(imageryVectorRef)) imageryVectorRef.removeFrom(map);
-    }
+  // Deep-linked overlay visibility (ids not listed start hidden)
+  function applyOverlayVisibility(ids) {
+    Object.entries(OVERLAYS).forEach(([id, group]) => {
+      const on = ids.includes(id);
+      if (on && !map.hasLayer(group)) group.addTo(map);
+      if (!on && map.hasLayer(group)) map.removeLayer(group);
+    });
+  }
+  if (urlState.overlays) applyOverlayVisibility(urlState.overlays);
+
+  // Companion reference overlays follow their basemap (e.g. labels over imagery)
+  function syncBasemapReferences() {
+    basemaps.forEach((b) => {
+      const on = map.hasLayer(b.layer);
+      b.references.forEach((ref) => {
+        if (on && !map.hasLayer(ref)) ref.addTo(map);
+        if (!on && map.hasLayer(ref)) ref.removeFrom(map);
+      });
+    });
   }
 
-  // Contrast profiles: treat Dark Gray like Imagery
+  // Contrast profile comes from the active basemap (default "light")
   function currentProfile() {
-    return map.hasLayer(sandagImagery) || map.hasLayer(darkGray) ? "imagery" : "light";
+    const active = basemaps.find((b) => map.hasLayer(b.layer));
+    return active?.def.contrastProfile || "light";
   }
   function applyProfileToAll(profile) {
     Object.values(OVERLAYS).forEach((g) => g?.applyContrastProfile?.(profile));
+    map.fire("contrastprofile", { profile });
   }
 
   // Initial syncs
-  syncImageryRefs();
+  syncBasemapReferences();
   applyProfileToAll(currentProfile());
 
   map.on("baselayerchange", () => {
-    syncImageryRefs();
+    syncBasemapReferences();
     applyProfileToAll(currentProfile());
   });
 
-  // Load CPA label overrides (CSV) and refresh context labels once loaded
+  // Deep-link state of the current view (URL sync, print QR code)
+  function currentUrlState() {
+    return {
+      view: { center: [map.getCenter().lat, map.getCenter().lng], zoom: map.getZoom() },
+      base: activeBasemapId(),
+      overlays: Object.keys(OVERLAYS).filter((id) => map.hasLayer(OVERLAYS[id])),
+      focus: focusName !== defaultFocus ? focusName : undefined,
+    };
+  }
+
+  // Keep the URL in sync with view, basemap and overlay toggles
+  if (useUrlState) {
+    const syncUrl = () => writeUrlState(currentUrlState());
+    map.on("moveend baselayerchange overlayadd overlayremove focus:change", syncUrl);
+
+    // Hand-edited or pasted hashes apply without a reload
+    window.addEventListener("hashchange", () => {
+      const next = parseUrlState(window.location.hash);
+      if (next.view) map.setView(next.view.center, next.view.zoom);
+      if (next.base) setBasemap(next.base);
+      setFocus(next.focus || defaultFocus);
+      if (next.overlays) applyOverlayVisibility(next.overlays);
+    });
+  }
+
+  // Print layout: ?print=letter-landscape (size-orientation; bare ?print uses
+  // print.layout). The QR code and back link open the same view without it.
+  const printParam = new URLSearchParams(window.location.search).get("print");
+  if (printParam != null) {
+    const printCfg = CONFIG.print || {};
+    const layout = parsePrintLayout(printParam || printCfg.layout || "letter-landscape");
+    if (!layout) {
+      banner.show(
+        `Unknown print layout "${printParam}"; use letter, tabloid or a4, optionally ` +
+          "followed by -portrait or -landscape.",
+        "warning"
+      );
+    } else {
+      createPrintPage(map, layout, {
+        title: () =>
+          String(printCfg.title || document.title).replace("{focus}", titleCase(focusName || "")),
+        subtitle: printCfg.subtitle,
+        date: printCfg.date,
+        qr: printCfg.qr,
+        liveUrl: () => {
+          const url = new URL(window.location.href);
+          url.searchParams.delete("print");
+          url.hash = formatUrlState(currentUrlState());
+          return url.href;
+        },
+      });
+    }
+  }
+
+  // Embed API: host pages drive the map via postMessage when framed; "ready"
+  // waits for each visible overlay to load or fail for good
+  const visibleReady = Object.keys(OVERLAYS)
+    .filter((id) => map.hasLayer(OVERLAYS[id]))
+    .map((id) => overlayReady(map, id));
+  initEmbedApi(map, {
+    allowedOrigins: CONFIG.embed?.allowedOrigins,
+    overlayIds: identifyIds.length ? identifyIds : Object.keys(OVERLAYS),
+    setBasemap,
+    basemapId: activeBasemapId,
+    ready: Promise.allSettled(visibleReady),
+  });
+
+  // Load CPA label overrides (CSV), refresh labels (label.overrides), then
+  // validate the rows against the names the overlays actually returned
   fetch("data/cpa-labels.csv")
-    .then((r) => r.text())
+    .then((r) => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.text();
+    })
     .then((text) => {
-      const lines = text.trim().split(/\r?\n/);
-      const header = (lines.shift() || "").toUpperCase();
-      // Expect "CPNAME,LABEL"
-      if (!/^CPNAME\s*,\s*LABEL/.test(header)) {
-        console.warn("cpa-labels.csv header not recognized:", header);
-      }
-      const mapCSV = Object.create(null);
-      for (const line of lines) {
-        // split at first comma only
-        const m = line.match(/^(.*?),(.*)$/);
-        if (!m) continue;
-        const rawKey = m[1].trim();
-        const rawVal = m[2].trim();
-        if (!rawKey) continue;
-        mapCSV[rawKey.toUpperCase()] = rawVal;
-      }
-      window.CPA_LABEL_OVERRIDES = mapCSV;
-      OVERLAYS["cpas-context"]?.refreshLabels?.();
-      console.debug("Loaded label overrides:", Object.keys(mapCSV).length);
+      const parsed = parseLabelCSV(text);
+      window.CPA_LABEL_OVERRIDES = parsed.overrides;
+      Object.values(OVERLAYS).forEach((g) => g?.refreshLabels?.());
+      console.debug("Loaded label overrides:", Object.keys(parsed.overrides).length);
+
+      const labeled = (layers?.overlays || []).filter(
+        (e) => e.label?.prop && OVERLAYS[e.id] && map.hasLayer(OVERLAYS[e.id])
+      );
+      return Promise.all(labeled.map((e) => OVERLAYS[e.id].ready)).then(() => {
+        const names = labeled.flatMap((e) =>
+          OVERLAYS[e.id].getFeatures().map((f) => f.properties?.[e.label.prop])
+        );
+        logLabelReport(
+          validateLabelOverrides(
+            parsed,
+            names.filter((n) => n != null)
+          )
+        );
+      });
     })
-    .catch((e) => console.error("cpa-labels.csv load/parse failed:", e));
+    .catch((e) => {
+      console.error("cpa-labels.csv load/parse failed:", e);
+      map.fire("app:error", {
+        message: `Label overrides failed to load (${e.message}).`,
+        level: "warning",
+      });
+    });
 })();
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/* ============================================================================
+ * check-plan-urls.js — verify the community plan links in data/cpa-labels.csv
+ * - Requests every Url (HEAD, then GET if the server refuses HEAD) and lists
+ *   the ones that do not end in a 2xx after redirects
+ * - The CSV is parsed with parseLabelCSV from src/label-csv.js, so it reads
+ *   the file exactly as the map does
+ * - Needs network access
+ *
+ * Usage:
+ *   node scripts/check-plan-urls.js
+ * ========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseLabelCSV } = require("../src/label-csv.js");
+
+const ROOT = path.resolve(__dirname, "..");
+
+const TIMEOUT_MS = 15000;
+
+/**
+ * Final status of a URL, or the network error.
+ * @param {string} url
+ * @returns {Promise<string|number>}
+ */
+async function check(url) {
+  const request = (method) =>
+    fetch(url, { method, redirect: "follow", signal: AbortSignal.timeout(TIMEOUT_MS) });
+  try {
+    let res = await request("HEAD");
+    if (res.status === 405 || res.status === 403) res = await request("GET");
+    return res.status;
+  } catch (err) {
+    return err.cause?.code || err.name || String(err);
+  }
+}
+
+async function main() {
+  const text = fs.readFileSync(path.join(ROOT, "data", "cpa-labels.csv"), "utf8");
+  const rows = Object.entries(parseLabelCSV(text).overrides);
+
+  const failed = [];
+  const byUrl = new Map();
+  for (const [cpname, row] of rows) {
+    if (!row.url) continue;
+    if (!byUrl.has(row.url)) byUrl.set(row.url, await check(row.url));
+    const status = byUrl.get(row.url);
+    if (!(status >= 200 && status < 300))
+      failed.push({ cpname, line: row.line, status, url: row.url });
+  }
+
+  const linked = rows.filter(([, row]) => row.url).length;
+  console.log(`${linked} of ${rows.length} plan areas have a Url; ${byUrl.size} distinct URLs.`);
+  if (failed.length) {
+    console.table(failed);
+    process.exitCode = 1;
+  } else {
+    console.log("All URLs answered 2xx.");
+  }
+}
+
+main();
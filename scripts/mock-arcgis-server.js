@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+/* ============================================================================
+ * mock-arcgis-server.js — local stand-in for the SANDAG / Esri services
+ * - Serves the app from the repo root, with APP_CONFIG rewritten to use this
+ *   server for every FeatureServer overlay and basemap (no network needed)
+ * - FeatureServer/0 metadata + query from a GeoJSON fixture; evaluates the
+ *   "where" clauses config.js uses (=, <>, IN, AND, 1=1), envelope filters,
+ *   paging, outFields, returnCountOnly/returnIdsOnly/returnExtentOnly,
+ *   f=json|geojson
+ * - Fixture raster tiles (one flat color per basemap id)
+ * - "--fail-queries" answers every query with HTTP 500, to try the snapshot
+ *   fallback (tests pass a failQuery predicate instead)
+ * - Requires Node 18+; no npm dependencies
+ *
+ * Usage:
+ *   node scripts/mock-arcgis-server.js                  # http://localhost:8787/
+ *   node scripts/mock-arcgis-server.js --port 9000 --data data/north-park.geojson
+ *   node scripts/mock-arcgis-server.js --fail-queries
+ *
+ * "--data" may repeat; the default is scripts/fixtures/cpas.geojson (a 3x3
+ * grid of plan areas around North Park).
+ *
+ * Tests require() this file and start the same server on a free port:
+ *   createMockServer(loadFeatures([DEFAULT_DATA]), { log: () => {}, failQuery }).listen(0)
+ * ========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const zlib = require("zlib");
+
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_DATA = path.join(__dirname, "fixtures", "cpas.geojson");
+
+/** Server-side page cap, like a FeatureServer's maxRecordCount. */
+const MAX_RECORD_COUNT = 2000;
+
+/** Path of the mock FeatureServer layer (the query endpoint is under it). */
+const LAYER_PATH = "/arcgis/rest/services/Mock/Community_Plan_SD/FeatureServer/0";
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".geojson": "application/geo+json",
+  ".csv": "text/csv; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+/** Tile colors per basemap id, so profile switches are visible. */
+const TILE_COLORS = {
+  osm: [242, 239, 233],
+  "light-gray": [232, 232, 232],
+  "dark-gray": [51, 51, 51],
+  imagery: [74, 93, 58],
+};
+
+/* ============================================================================
+ * Arguments & data
+ * ========================================================================== */
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.PORT) || 8787, data: [], failQueries: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else if (argv[i] === "--data") args.data.push(path.resolve(argv[++i]));
+    else if (argv[i] === "--fail-queries") args.failQueries = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!args.data.length) args.data.push(DEFAULT_DATA);
+  return args;
+}
+
+/**
+ * Merge GeoJSON files into one feature list with unique objectids.
+ * @param {string[]} files
+ * @returns {any[]}
+ */
+function loadFeatures(files) {
+  const features = files.flatMap((file) => JSON.parse(fs.readFileSync(file, "utf8")).features);
+  return features.map((f, i) => ({
+    ...f,
+    properties: { ...f.properties, objectid: f.properties?.objectid ?? i + 1 },
+  }));
+}
+
+/* ============================================================================
+ * Query evaluation
+ * ========================================================================== */
+
+/**
+ * Compile the subset of SQL-92 where clauses this app uses into a predicate.
+ * Supports: 1=1, field = 'x', field <> 'x', field [NOT] IN ('a', 'b'),
+ * numeric comparisons, joined with AND.
+ * @param {string} where
+ * @returns {(props: Object) => boolean}
+ */
+function compileWhere(where) {
+  const str = (s) => s.replace(/''/g, "'");
+  const tests = String(where || "1=1")
+    .trim()
+    .split(/\s+AND\s+/i)
+    .map((clause) => {
+      let m;
+      if (/^1\s*=\s*1$/.test(clause)) return () => true;
+
+      if ((m = clause.match(/^(\w+)\s*(=|<>|!=)\s*'((?:[^']|'')*)'$/))) {
+        const [, field, op, value] = m;
+        return (p) => (String(p[field]) === str(value)) === (op === "=");
+      }
+
+      if ((m = clause.match(/^(\w+)\s+(NOT\s+)?IN\s*\((.*)\)$/i))) {
+        const [, field, not, list] = m;
+        const values = [...list.matchAll(/'((?:[^']|'')*)'/g)].map((v) => str(v[1]));
+        return (p) => values.includes(String(p[field])) === !not;
+      }
+
+      if ((m = clause.match(/^(\w+)\s*(=|<>|!=|>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/))) {
+        const [, field, op, raw] = m;
+        const n = Number(raw);
+        const cmp = {
+          "=": (a) => a === n,
+          "<>": (a) => a !== n,
+          "!=": (a) => a !== n,
+          ">=": (a) => a >= n,
+          "<=": (a) => a <= n,
+          ">": (a) => a > n,
+          "<": (a) => a < n,
+        }[op];
+        return (p) => cmp(Number(p[field]));
+      }
+
+      throw new Error(`Unsupported where clause: ${clause}`);
+    });
+  return (props) => tests.every((t) => t(props));
+}
+
+/**
+ * Parse an envelope "geometry" parameter into [west, south, east, north]
+ * in WGS84 (Web Mercator input is unprojected).
+ * @param {string} geometry JSON envelope or "xmin,ymin,xmax,ymax"
+ * @param {string} [inSR]
+ * @returns {number[]|null}
+ */
+function parseEnvelope(geometry, inSR) {
+  if (!geometry) return null;
+  const g = geometry.trim().startsWith("{")
+    ? JSON.parse(geometry)
+    : Object.fromEntries(
+        ["xmin", "ymin", "xmax", "ymax"].map((k, i) => [k, Number(geometry.split(",")[i])])
+      );
+  const wkid = String(g.spatialReference?.wkid ?? g.spatialReference?.latestWkid ?? inSR ?? 4326);
+  if (wkid === "102100" || wkid === "3857") {
+    const R = 6378137;
+    const lng = (x) => (x / R) * (180 / Math.PI);
+    const lat = (y) => (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * (180 / Math.PI);
+    return [lng(g.xmin), lat(g.ymin), lng(g.xmax), lat(g.ymax)];
+  }
+  return [g.xmin, g.ymin, g.xmax, g.ymax];
+}
+
+/** [west, south, east, north] of a Polygon/MultiPolygon. */
+function bboxOf(geometry) {
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  const polys = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  polys.flat(2).forEach(([x, y]) => {
+    b[0] = Math.min(b[0], x);
+    b[1] = Math.min(b[1], y);
+    b[2] = Math.max(b[2], x);
+    b[3] = Math.max(b[3], y);
+  });
+  return b;
+}
+
+/**
+ * Esri extent around all features.
+ * @param {any[]} features
+ */
+function extentOf(features) {
+  const b = features
+    .map((f) => bboxOf(f.geometry))
+    .reduce(
+      (a, c) => [
+        Math.min(a[0], c[0]),
+        Math.min(a[1], c[1]),
+        Math.max(a[2], c[2]),
+        Math.max(a[3], c[3]),
+      ],
+      [Infinity, Infinity, -Infinity, -Infinity]
+    );
+  return { xmin: b[0], ymin: b[1], xmax: b[2], ymax: b[3], spatialReference: { wkid: 4326 } };
+}
+
+const intersects = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+/**
+ * Esri JSON rings: outer rings clockwise, holes counter-clockwise.
+ * @param {any} geometry GeoJSON Polygon/MultiPolygon
+ * @returns {number[][][]}
+ */
+function toEsriRings(geometry) {
+  const clockwise = (ring) =>
+    ring.reduce((sum, [x1, y1], i) => {
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      return sum + (x2 - x1) * (y2 + y1);
+    }, 0) > 0;
+  const orient = (ring, cw) => (clockwise(ring) === cw ? ring : [...ring].reverse());
+  const polys = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polys.flatMap(([outer, ...holes]) => [
+    orient(outer, true),
+    ...holes.map((h) => orient(h, false)),
+  ]);
+}
+
+/** Schema reported for the fixture layer. */
+const FIELDS = [
+  { name: "objectid", type: "esriFieldTypeOID", alias: "objectid" },
+  { name: "cpname", type: "esriFieldTypeString", alias: "cpname", length: 50 },
+];
+
+/**
+ * Run a FeatureServer query against the fixture features.
+ * @param {any[]} features
+ * @param {URLSearchParams} params
+ * @returns {Object} Response body (GeoJSON, Esri JSON, or {error})
+ */
+function runQuery(features, params) {
+  const f = params.get("f") || "html";
+  if (f !== "json" && f !== "pjson" && f !== "geojson") {
+    return { error: { code: 400, message: `Unsupported format f=${f}`, details: [] } };
+  }
+
+  let match;
+  let envelope;
+  try {
+    match = compileWhere(params.get("where"));
+    envelope = parseEnvelope(params.get("geometry"), params.get("inSR"));
+  } catch (err) {
+    return { error: { code: 400, message: err.message, details: [] } };
+  }
+
+  const hits = features.filter(
+    (feat) => match(feat.properties) && (!envelope || intersects(envelope, bboxOf(feat.geometry)))
+  );
+
+  if (params.get("returnExtentOnly") === "true") {
+    return { extent: extentOf(hits), count: hits.length };
+  }
+  if (params.get("returnCountOnly") === "true") return { count: hits.length };
+  if (params.get("returnIdsOnly") === "true") {
+    return { objectIdFieldName: "objectid", objectIds: hits.map((h) => h.properties.objectid) };
+  }
+
+  const offset = Number(params.get("resultOffset")) || 0;
+  const count = Math.min(
+    Number(params.get("resultRecordCount")) || MAX_RECORD_COUNT,
+    MAX_RECORD_COUNT
+  );
+  const page = hits.slice(offset, offset + count);
+  const exceededTransferLimit = offset + count < hits.length;
+
+  const outFields = (params.get("outFields") || "*").split(",").map((s) => s.trim());
+  const pick = (props) =>
+    outFields.includes("*")
+      ? { ...props }
+      : Object.fromEntries(outFields.filter((k) => k in props).map((k) => [k, props[k]]));
+
+  const digits = params.get("geometryPrecision");
+  const round = (geom) =>
+    digits == null
+      ? geom
+      : JSON.parse(JSON.stringify(geom), (k, v) =>
+          typeof v === "number" ? Number(v.toFixed(digits)) : v
+        );
+  const withGeometry = params.get("returnGeometry") !== "false";
+
+  if (f === "geojson") {
+    return {
+      type: "FeatureCollection",
+      ...(exceededTransferLimit ? { properties: { exceededTransferLimit } } : {}),
+      features: page.map((feat) => ({
+        type: "Feature",
+        id: feat.properties.objectid,
+        properties: pick(feat.properties),
+        geometry: withGeometry ? round(feat.geometry) : null,
+      })),
+    };
+  }
+
+  return {
+    objectIdFieldName: "objectid",
+    geometryType: "esriGeometryPolygon",
+    spatialReference: { wkid: 4326, latestWkid: 4326 },
+    fields: FIELDS,
+    exceededTransferLimit,
+    features: page.map((feat) => ({
+      attributes: pick(feat.properties),
+      ...(withGeometry ? { geometry: { rings: toEsriRings(round(feat.geometry)) } } : {}),
+    })),
+  };
+}
+
+/**
+ * Layer metadata (what esri-leaflet reads from FeatureServer/0?f=json).
+ * @param {any[]} features
+ */
+function layerInfo(features) {
+  return {
+    id: 0,
+    name: "Community_Plan_SD",
+    type: "Feature Layer",
+    geometryType: "esriGeometryPolygon",
+    objectIdField: "objectid",
+    fields: FIELDS,
+    capabilities: "Query",
+    maxRecordCount: MAX_RECORD_COUNT,
+    supportedQueryFormats: "JSON, geoJSON",
+    supportsPagination: true,
+    advancedQueryCapabilities: { supportsPagination: true },
+    extent: extentOf(features),
+  };
+}
+
+/* ============================================================================
+ * Fixture tiles (flat-color 256px PNG with a 1px grid line)
+ * ========================================================================== */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+const TILE_CACHE = new Map();
+
+/**
+ * @param {number[]} rgb
+ * @returns {Buffer}
+ */
+function tilePng(rgb) {
+  const key = rgb.join(",");
+  if (TILE_CACHE.has(key)) return TILE_CACHE.get(key);
+
+  const size = 256;
+  const line = rgb.map((v) => (v > 127 ? v - 40 : v + 40));
+  const raw = Buffer.alloc((size * 3 + 1) * size);
+  for (let y = 0; y < size; y++) {
+    const row = y * (size * 3 + 1); // each row starts with filter byte 0
+    for (let x = 0; x < size; x++) {
+      const px = x === 0 || y === 0 ? line : rgb;
+      raw.set(px, row + 1 + x * 3);
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(size, 0);
+  ihdr.writeUInt32BE(size, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+  TILE_CACHE.set(key, png);
+  return png;
+}
+
+/* ============================================================================
+ * App config rewrite
+ * ========================================================================== */
+
+/**
+ * Script appended to config.js: point plan-area overlays and history sources
+ * at the mock FeatureServer (dropping the other FeatureServer overlays), swap
+ * every basemap for fixture tiles, stub the geocoder and turn off the service
+ * worker.
+ * @param {string} base e.g. "http://localhost:8787"
+ */
+function configOverrides(base) {
+  return `
+/* --- mock-arcgis-server overrides ---------------------------------------- */
+(function (cfg) {
+  // Only plan-area layers have fixtures; other FeatureServer overlays are dropped
+  cfg.layers.overlays = (cfg.layers.overlays || []).filter(function (o) {
+    return o.type !== "featureServer" || /Community_Plan_SD/.test(o.url);
+  });
+  cfg.layers.overlays.forEach(function (o) {
+    if (o.type === "featureServer") o.url = ${JSON.stringify(base + LAYER_PATH)};
+  });
+  ["before", "after"].forEach(function (k) {
+    var source = cfg.history && cfg.history[k];
+    if (source && source.type === "featureServer" && /Community_Plan_SD/.test(source.url)) {
+      source.url = ${JSON.stringify(base + LAYER_PATH)};
+    }
+  });
+  (cfg.layers.basemaps || []).forEach(function (b) {
+    b.type = "xyz";
+    b.url = ${JSON.stringify(base)} + "/tiles/" + b.id + "/{z}/{x}/{y}.png";
+    b.options = { maxZoom: 20, attribution: "Mock tiles" };
+    delete b.layers;
+    b.references = [];
+  });
+  if (cfg.search) cfg.search.provider = function () { return Promise.resolve(null); };
+  cfg.cache = { enabled: false }; // fixtures change; never serve them from a stale cache
+})(window.APP_CONFIG);
+`;
+}
+
+/* ============================================================================
+ * HTTP
+ * ========================================================================== */
+
+function send(res, status, body, type) {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+function sendJson(res, params, body) {
+  const callback = params.get("callback"); // JSONP, as older esri-leaflet clients use
+  if (callback && /^[\w.$]+$/.test(callback)) {
+    send(res, 200, `${callback}(${JSON.stringify(body)});`, MIME[".js"]);
+  } else {
+    send(res, 200, JSON.stringify(body), "application/json");
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function serveStatic(req, res, pathname) {
+  const file = path.normalize(path.join(ROOT, decodeURIComponent(pathname)));
+  if (!file.startsWith(ROOT)) return send(res, 403, "Forbidden", "text/plain");
+
+  const target =
+    fs.existsSync(file) && fs.statSync(file).isDirectory() ? path.join(file, "index.html") : file;
+  if (!fs.existsSync(target)) return send(res, 404, "Not found", "text/plain");
+
+  let body = fs.readFileSync(target);
+  if (target === path.join(ROOT, "config.js")) {
+    body = body + configOverrides(`http://${req.headers.host}`);
+  }
+  send(res, 200, body, MIME[path.extname(target)] || "application/octet-stream");
+}
+
+/**
+ * The mock server (not yet listening).
+ * @param {any[]} features From loadFeatures()
+ * @param {Object} [opts]
+ * @param {(line: string) => void} [opts.log] One line per query (default console.log)
+ * @param {(params: URLSearchParams) => boolean|Promise<boolean>} [opts.failQuery] Queries
+ *   answered with HTTP 500 and an ArcGIS error body, as an overloaded service does (a
+ *   promise holds the answer back until it settles)
+ * @returns {http.Server}
+ */
+function createMockServer(features, { log = console.log, failQuery = () => false } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const params = url.searchParams;
+      if (req.method === "OPTIONS") return send(res, 204, "", "text/plain");
+      if (req.method === "POST") {
+        new URLSearchParams(await readBody(req)).forEach((v, k) => params.set(k, v));
+      }
+
+      if (url.pathname === `${LAYER_PATH}/query`) {
+        if (await failQuery(params)) {
+          log(`query where=${params.get("where")} -> failed (500)`);
+          const error = { code: 500, message: "Error performing query operation", details: [] };
+          return send(res, 500, JSON.stringify({ error }), "application/json");
+        }
+        const body = runQuery(features, params);
+        log(
+          `query where=${params.get("where")} f=${params.get("f")} -> ${
+            body.features?.length ?? body.count ?? "error"
+          }`
+        );
+        return sendJson(res, params, body);
+      }
+      if (url.pathname === LAYER_PATH || url.pathname === `${LAYER_PATH}/`) {
+        return sendJson(res, params, layerInfo(features));
+      }
+
+      const tile = url.pathname.match(/^\/tiles\/([\w-]+)\/\d+\/\d+\/\d+\.png$/);
+      if (tile)
+        return send(res, 200, tilePng(TILE_COLORS[tile[1]] || [221, 221, 221]), MIME[".png"]);
+
+      return serveStatic(req, res, url.pathname);
+    } catch (err) {
+      console.error(err);
+      send(res, 500, String(err.message || err), "text/plain");
+    }
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const features = loadFeatures(args.data);
+
+  const failQuery = () => args.failQueries;
+  createMockServer(features, { failQuery }).listen(args.port, () => {
+    console.log(`Mock ArcGIS server: http://localhost:${args.port}/`);
+    console.log(`FeatureServer: http://localhost:${args.port}${LAYER_PATH}`);
+    console.log(
+      `${features.length} feature(s) from ${args.data
+        .map((d) => path.relative(ROOT, d))
+        .join(", ")}`
+    );
+  });
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { createMockServer, loadFeatures, DEFAULT_DATA, LAYER_PATH };
+}
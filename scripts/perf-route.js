@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/* ============================================================================
+ * perf-route.js — request counts for a fixed pan/zoom route (no browser)
+ * - Runs the app in jsdom against scripts/mock-arcgis-server.js (see
+ *   test/harness.js) and drives the same moves every time
+ * - Prints, per step, the mock server's requests by kind (requestKind() in
+ *   src/diagnostics.js) and the synchronous time of the move in jsdom
+ * - jsdom neither paints nor loads images: tile counts stay 0 and the times
+ *   are not frame times (use ?perf in a browser for those)
+ * - Needs the dev dependencies (npm install)
+ *
+ * Usage:
+ *   node scripts/perf-route.js
+ * ========================================================================== */
+
+"use strict";
+
+const { startApp, waitFor } = require("../test/harness");
+
+/** The route: [label, move] pairs, starting from the fitted focus area. */
+const ROUTE = [
+  ["load", () => {}],
+  ["pan east 400px", (map) => map.panBy([400, 0], { animate: false })],
+  ["pan south 300px", (map) => map.panBy([0, 300], { animate: false })],
+  ["zoom in", (map) => map.zoomIn(1, { animate: false })],
+  ["zoom in", (map) => map.zoomIn(1, { animate: false })],
+  ["pan west 600px", (map) => map.panBy([-600, 0], { animate: false })],
+  ["pan north 500px", (map) => map.panBy([0, -500], { animate: false })],
+  ["zoom out", (map) => map.zoomOut(1, { animate: false })],
+  ["zoom out", (map) => map.zoomOut(1, { animate: false })],
+  ["zoom out", (map) => map.zoomOut(1, { animate: false })],
+];
+
+async function main() {
+  const app = await startApp();
+  const { requestKind } = app.helpers;
+
+  // Settled: no new request for 400 ms
+  const settle = async () => {
+    let seen = -1;
+    let quiet = 0;
+    await waitFor(() => {
+      quiet = app.requests.length === seen ? quiet + 1 : 0;
+      seen = app.requests.length;
+      return quiet >= 20;
+    }, 30000);
+  };
+
+  const rows = [];
+  try {
+    for (const [step, move] of ROUTE) {
+      const start = app.requests.length;
+      const t0 = process.hrtime.bigint();
+      move(app.map);
+      const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+      await settle();
+
+      const counts = { query: 0, metadata: 0, tile: 0, other: 0 };
+      app.requests.slice(start).forEach((url) => counts[requestKind(url)]++);
+      rows.push({ step, zoom: app.map.getZoom(), ...counts, syncMs: Number(ms.toFixed(1)) });
+    }
+  } finally {
+    await app.close();
+  }
+  console.table(rows);
+
+  const moves = rows.slice(1);
+  const total = (key) => moves.reduce((sum, row) => sum + row[key], 0);
+  console.log(
+    `Moves: ${total("query")} queries, ${total("metadata")} metadata requests, ` +
+      `${total("syncMs").toFixed(0)} ms synchronous`
+  );
+  if (app.errors.length) console.error(app.errors.join("\n"));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/* ============================================================================
+ * snapshot-overlays.js — save FeatureServer overlays as local GeoJSON
+ * - Reads APP_CONFIG from config.js (same file the browser loads)
+ * - For each featureServer overlay with a "fallbackUrl", runs its where/fields
+ *   query and writes the result to that path (relative to the repo root)
+ * - Overlays listed by id are saved even without one, to data/<id>.geojson;
+ *   set that path as their fallbackUrl once the file is committed
+ * - Requires Node 18+ (global fetch); no npm dependencies
+ *
+ * Usage:
+ *   node scripts/snapshot-overlays.js            # all overlays with fallbackUrl
+ *   node scripts/snapshot-overlays.js north-park # only the listed ids
+ *   node scripts/snapshot-overlays.js cpas-context north-park # first snapshots
+ * ========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+
+/** Page size for resultOffset paging (under typical maxRecordCount). */
+const PAGE_SIZE = 1000;
+
+/**
+ * Evaluate config.js with a stand-in window and return APP_CONFIG.
+ * @returns {any}
+ */
+function loadConfig() {
+  const sandbox = { window: {} };
+  const code = fs.readFileSync(path.join(ROOT, "config.js"), "utf8");
+  vm.runInNewContext(code, sandbox, { filename: "config.js" });
+  return sandbox.window.APP_CONFIG;
+}
+
+/**
+ * Where clause for an overlay. "focus"/"context" overlays follow APP_CONFIG.focus
+ * (same clause as focusWhere in src/geometry.js), so the snapshots hold the default focus
+ * CPA and everything else.
+ * @param {any} entry Overlay config entry
+ * @param {any} config APP_CONFIG
+ * @returns {string}
+ */
+function whereFor(entry, config) {
+  const cpname = config.focus?.cpname;
+  if (!entry.role || !cpname) return entry.where ?? "1=1";
+  const value = `'${String(cpname).toUpperCase().replace(/'/g, "''")}'`;
+  return `${config.focus.field || "cpname"} ${entry.role === "focus" ? "=" : "<>"} ${value}`;
+}
+
+/**
+ * Query a FeatureServer layer as GeoJSON (WGS84), following resultOffset
+ * pages until the server stops reporting exceededTransferLimit.
+ * @param {any} entry Overlay config entry
+ * @param {string} where
+ * @returns {Promise<{type: "FeatureCollection", features: any[]}>}
+ */
+async function queryAll(entry, where) {
+  const features = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const params = new URLSearchParams({
+      where,
+      outFields: (entry.fields ?? ["*"]).join(","),
+      returnGeometry: "true",
+      outSR: "4326",
+      geometryPrecision: "6", // ~0.1 m; keeps snapshots small
+      orderByFields: "objectid",
+      resultOffset: String(offset),
+      resultRecordCount: String(PAGE_SIZE),
+      f: "geojson",
+    });
+    const res = await fetch(`${entry.url}/query?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${entry.url}`);
+
+    const page = await res.json();
+    if (page.error) throw new Error(`${page.error.code}: ${page.error.message}`);
+
+    features.push(...(page.features || []));
+    const more = page.exceededTransferLimit || page.properties?.exceededTransferLimit;
+    if (!more || !page.features?.length) break;
+  }
+  return { type: "FeatureCollection", features };
+}
+
+async function main() {
+  const config = loadConfig();
+  const only = process.argv.slice(2);
+
+  const entries = (config?.layers?.overlays || []).filter(
+    (e) => e.type === "featureServer" && (only.length ? only.includes(e.id) : e.fallbackUrl)
+  );
+  if (!entries.length) {
+    console.error(
+      only.length
+        ? `No featureServer overlays with id ${only.join(", ")}.`
+        : "No featureServer overlays with a fallbackUrl; list overlay ids to save."
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const entry of entries) {
+    const fc = await queryAll(entry, whereFor(entry, config));
+    const file = entry.fallbackUrl || `data/${entry.id}.geojson`;
+    const out = path.join(ROOT, file);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(fc) + "\n");
+    console.log(`${entry.id}: ${fc.features.length} feature(s) -> ${file}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("Snapshot failed:", err.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+/* ============================================================================
+ * basemaps.js — basemaps (config-driven; see APP_CONFIG.layers.basemaps)
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Custom pane stacking: tile(200) < imagery(300) < swipe(320) < planning(340) <
+ * ref(350) < overlays(400) < tooltips(650). "planning" keeps zoning/parcel
+ * fills under reference labels and CPA boundaries; "swipe" holds the
+ * right-hand basemap of the swipe comparison (see SwipeControl).
+ */
+const BASEMAP_PANES = { imagery: 300, swipe: 320, planning: 340, ref: 350 };
+
+/** Used when config.js lists no basemaps. */
+const DEFAULT_BASEMAPS = [
+  {
+    id: "osm",
+    name: "OpenStreetMap",
+    type: "xyz",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    options: { maxZoom: 20 },
+    attribution: "© OpenStreetMap contributors",
+    default: true,
+  },
+];
+
+/**
+ * Create a custom pane on first use (z-index from BASEMAP_PANES).
+ * @param {L.Map} map
+ * @param {string} [name]
+ * @returns {string|undefined} Pane name to pass to layer options
+ */
+function ensurePane(map, name) {
+  if (!name) return undefined;
+  if (!map.getPane(name)) {
+    map.createPane(name);
+    if (BASEMAP_PANES[name] != null) map.getPane(name).style.zIndex = BASEMAP_PANES[name];
+  }
+  return name;
+}
+
+/**
+ * Build one Leaflet layer from a basemap (or reference) definition.
+ * Types: xyz | esriTiled | esriImage | esriVectorTile | group
+ * Not added to the map; the caller decides what is visible.
+ * @param {L.Map} map
+ * @param {any} def Basemap/reference definition (see config.js typedef)
+ * @returns {L.Layer}
+ */
+function createBasemapLayer(map, def) {
+  const pane = ensurePane(map, def.pane);
+  const opts = {
+    ...(def.options || {}),
+    // Opt-in: hosts without CORS headers fail to load in CORS mode (PNG export skips them)
+    ...(def.crossOrigin ? { crossOrigin: def.crossOrigin } : {}),
+    ...(pane ? { pane } : {}),
+    ...(def.attribution ? { attribution: def.attribution } : {}),
+  };
+
+  switch (def.type) {
+    case "xyz":
+      return L.tileLayer(def.url, opts);
+
+    case "esriTiled":
+      return L.esri.tiledMapLayer({ url: def.url, ...opts });
+
+    case "esriImage": {
+      const imagery = L.esri.imageMapLayer({ url: def.url, opacity: 1, ...opts });
+      imagery.once("load", () => console.debug("Imagery basemap loaded:", def.url));
+      return imagery;
+    }
+
+    case "esriVectorTile": {
+      // Requires esri-leaflet-vector + MapLibre CSS (included in index.html)
+      const vt = L.esri.Vector.vectorTileLayer(def.itemId || def.url, {
+        portalUrl: def.portalUrl || "https://www.arcgis.com",
+        ...opts,
+      });
+      vt.on("load", () => console.debug("Vector tile layer loaded:", def.itemId || def.url));
+      vt.on("error", (e) => console.warn("Vector tile layer error:", def.itemId || def.url, e));
+      return vt;
+    }
+
+    case "group":
+      // Children inherit the group's pane/options unless they set their own
+      return L.layerGroup(
+        (def.layers || []).map((child) =>
+          createBasemapLayer(map, {
+            pane: def.pane,
+            attribution: def.attribution,
+            crossOrigin: def.crossOrigin,
+            ...child,
+            options: { ...(def.options || {}), ...(child.options || {}) },
+          })
+        )
+      );
+
+    default:
+      console.warn("Unknown basemap type:", def.type, def.id);
+      return L.layerGroup();
+  }
+}
+
+/**
+ * Build all basemaps and their companion reference overlays from config.
+ * Nothing is added to the map here; see the bootstrap for default selection.
+ * @param {L.Map} map
+ * @param {any[]} [defs] APP_CONFIG.layers.basemaps
+ * @returns {Array<{id: string, name: string, def: any, layer: L.Layer, references: L.Layer[]}>}
+ */
+function createBasemaps(map, defs) {
+  const list = Array.isArray(defs) && defs.length ? defs : DEFAULT_BASEMAPS;
+  const leaves = (layer) =>
+    layer instanceof L.LayerGroup ? layer.getLayers().flatMap(leaves) : [layer];
+
+  return list.map((def, i) => {
+    const basemap = {
+      id: def.id || `basemap-${i + 1}`,
+      name: def.name || def.id || `Basemap ${i + 1}`,
+      def,
+      layer: createBasemapLayer(map, def),
+      references: (def.references || []).map((ref) => createBasemapLayer(map, ref)),
+    };
+
+    // Loading / retry status for every tile source (group children, references)
+    const sources = [...leaves(basemap.layer), ...basemap.references.flatMap(leaves)];
+    sources.forEach((layer, n) =>
+      watchLayerStatus(map, layer, {
+        key: `basemap:${basemap.id}:${n}`,
+        name: n === 0 ? `${basemap.name} basemap` : `${basemap.name} labels`,
+      })
+    );
+    return basemap;
+  });
+}
@@ -0,0 +1,222 @@
+/* ============================================================================
+ * compare.js — per-layer opacity sliders and a basemap swipe (split screen)
+ * ========================================================================== */
+
+"use strict";
+
+/** Opacity last set through setLayerOpacity (layers without getOpacity). */
+const LAYER_OPACITY = new WeakMap();
+
+/**
+ * Set a layer's opacity: setOpacity() where the layer has it (tiles, imagery,
+ * overlay groups), else every child of a group, else the layer's container.
+ * @param {L.Layer} layer
+ * @param {number} value 0-1
+ */
+function setLayerOpacity(layer, value) {
+  LAYER_OPACITY.set(layer, value);
+  if (typeof layer.setOpacity === "function") layer.setOpacity(value);
+  else if (layer instanceof L.LayerGroup) layer.eachLayer((l) => setLayerOpacity(l, value));
+  else if (typeof layer.getContainer === "function" && layer.getContainer()) {
+    layer.getContainer().style.opacity = String(value);
+  }
+}
+
+/**
+ * @param {L.Layer} layer
+ * @returns {number} 0-1
+ */
+function getLayerOpacity(layer) {
+  if (typeof layer.getOpacity === "function") return layer.getOpacity();
+  return LAYER_OPACITY.get(layer) ?? layer.options?.opacity ?? 1;
+}
+
+/**
+ * Layers control with an opacity slider under each layer that is on the map.
+ * Leaflet rebuilds the rows on every toggle, so sliders read the current value.
+ * Usage: new OpacityLayersControl(baseLayers, overlays, { collapsed: false })
+ */
+const OpacityLayersControl = L.Control.Layers.extend({
+  _addItem: function (obj) {
+    const label = L.Control.Layers.prototype._addItem.call(this, obj);
+    if (!this._map?.hasLayer(obj.layer)) return label;
+
+    const slider = L.DomUtil.create("input", "np-opacity");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.step = "5";
+    slider.value = String(Math.round(getLayerOpacity(obj.layer) * 100));
+    slider.setAttribute("aria-label", `${label.textContent.trim()} opacity`);
+    slider.addEventListener("input", () => {
+      setLayerOpacity(obj.layer, slider.value / 100);
+      slider.setAttribute("aria-valuetext", `${slider.value}%`);
+    });
+    label.parentNode.insertBefore(slider, label.nextSibling);
+    return label;
+  },
+});
+
+/**
+ * Swipe comparison: a second basemap in the "swipe" pane, shown right of a
+ * draggable divider over the active basemap (left). Overlays draw across both.
+ * The divider handle is a keyboard slider (arrows, Home/End).
+ * Usage: new SwipeControl({ basemaps, activeId: () => id, defaultId }).addTo(map)
+ */
+const SwipeControl = L.Control.extend({
+  options: {
+    position: "topright",
+    /** @type {Array<{id: string, name: string, def: any}>} from createBasemaps */
+    basemaps: [],
+    /** @type {() => string|undefined} Id of the basemap shown on the left */
+    activeId: () => undefined,
+    /** Preferred right-hand basemap id */
+    defaultId: null,
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    this._ratio = 0.5;
+    this._right = null; // {id, layer}
+    this._layers = {}; // swipe copies per basemap id, built on first use
+
+    const div = L.DomUtil.create("div", "np-swipe leaflet-control");
+    div.innerHTML =
+      '<button type="button" aria-pressed="false" title="Compare two basemaps side by side">Swipe</button>' +
+      '<label for="np-swipe-select">Right</label><select id="np-swipe-select"></select>';
+    this._button = div.querySelector("button");
+    this._select = div.querySelector("select");
+    this._select.innerHTML = this.options.basemaps
+      .map((b) => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)}</option>`)
+      .join("");
+    this._select.value = this._pickRight(this.options.defaultId);
+
+    this._button.addEventListener("click", () => (this._right ? this.stop() : this.start()));
+    this._select.addEventListener("change", () => this._right && this.start());
+    this._onMove = () => this._clip();
+    this._onBaseChange = () => {
+      if (this._right?.id === this.options.activeId()) this._select.value = this._pickRight();
+      if (this._right) this.start();
+    };
+    map.on("baselayerchange", this._onBaseChange);
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  onRemove: function (map) {
+    this.stop();
+    map.off("baselayerchange", this._onBaseChange);
+  },
+
+  /** Show the selected basemap right of the divider (or switch to it). */
+  start: function () {
+    const map = this._map;
+    const id = this._select.value;
+    const basemap = this.options.basemaps.find((b) => b.id === id);
+    if (!basemap) return this;
+    if (this._right?.id !== id) {
+      if (this._right) map.removeLayer(this._right.layer);
+      const pane = ensurePane(map, "swipe");
+      this._layers[id] ||= createBasemapLayer(map, { ...basemap.def, pane });
+      this._right = { id, layer: this._layers[id].addTo(map) };
+    }
+    if (!this._divider) this._createDivider();
+    map.on("move resize", this._onMove);
+    this._button.setAttribute("aria-pressed", "true");
+    this._clip();
+    return this;
+  },
+
+  stop: function () {
+    const map = this._map;
+    if (this._right) map.removeLayer(this._right.layer);
+    this._right = null;
+    this._divider?.remove();
+    this._divider = null;
+    map.off("move resize", this._onMove);
+    const pane = map.getPane("swipe");
+    if (pane) {
+      pane.style.clip = "";
+      delete pane.dataset.clipX;
+    }
+    this._button.setAttribute("aria-pressed", "false");
+    return this;
+  },
+
+  /**
+   * A basemap id other than the left one, preferring `preferred`.
+   * @param {string} [preferred]
+   * @returns {string}
+   */
+  _pickRight: function (preferred) {
+    const left = this.options.activeId();
+    const ids = this.options.basemaps.map((b) => b.id).filter((id) => id !== left);
+    return ids.includes(preferred) ? preferred : ids[0] || left || "";
+  },
+
+  _createDivider: function () {
+    const divider = L.DomUtil.create("div", "np-swipe-divider", this._map.getContainer());
+    const handle = L.DomUtil.create("div", "np-swipe-handle", divider);
+    handle.tabIndex = 0;
+    handle.setAttribute("role", "slider");
+    handle.setAttribute("aria-label", "Swipe divider position");
+    handle.setAttribute("aria-valuemin", "0");
+    handle.setAttribute("aria-valuemax", "100");
+    this._divider = divider;
+    this._handle = handle;
+
+    const moveTo = (clientX) => {
+      const rect = this._map.getContainer().getBoundingClientRect();
+      this._setRatio((clientX - rect.left) / rect.width);
+    };
+    handle.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // no map drag
+      handle.setPointerCapture(e.pointerId);
+      const onMove = (ev) => moveTo(ev.clientX);
+      const onUp = () => {
+        handle.removeEventListener("pointermove", onMove);
+        handle.removeEventListener("pointerup", onUp);
+        handle.removeEventListener("pointercancel", onUp);
+      };
+      handle.addEventListener("pointermove", onMove);
+      handle.addEventListener("pointerup", onUp);
+      handle.addEventListener("pointercancel", onUp);
+    });
+    handle.addEventListener("keydown", (e) => {
+      const steps = { ArrowLeft: -0.05, ArrowRight: 0.05, Home: -1, End: 1 };
+      if (!(e.key in steps)) return;
+      e.preventDefault();
+      e.stopPropagation(); // keep the map from panning
+      this._setRatio(this._ratio + steps[e.key]);
+    });
+    L.DomEvent.disableClickPropagation(divider);
+  },
+
+  /** @param {number} ratio Divider position, 0 (left edge) to 1 */
+  _setRatio: function (ratio) {
+    this._ratio = Math.min(1, Math.max(0, ratio));
+    this._clip();
+  },
+
+  /**
+   * Clip the swipe pane to the right of the divider. Panes move with the map,
+   * so the rectangle is in layer points and is recomputed on every move.
+   */
+  _clip: function () {
+    if (!this._right) return;
+    const map = this._map;
+    const size = map.getSize();
+    const x = Math.round(size.x * this._ratio);
+    const nw = map.containerPointToLayerPoint([0, 0]);
+    const se = map.containerPointToLayerPoint(size);
+    const left = map.containerPointToLayerPoint([x, 0]).x;
+    const pane = map.getPane("swipe");
+    pane.style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${left}px)`;
+    pane.dataset.clipX = String(x); // PNG export clips the same way
+    this._divider.style.left = `${x}px`;
+    this._handle.setAttribute("aria-valuenow", String(Math.round(this._ratio * 100)));
+  },
+});
@@ -0,0 +1,553 @@
+/* ============================================================================
+ * config-validation.js — config validation + in-map error banner
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * @typedef {Object} ConfigIssue
+ * @property {'error'|'warning'} level
+ * @property {string} path e.g. "layers.overlays[1].style.color"
+ * @property {string} message
+ */
+
+const BASEMAP_TYPES = ["xyz", "esriTiled", "esriImage", "esriVectorTile", "group"];
+const OVERLAY_TYPES = ["featureServer", "geojson"];
+
+const keyList = (str) => str.trim().split(/\s+/);
+
+/** Known keys per config object; anything else is reported as a likely typo. */
+const CONFIG_KEYS = {
+  root: keyList(`map focus dataSource layers search export legend measure keyboard compare history
+    neighbors print theme cache embed attribution`),
+  map: ["center", "zoom", "urlState"],
+  basemap: ["id", "name", "default", "contrastProfile", "references"],
+  basemapLayer: keyList("type url itemId portalUrl pane options attribution crossOrigin layers"),
+  overlay: keyList(`id type url fallbackUrl where fields mode renderer style casing styles label
+    name attribution fitBounds identify popup role visible minZoom clipTo pane symbology`),
+  pathStyle: keyList(
+    "color weight opacity fillColor fillOpacity fill dashArray dashOffset lineCap lineJoin radius"
+  ),
+  label: ["prop", "text", "minZoom", "skipValues", "overrides", "priority"],
+};
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * CSS color check (uses the browser's parser when available).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isCssColor(value) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  if (typeof CSS !== "undefined" && CSS.supports) return CSS.supports("color", value);
+  return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.+\)|[a-z]+)$/i.test(value.trim());
+}
+
+/**
+ * Absolute http(s) URL (or, with allowRelative, any URL resolvable against the page).
+ * @param {any} value
+ * @param {boolean} [allowRelative]
+ * @returns {boolean}
+ */
+function isValidUrl(value, allowRelative = false) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  try {
+    const url = allowRelative ? new URL(value, "http://localhost/") : new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate APP_CONFIG against the typedefs documented in config.js.
+ * Errors break a feature (e.g. a skipped overlay); warnings are likely typos
+ * or values Leaflet will silently ignore.
+ * @param {any} cfg
+ * @returns {ConfigIssue[]}
+ */
+function validateConfig(cfg) {
+  /** @type {ConfigIssue[]} */
+  const issues = [];
+  const error = (path, message) => issues.push({ level: "error", path, message });
+  const warn = (path, message) => issues.push({ level: "warning", path, message });
+
+  const unknownKeys = (obj, known, path) =>
+    Object.keys(obj).forEach((k) => {
+      if (!known.includes(k)) warn(`${path}.${k}`.replace(/^\./, ""), "unknown key (typo?)");
+    });
+  const expectType = (value, type, path) => {
+    if (value === undefined || typeof value === type) return true;
+    error(path, `expected a ${type}, got ${JSON.stringify(value)}`);
+    return false;
+  };
+
+  if (!isPlainObject(cfg)) {
+    error("APP_CONFIG", "must be an object");
+    return issues;
+  }
+  unknownKeys(cfg, CONFIG_KEYS.root, "");
+
+  // ----- map ---------------------------------------------------------------
+  const mapCfg = cfg.map;
+  if (!isPlainObject(mapCfg)) {
+    error("map", "is required ({center, zoom})");
+  } else {
+    unknownKeys(mapCfg, CONFIG_KEYS.map, "map");
+    const [lat, lng] = Array.isArray(mapCfg.center) ? mapCfg.center : [];
+    if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+      error("map.center", "must be [lat, lng] in degrees");
+    }
+    if (!Number.isFinite(mapCfg.zoom)) error("map.zoom", "must be a number");
+    expectType(mapCfg.urlState, "boolean", "map.urlState");
+  }
+  expectType(cfg.attribution, "string", "attribution");
+
+  const focus = cfg.focus;
+  if (focus !== undefined) {
+    if (!isPlainObject(focus)) error("focus", "must be an object ({cpname, field?, picker?})");
+    else {
+      unknownKeys(focus, ["cpname", "field", "picker"], "focus");
+      if (typeof focus.cpname !== "string" || !focus.cpname.trim()) {
+        error("focus.cpname", "is required (the emphasized CPA name)");
+      }
+      if (focus.field !== undefined && !/^\w+$/.test(focus.field)) {
+        error("focus.field", "must be a field name");
+      }
+      expectType(focus.picker, "boolean", "focus.picker");
+    }
+  }
+  if (cfg.dataSource !== undefined && !["live", "local"].includes(cfg.dataSource)) {
+    error("dataSource", `must be "live" or "local", got ${JSON.stringify(cfg.dataSource)}`);
+  }
+
+  // ----- basemaps ----------------------------------------------------------
+  const basemaps = cfg.layers?.basemaps;
+  let maxZoom = 0;
+
+  const checkBasemapLayer = (def, path) => {
+    if (!isPlainObject(def)) return error(path, "must be an object");
+    if (!BASEMAP_TYPES.includes(def.type)) {
+      return error(`${path}.type`, `must be one of ${BASEMAP_TYPES.join(", ")}`);
+    }
+    if (def.type === "group") {
+      if (!Array.isArray(def.layers) || !def.layers.length) {
+        error(`${path}.layers`, 'a "group" needs a non-empty layers array');
+      }
+      (def.layers || []).forEach((child, i) => {
+        unknownKeys(child, CONFIG_KEYS.basemapLayer, `${path}.layers[${i}]`);
+        checkBasemapLayer(child, `${path}.layers[${i}]`);
+      });
+    } else if (def.type === "esriVectorTile" && !def.itemId && !isValidUrl(def.url)) {
+      error(path, "esriVectorTile needs an itemId or a service url");
+    } else if (def.type !== "esriVectorTile" && !isValidUrl(def.url)) {
+      error(`${path}.url`, `not a valid http(s) URL: ${JSON.stringify(def.url)}`);
+    }
+    if (def.pane !== undefined && !(def.pane in BASEMAP_PANES)) {
+      warn(
+        `${path}.pane`,
+        `unknown pane; expected one of ${Object.keys(BASEMAP_PANES).join(", ")}`
+      );
+    }
+    if (
+      def.crossOrigin !== undefined &&
+      ![true, false, "anonymous", "use-credentials"].includes(def.crossOrigin)
+    ) {
+      warn(`${path}.crossOrigin`, 'expected true, false, "anonymous" or "use-credentials"');
+    }
+    maxZoom = Math.max(maxZoom, Number(def.options?.maxZoom ?? 18));
+  };
+
+  if (basemaps !== undefined && !Array.isArray(basemaps)) {
+    error("layers.basemaps", "must be an array");
+  }
+  const basemapIds = new Set();
+  (Array.isArray(basemaps) ? basemaps : []).forEach((b, i) => {
+    const path = `layers.basemaps[${i}]`;
+    if (!isPlainObject(b)) return error(path, "must be an object");
+    unknownKeys(b, [...CONFIG_KEYS.basemap, ...CONFIG_KEYS.basemapLayer], path);
+    if (typeof b.id !== "string" || !b.id) error(`${path}.id`, "is required (used in deep links)");
+    else if (basemapIds.has(b.id)) error(`${path}.id`, `duplicate id "${b.id}"`);
+    else basemapIds.add(b.id);
+    if (b.contrastProfile !== undefined && !["light", "imagery"].includes(b.contrastProfile)) {
+      warn(`${path}.contrastProfile`, 'expected "light" or "imagery"');
+    }
+    checkBasemapLayer(b, path);
+    (b.references || []).forEach((ref, j) => checkBasemapLayer(ref, `${path}.references[${j}]`));
+  });
+  if (Array.isArray(basemaps) && basemaps.filter((b) => b?.default).length > 1) {
+    warn("layers.basemaps", "more than one basemap has default: true; the first wins");
+  }
+  if (!maxZoom) maxZoom = 18;
+
+  if (isPlainObject(mapCfg) && Number.isFinite(mapCfg.zoom)) {
+    if (mapCfg.zoom < 0 || mapCfg.zoom > maxZoom) {
+      warn("map.zoom", `${mapCfg.zoom} is outside the basemaps' zoom range 0-${maxZoom}`);
+    }
+  }
+
+  // ----- overlays ----------------------------------------------------------
+  const checkPathStyle = (style, path) => {
+    if (style === undefined) return;
+    if (!isPlainObject(style)) return error(path, "must be an object");
+    unknownKeys(style, CONFIG_KEYS.pathStyle, path);
+    ["color", "fillColor"].forEach((k) => {
+      if (style[k] !== undefined && !isCssColor(style[k])) {
+        error(`${path}.${k}`, `invalid color ${JSON.stringify(style[k])}`);
+      }
+    });
+    if (style.weight !== undefined && !(Number(style.weight) >= 0)) {
+      error(`${path}.weight`, "must be a number >= 0");
+    }
+    ["opacity", "fillOpacity"].forEach((k) => {
+      if (style[k] !== undefined && !(style[k] >= 0 && style[k] <= 1)) {
+        error(`${path}.${k}`, "must be between 0 and 1");
+      }
+    });
+  };
+
+  const overlays = cfg.layers?.overlays;
+  if (overlays !== undefined && !Array.isArray(overlays)) {
+    error("layers.overlays", "must be an array");
+  }
+  const overlayIds = new Set();
+  (Array.isArray(overlays) ? overlays : []).forEach((o, i) => {
+    const path = `layers.overlays[${i}]`;
+    if (!isPlainObject(o)) return error(path, "must be an object");
+    unknownKeys(o, CONFIG_KEYS.overlay, path);
+
+    if (typeof o.id !== "string" || !o.id) error(`${path}.id`, "is required");
+    else if (overlayIds.has(o.id)) error(`${path}.id`, `duplicate id "${o.id}"`);
+    else overlayIds.add(o.id);
+
+    if (!OVERLAY_TYPES.includes(o.type)) {
+      error(`${path}.type`, `must be "featureServer" or "geojson"; overlay skipped`);
+    }
+    if (!isValidUrl(o.url, o.type === "geojson")) {
+      error(`${path}.url`, `not a valid URL: ${JSON.stringify(o.url)}`);
+    } else if (o.type === "featureServer" && !/\/(Feature|Map)Server\/\d+\/?$/.test(o.url)) {
+      warn(`${path}.url`, "expected a layer URL ending in /FeatureServer/<n>");
+    }
+    if (o.fallbackUrl !== undefined && !isValidUrl(o.fallbackUrl, true)) {
+      error(`${path}.fallbackUrl`, `not a valid URL: ${JSON.stringify(o.fallbackUrl)}`);
+    }
+    expectType(o.where, "string", `${path}.where`);
+    if (o.role !== undefined) {
+      if (!["focus", "context"].includes(o.role)) {
+        error(`${path}.role`, 'must be "focus" or "context"');
+      } else if (!isPlainObject(focus)) {
+        warn(`${path}.role`, "has no effect without a focus setting");
+      } else if (o.where !== undefined) {
+        warn(`${path}.where`, "ignored; built from focus.cpname");
+      }
+    }
+    if (
+      o.fields !== undefined &&
+      !(Array.isArray(o.fields) && o.fields.every((f) => typeof f === "string"))
+    ) {
+      error(`${path}.fields`, "must be an array of field names");
+    }
+    if (o.mode !== undefined && !["featureLayer", "snapshot"].includes(o.mode)) {
+      error(`${path}.mode`, 'must be "featureLayer" or "snapshot"');
+    }
+    if (o.renderer !== undefined && !(o.renderer in OVERLAY_RENDERERS)) {
+      error(`${path}.renderer`, 'must be "svg" or "canvas"');
+    }
+    ["name", "attribution"].forEach((k) => expectType(o[k], "string", `${path}.${k}`));
+    ["fitBounds", "identify", "visible"].forEach((k) =>
+      expectType(o[k], "boolean", `${path}.${k}`)
+    );
+    expectType(o.popup, "function", `${path}.popup`);
+
+    if (o.minZoom !== undefined) {
+      if (!(o.minZoom >= 0 && o.minZoom <= maxZoom)) {
+        error(`${path}.minZoom`, `must be within the map's zoom range 0-${maxZoom}`);
+      } else if (o.type !== "featureServer" || (o.mode || "featureLayer") !== "featureLayer") {
+        warn(`${path}.minZoom`, 'only applies to featureServer overlays in "featureLayer" mode');
+      }
+    }
+    if (o.pane !== undefined && !(o.pane in BASEMAP_PANES)) {
+      error(`${path}.pane`, `must be one of ${Object.keys(BASEMAP_PANES).join(", ")}`);
+    }
+
+    checkPathStyle(o.style, `${path}.style`);
+    checkPathStyle(o.casing, `${path}.casing`);
+
+    const sym = o.symbology;
+    if (sym !== undefined) {
+      if (!isPlainObject(sym)) error(`${path}.symbology`, "must be an object");
+      else {
+        unknownKeys(sym, ["field", "classes", "other"], `${path}.symbology`);
+        if (typeof sym.field !== "string" || !sym.field) {
+          error(`${path}.symbology.field`, "is required (attribute to classify by)");
+        }
+        const classes = Array.isArray(sym.classes) ? sym.classes : [];
+        if (!Array.isArray(sym.classes)) error(`${path}.symbology.classes`, "must be an array");
+        [...classes, ...(sym.other !== undefined ? [sym.other] : [])].forEach((c, k) => {
+          const cPath =
+            k < classes.length ? `${path}.symbology.classes[${k}]` : `${path}.symbology.other`;
+          if (!isPlainObject(c)) return error(cPath, "must be an object");
+          unknownKeys(c, ["label", "values", "match", "style"], cPath);
+          if (typeof c.label !== "string") error(`${cPath}.label`, "is required");
+          if (c.values !== undefined && !Array.isArray(c.values)) {
+            error(`${cPath}.values`, "must be an array");
+          }
+          if (c.match !== undefined) {
+            try {
+              new RegExp(c.match, "i");
+            } catch (e) {
+              error(`${cPath}.match`, `invalid pattern: ${e.message}`);
+            }
+          }
+          if (k < classes.length && c.values === undefined && c.match === undefined) {
+            error(cPath, 'needs "values" or "match"');
+          }
+          checkPathStyle(c.style, `${cPath}.style`);
+        });
+      }
+    }
+    if (o.styles !== undefined) {
+      if (!isPlainObject(o.styles)) error(`${path}.styles`, "must be an object");
+      else {
+        unknownKeys(o.styles, ["light", "imagery"], `${path}.styles`);
+        Object.entries(o.styles).forEach(([profile, s]) => {
+          if (!isPlainObject(s)) return error(`${path}.styles.${profile}`, "must be an object");
+          unknownKeys(s, ["stroke", "casing"], `${path}.styles.${profile}`);
+          checkPathStyle(s.stroke, `${path}.styles.${profile}.stroke`);
+          checkPathStyle(s.casing, `${path}.styles.${profile}.casing`);
+        });
+      }
+    }
+
+    const label = o.label;
+    if (label !== undefined) {
+      if (!isPlainObject(label)) error(`${path}.label`, "must be an object");
+      else {
+        unknownKeys(label, CONFIG_KEYS.label, `${path}.label`);
+        ["prop", "text"].forEach((k) => expectType(label[k], "string", `${path}.label.${k}`));
+        if (label.minZoom !== undefined && !(label.minZoom >= 0 && label.minZoom <= maxZoom)) {
+          error(`${path}.label.minZoom`, `must be within the map's zoom range 0-${maxZoom}`);
+        }
+        if (label.skipValues !== undefined && !Array.isArray(label.skipValues)) {
+          error(`${path}.label.skipValues`, "must be an array");
+        }
+        expectType(label.overrides, "boolean", `${path}.label.overrides`);
+        expectType(label.priority, "number", `${path}.label.priority`);
+      }
+    }
+  });
+
+  (Array.isArray(overlays) ? overlays : []).forEach((o, i) => {
+    if (o?.clipTo !== undefined && !overlayIds.has(o.clipTo)) {
+      error(`layers.overlays[${i}].clipTo`, `no overlay with id ${JSON.stringify(o.clipTo)}`);
+    }
+  });
+
+  // ----- optional features -------------------------------------------------
+  const legend = cfg.legend;
+  if (legend !== undefined) {
+    if (!isPlainObject(legend)) error("legend", "must be an object ({enabled?, collapsed?})");
+    else {
+      unknownKeys(legend, ["enabled", "collapsed"], "legend");
+      ["enabled", "collapsed"].forEach((k) => expectType(legend[k], "boolean", `legend.${k}`));
+    }
+  }
+  const measure = cfg.measure;
+  if (measure !== undefined) {
+    if (!isPlainObject(measure)) error("measure", "must be an object ({enabled?, snapPixels?})");
+    else {
+      unknownKeys(measure, ["enabled", "snapPixels"], "measure");
+      expectType(measure.enabled, "boolean", "measure.enabled");
+      if (measure.snapPixels !== undefined && !(measure.snapPixels >= 0)) {
+        error("measure.snapPixels", "must be a number >= 0 (0 disables snapping)");
+      }
+    }
+  }
+  const keyboard = cfg.keyboard;
+  if (keyboard !== undefined) {
+    if (!isPlainObject(keyboard)) error("keyboard", "must be an object ({enabled?, table?})");
+    else {
+      unknownKeys(keyboard, ["enabled", "table"], "keyboard");
+      ["enabled", "table"].forEach((k) => expectType(keyboard[k], "boolean", `keyboard.${k}`));
+    }
+  }
+  const theme = cfg.theme;
+  if (theme !== undefined) {
+    if (!isPlainObject(theme)) error("theme", "must be an object");
+    else {
+      unknownKeys(theme, ["mode", "palette", "picker", "darkBasemap", "palettes"], "theme");
+      if (theme.mode !== undefined && !THEME_MODES.includes(theme.mode)) {
+        error("theme.mode", `must be one of ${THEME_MODES.join(", ")}`);
+      }
+      expectType(theme.picker, "boolean", "theme.picker");
+      const palettes = theme.palettes ?? {};
+      if (!isPlainObject(palettes)) error("theme.palettes", "must be an object of color maps");
+      else {
+        Object.entries(palettes).forEach(([name, map]) => {
+          if (!isPlainObject(map) || Object.values(map).some((c) => typeof c !== "string")) {
+            error(`theme.palettes.${name}`, 'must map colors to colors ({"#08519c": "#0072b2"})');
+          }
+        });
+      }
+      if (theme.palette !== undefined && theme.palette !== "default" && !palettes[theme.palette]) {
+        error("theme.palette", `no palette "${theme.palette}" in theme.palettes`);
+      }
+      const ids = (cfg.layers?.basemaps || DEFAULT_BASEMAPS).map((b) => b?.id);
+      if (theme.darkBasemap !== undefined && !ids.includes(theme.darkBasemap)) {
+        error("theme.darkBasemap", `no basemap with id "${theme.darkBasemap}"`);
+      }
+    }
+  }
+  const compare = cfg.compare;
+  if (compare !== undefined) {
+    if (!isPlainObject(compare)) error("compare", "must be an object");
+    else {
+      unknownKeys(compare, ["opacity", "swipe", "swipeBasemap"], "compare");
+      ["opacity", "swipe"].forEach((k) => expectType(compare[k], "boolean", `compare.${k}`));
+      const ids = (cfg.layers?.basemaps || DEFAULT_BASEMAPS).map((b) => b?.id);
+      if (compare.swipeBasemap !== undefined && !ids.includes(compare.swipeBasemap)) {
+        error("compare.swipeBasemap", `no basemap with id "${compare.swipeBasemap}"`);
+      }
+    }
+  }
+  const history = cfg.history;
+  if (history !== undefined) {
+    if (!isPlainObject(history)) error("history", "must be an object");
+    else {
+      unknownKeys(history, ["enabled", "before", "after", "key", "minAcres"], "history");
+      expectType(history.enabled, "boolean", "history.enabled");
+      expectType(history.key, "string", "history.key");
+      if (history.minAcres !== undefined && !(history.minAcres >= 0)) {
+        error("history.minAcres", "must be a number >= 0");
+      }
+      ["before", "after"].forEach((k) => {
+        const source = history[k];
+        const path = `history.${k}`;
+        if (history.enabled === false) return;
+        if (!isPlainObject(source)) return error(path, "must be a source ({name, type, url, ...})");
+        unknownKeys(source, ["name", "type", "url", "fallbackUrl", "where", "fields"], path);
+        if (!OVERLAY_TYPES.includes(source.type)) {
+          error(`${path}.type`, 'must be "featureServer" or "geojson"');
+        }
+        const urls = [].concat(source.url ?? []);
+        if (!urls.length || !urls.every((u) => isValidUrl(u, source.type === "geojson"))) {
+          error(`${path}.url`, `not a valid URL: ${JSON.stringify(source.url)}`);
+        }
+        if (source.fallbackUrl !== undefined && !isValidUrl(source.fallbackUrl, true)) {
+          error(`${path}.fallbackUrl`, `not a valid URL: ${JSON.stringify(source.fallbackUrl)}`);
+        }
+        expectType(source.name, "string", `${path}.name`);
+        expectType(source.where, "string", `${path}.where`);
+      });
+    }
+  }
+  const neighbors = cfg.neighbors;
+  if (neighbors !== undefined) {
+    if (!isPlainObject(neighbors))
+      error("neighbors", "must be an object ({enabled?, radiusMiles?})");
+    else {
+      unknownKeys(neighbors, ["enabled", "radiusMiles"], "neighbors");
+      expectType(neighbors.enabled, "boolean", "neighbors.enabled");
+      if (neighbors.radiusMiles !== undefined && !(neighbors.radiusMiles >= 0)) {
+        error("neighbors.radiusMiles", "must be a number >= 0 (0 lists bordering areas only)");
+      }
+    }
+  }
+  const print = cfg.print;
+  if (print !== undefined) {
+    if (!isPlainObject(print)) error("print", "must be an object");
+    else {
+      unknownKeys(print, ["layout", "title", "subtitle", "date", "qr"], "print");
+      if (print.layout !== undefined && !parsePrintLayout(print.layout)) {
+        error("print.layout", 'must be "<letter|tabloid|a4>-<portrait|landscape>"');
+      }
+      ["title", "subtitle"].forEach((k) => expectType(print[k], "string", `print.${k}`));
+      if (print.date !== undefined && !["boolean", "string"].includes(typeof print.date)) {
+        error("print.date", "must be true (today), false or fixed text");
+      }
+      expectType(print.qr, "boolean", "print.qr");
+    }
+  }
+  const cache = cfg.cache;
+  if (cache !== undefined) {
+    if (!isPlainObject(cache)) error("cache", "must be an object");
+    else {
+      unknownKeys(
+        cache,
+        ["enabled", "version", "maxAgeHours", "maxTiles", "maxOpaqueTiles"],
+        "cache"
+      );
+      expectType(cache.enabled, "boolean", "cache.enabled");
+      if (cache.version !== undefined && !["string", "number"].includes(typeof cache.version)) {
+        error("cache.version", "must be a string or number");
+      }
+      ["maxAgeHours", "maxTiles", "maxOpaqueTiles"].forEach((k) => {
+        if (cache[k] !== undefined && !(cache[k] >= 0))
+          error(`cache.${k}`, "must be a number >= 0");
+      });
+    }
+  }
+  const origins = cfg.embed?.allowedOrigins;
+  if (origins !== undefined) {
+    if (!Array.isArray(origins)) error("embed.allowedOrigins", "must be an array");
+    else {
+      origins.forEach((o, i) => {
+        if (o !== "*" && !(isValidUrl(o) && new URL(o).origin === o)) {
+          error(`embed.allowedOrigins[${i}]`, `not an origin like "https://example.org": ${o}`);
+        }
+      });
+    }
+  }
+  const provider = cfg.search?.provider;
+  if (provider !== undefined && typeof provider !== "function" && !(provider in GEOCODERS)) {
+    error("search.provider", `unknown provider ${JSON.stringify(provider)}`);
+  }
+
+  return issues;
+}
+
+/**
+ * Dismissible banner across the top of the map for config and load errors.
+ * Repeated messages are shown once. Usage:
+ *   const banner = createErrorBanner(map); banner.show("Overlay failed", "error")
+ * @param {L.Map} map
+ * @returns {{show: (message: string, level?: 'error'|'warning') => void, clear: () => void}}
+ */
+function createErrorBanner(map) {
+  const div = L.DomUtil.create("div", "np-banner", map.getContainer());
+  div.setAttribute("role", "alert");
+  div.hidden = true;
+  div.innerHTML =
+    '<ul class="np-banner-list"></ul>' +
+    '<button type="button" class="np-banner-close" aria-label="Dismiss messages">×</button>';
+  const list = div.querySelector("ul");
+  const seen = new Set();
+
+  const clear = () => {
+    div.hidden = true;
+    list.innerHTML = "";
+    seen.clear();
+  };
+  div.querySelector(".np-banner-close").addEventListener("click", () => {
+    clear();
+    map.getContainer().focus();
+  });
+  L.DomEvent.disableClickPropagation(div);
+  L.DomEvent.disableScrollPropagation(div);
+
+  return {
+    show(message, level = "error") {
+      if (seen.has(message)) return;
+      seen.add(message);
+      const li = L.DomUtil.create("li", `np-banner-${level}`, list);
+      li.textContent = message;
+      div.hidden = false;
+    },
+    clear,
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { validateConfig });
+}
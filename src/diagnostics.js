@@ -0,0 +1,69 @@
+/* ============================================================================
+ * diagnostics.js — ?perf request counts and frame times
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Kind of request for the ?perf tally (FeatureServer query or metadata,
+ * basemap tile, anything else).
+ * @param {string} url
+ * @returns {"query"|"metadata"|"tile"|"other"}
+ */
+function requestKind(url) {
+  const path = new URL(url, "http://localhost/").pathname;
+  if (/\/(Feature|Map)Server\/\d+\/query\/?$/.test(path)) return "query";
+  if (/\/(Feature|Map)Server\/\d+\/?$/.test(path)) return "metadata";
+  if (/\/tile\/\d+\/\d+\/\d+|\/\d+\/\d+\/\d+\.(png|jpe?g|webp|pbf)$/.test(path)) return "tile";
+  return "other";
+}
+
+/**
+ * With ?perf in the URL, log to the console after each pan/zoom: requests
+ * made since the previous one (by kind) and the frame times while the map
+ * moved. Used to compare overlay strategies on the same route.
+ * @param {L.Map} map
+ */
+function startPerfProbe(map) {
+  if (typeof PerformanceObserver === "undefined") return;
+  const counts = { query: 0, metadata: 0, tile: 0, other: 0 };
+  new PerformanceObserver((list) =>
+    list.getEntries().forEach((e) => counts[requestKind(e.name)]++)
+  ).observe({ type: "resource", buffered: true });
+
+  let frames = [];
+  let last = 0;
+  let moving = false;
+  const tick = (now) => {
+    if (last) frames.push(now - last);
+    last = now;
+    if (moving) requestAnimationFrame(tick);
+  };
+  map.on("movestart zoomstart", () => {
+    if (moving) return;
+    moving = true;
+    last = 0;
+    requestAnimationFrame(tick);
+  });
+  map.on("moveend", () => {
+    moving = false;
+    const moved = frames;
+    frames = [];
+    // Requests for the new view start after moveend; report once they settle
+    setTimeout(() => {
+      const total = moved.reduce((a, b) => a + b, 0);
+      console.info("perf:", {
+        ...counts,
+        frames: moved.length,
+        avgFrameMs: moved.length ? +(total / moved.length).toFixed(1) : 0,
+        maxFrameMs: +Math.max(0, ...moved).toFixed(1),
+        longFrames: moved.filter((ms) => ms > 50).length,
+      });
+      Object.keys(counts).forEach((k) => (counts[k] = 0));
+    }, 1000);
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { requestKind });
+}
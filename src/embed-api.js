@@ -0,0 +1,160 @@
+/* ============================================================================
+ * embed-api.js — window.postMessage protocol for host pages
+ * ========================================================================== */
+
+"use strict";
+
+/** Tag carried by every embed message, in both directions. */
+const EMBED_CHANNEL = "north-park-map";
+
+/**
+ * Settle when an overlay first loads, or when it gives up: group.ready only
+ * resolves, so a final "error" layer:status (retries exhausted) rejects.
+ * @param {L.Map} map
+ * @param {string} id OVERLAYS id
+ * @returns {Promise<L.LayerGroup>} Rejects with an Error carrying `overlayId`
+ */
+function overlayReady(map, id) {
+  const group = OVERLAYS[id];
+  return new Promise((resolve, reject) => {
+    const onStatus = (e) => {
+      if (e.key !== `overlay:${id}` || e.state !== "error") return;
+      map.off("layer:status", onStatus);
+      reject(Object.assign(new Error(e.message || "failed to load"), { overlayId: id }));
+    };
+    map.on("layer:status", onStatus);
+    group.ready.then((g) => {
+      map.off("layer:status", onStatus);
+      resolve(g);
+    });
+  });
+}
+
+/**
+ * Wire the postMessage protocol between this map (inside an <iframe>) and
+ * its host page. No-op when the page is not framed.
+ *
+ * Inbound  {channel, type, id?, ...args}:
+ *   setView {center: [lat, lng], zoom?} · setBasemap {id}
+ *   toggleOverlay {id, visible?} · highlightCPA {name|null} · fitCPA {name, padding?}
+ *   A command carrying an `id` is answered with
+ *   {channel, type: "result", id, ok, result?|error?}.
+ * Outbound {channel, type, ...data}:
+ *   ready {center, zoom, bounds, basemap, overlays, failed: [{id, message}]}
+ *   moveend {center, zoom, bounds}
+ *   baselayerchange {id} · cpaClick {name, properties, latlng}
+ *
+ * Only origins in `allowedOrigins` (plus this page's own origin) may send
+ * commands or receive events; "*" allows any origin.
+ * @param {L.Map} map
+ * @param {{
+ *   allowedOrigins?: string[],
+ *   overlayIds: string[],
+ *   setBasemap: (id: string) => boolean,
+ *   basemapId: () => string|undefined,
+ *   ready: Promise<PromiseSettledResult<any>[]>
+ * }} opts Posts "ready" once every `ready` result has settled (see overlayReady)
+ */
+function initEmbedApi(map, opts) {
+  if (window.parent === window) return;
+
+  const allowed = new Set([window.location.origin, ...(opts.allowedOrigins || [])]);
+  const isAllowed = (origin) => allowed.has("*") || allowed.has(origin);
+
+  // postMessage delivers only to a matching targetOrigin, so try each allowed one
+  const post = (type, data = {}) => {
+    const msg = { channel: EMBED_CHANNEL, type, ...data };
+    const targets = allowed.has("*") ? ["*"] : [...allowed].filter((o) => o !== "null");
+    targets.forEach((origin) => window.parent.postMessage(msg, origin));
+  };
+
+  const highlight = L.geoJSON(null, { interactive: false, style: HIGHLIGHT_STYLE }).addTo(map);
+
+  const requireCPA = (name) => {
+    const feature = findCPAByName(name, opts.overlayIds);
+    if (!feature) throw new Error(`No loaded plan area named "${name}"`);
+    return feature;
+  };
+
+  const commands = {
+    setView({ center, zoom }) {
+      if (!Array.isArray(center) || center.length !== 2) {
+        throw new Error("center must be [lat, lng]");
+      }
+      map.setView(center, zoom ?? map.getZoom());
+    },
+    setBasemap({ id }) {
+      if (!opts.setBasemap(id)) throw new Error(`Unknown basemap "${id}"`);
+    },
+    toggleOverlay({ id, visible }) {
+      const group = OVERLAYS[id];
+      if (!group) throw new Error(`Unknown overlay "${id}"`);
+      const on = visible ?? !map.hasLayer(group);
+      if (on && !map.hasLayer(group)) group.addTo(map);
+      if (!on && map.hasLayer(group)) map.removeLayer(group);
+      return { visible: on };
+    },
+    highlightCPA({ name }) {
+      highlight.clearLayers();
+      if (name == null || name === "") return null; // clear only
+      const feature = requireCPA(name);
+      highlight.addData(feature);
+      return { name: feature.properties.cpname };
+    },
+    fitCPA({ name, padding = 20 }) {
+      const feature = requireCPA(name);
+      map.fitBounds(L.geoJSON(feature).getBounds(), { padding: [padding, padding] });
+      return { name: feature.properties.cpname };
+    },
+  };
+
+  window.addEventListener("message", (e) => {
+    if (e.source !== window.parent || !isAllowed(e.origin)) return;
+    const msg = e.data;
+    if (!msg || msg.channel !== EMBED_CHANNEL || msg.type === "result") return;
+
+    let reply;
+    try {
+      if (!Object.hasOwn(commands, msg.type)) throw new Error(`Unknown command "${msg.type}"`);
+      reply = { ok: true, result: commands[msg.type](msg) ?? null };
+    } catch (err) {
+      reply = { ok: false, error: err.message };
+    }
+    if (msg.id != null && e.origin !== "null") {
+      e.source.postMessage(
+        { channel: EMBED_CHANNEL, type: "result", id: msg.id, ...reply },
+        e.origin
+      );
+    }
+  });
+
+  const view = () => {
+    const c = map.getCenter();
+    return { center: [c.lat, c.lng], zoom: map.getZoom(), bounds: map.getBounds().toBBoxString() };
+  };
+
+  map.on("moveend", () => post("moveend", view()));
+  map.on("baselayerchange", () => post("baselayerchange", { id: opts.basemapId() }));
+  map.on("cpa:select", (e) =>
+    post("cpaClick", {
+      name: e.feature?.properties?.cpname ?? null,
+      properties: e.feature?.properties || {},
+      latlng: [e.latlng.lat, e.latlng.lng],
+    })
+  );
+
+  Promise.resolve(opts.ready).then((results = []) =>
+    post("ready", {
+      ...view(),
+      basemap: opts.basemapId(),
+      overlays: Object.keys(OVERLAYS).filter((id) => map.hasLayer(OVERLAYS[id])),
+      failed: results
+        .filter((r) => r.status === "rejected")
+        .map((r) => ({ id: r.reason?.overlayId ?? null, message: r.reason?.message || "" })),
+    })
+  );
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { overlayReady });
+}
@@ -0,0 +1,324 @@
+/* ============================================================================
+ * export.js — current view as PNG, loaded plan areas as GeoJSON / KML
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Product of CSS opacity from an element up to (not including) `stop`.
+ * @param {Element} el
+ * @param {Element} stop
+ * @returns {number}
+ */
+function effectiveOpacity(el, stop) {
+  let opacity = 1;
+  for (let node = el; node && node !== stop; node = node.parentElement) {
+    opacity *= Number(getComputedStyle(node).opacity || 1);
+  }
+  return opacity;
+}
+
+/**
+ * Rasterize a Leaflet SVG renderer root (inline attributes carry its styles).
+ * @param {SVGSVGElement} svg
+ * @returns {Promise<HTMLImageElement>}
+ */
+async function svgToImage(svg) {
+  const xml = new XMLSerializer().serializeToString(svg);
+  const url = URL.createObjectURL(new Blob([xml], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw an element's box (background, per-side borders, radius) and its text.
+ * Used for label pills, the scale bar and the attribution strip.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLElement} el
+ * @param {DOMRect} origin Map container rect
+ * @param {{align?: CanvasTextAlign, text?: string}} [opts]
+ */
+function drawTextBox(ctx, el, origin, opts = {}) {
+  const r = el.getBoundingClientRect();
+  const cs = getComputedStyle(el);
+  const x = r.left - origin.left;
+  const y = r.top - origin.top;
+
+  ctx.save();
+  ctx.globalAlpha = effectiveOpacity(el, null);
+  ctx.beginPath();
+  if (ctx.roundRect)
+    ctx.roundRect(x, y, r.width, r.height, parseFloat(cs.borderTopLeftRadius) || 0);
+  else ctx.rect(x, y, r.width, r.height);
+  ctx.fillStyle = cs.backgroundColor;
+  ctx.fill();
+
+  // Borders per side (the scale bar draws only some of them)
+  [
+    ["Top", x, y, x + r.width, y],
+    ["Right", x + r.width, y, x + r.width, y + r.height],
+    ["Bottom", x, y + r.height, x + r.width, y + r.height],
+    ["Left", x, y, x, y + r.height],
+  ].forEach(([side, x1, y1, x2, y2]) => {
+    const w = parseFloat(cs[`border${side}Width`]) || 0;
+    if (!w || cs[`border${side}Style`] === "none") return;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.lineWidth = w;
+    ctx.strokeStyle = cs[`border${side}Color`];
+    ctx.stroke();
+  });
+
+  // Text: one line per \n (labels use white-space: pre-line)
+  const lines = String(opts.text ?? el.innerText)
+    .split("\n")
+    .filter(Boolean);
+  const fontSize = parseFloat(cs.fontSize) || 12;
+  const lineHeight = parseFloat(cs.lineHeight) || fontSize * 1.2;
+  const padLeft = parseFloat(cs.paddingLeft) || 0;
+  ctx.font = `${cs.fontWeight} ${cs.fontSize} ${cs.fontFamily}`;
+  ctx.fillStyle = cs.color;
+  ctx.textBaseline = "middle";
+  ctx.textAlign = opts.align || "center";
+  const tx = ctx.textAlign === "center" ? x + r.width / 2 : x + padLeft;
+  const top = y + r.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+  lines.forEach((line, i) => ctx.fillText(line, tx, top + i * lineHeight));
+  ctx.restore();
+}
+
+/**
+ * Composite the visible map into a canvas: panes in z-order (basemap tiles,
+ * imagery, Canvas/SVG overlays incl. casing, markers), then label pills, the
+ * scale bar and attribution. Images served without CORS would taint the
+ * canvas, so they are skipped and reported instead.
+ * Note: WebGL vector tiles (MapLibre) may read back blank in some browsers.
+ * @param {L.Map} map
+ * @returns {Promise<{canvas: HTMLCanvasElement, skipped: number}>}
+ */
+async function renderMapImage(map) {
+  const container = map.getContainer();
+  const origin = container.getBoundingClientRect();
+  const size = map.getSize();
+  const ratio = window.devicePixelRatio || 1;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(size.x * ratio);
+  canvas.height = Math.round(size.y * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(ratio, ratio);
+  ctx.fillStyle = getComputedStyle(container).backgroundColor || "#ffffff";
+  ctx.fillRect(0, 0, size.x, size.y);
+
+  const skip = new Set(["mapPane", "tooltipPane", "popupPane"]);
+  const panes = Object.entries(map.getPanes())
+    .filter(([name]) => !skip.has(name))
+    .map(([, pane]) => pane)
+    .sort(
+      (a, b) =>
+        (Number(getComputedStyle(a).zIndex) || 0) - (Number(getComputedStyle(b).zIndex) || 0)
+    );
+
+  const drawable =
+    "img.leaflet-tile, img.leaflet-image-layer, img.leaflet-marker-icon, " +
+    "img.leaflet-marker-shadow, canvas, svg.leaflet-zoom-animated";
+  let skipped = 0;
+
+  for (const pane of panes) {
+    // The swipe pane only shows right of the divider (see SwipeControl)
+    const clipX = pane.dataset.clipX != null ? Number(pane.dataset.clipX) : null;
+    ctx.save();
+    if (clipX != null) {
+      ctx.beginPath();
+      ctx.rect(clipX, 0, size.x - clipX, size.y);
+      ctx.clip();
+    }
+    for (const el of pane.querySelectorAll(drawable)) {
+      const r = el.getBoundingClientRect();
+      const alpha = effectiveOpacity(el, container);
+      if (!r.width || !r.height || !alpha) continue;
+      if (r.right < origin.left || r.left > origin.right) continue;
+      if (r.bottom < origin.top || r.top > origin.bottom) continue;
+
+      let source = el;
+      if (el.tagName === "IMG") {
+        if (!el.complete || !el.naturalWidth) continue;
+        const sameOrigin = new URL(el.src, window.location.href).origin === window.location.origin;
+        if (el.crossOrigin == null && !sameOrigin) {
+          skipped++;
+          continue;
+        }
+      } else if (el.tagName.toLowerCase() === "svg") {
+        source = await svgToImage(el);
+      }
+
+      ctx.globalAlpha = alpha;
+      ctx.drawImage(source, r.left - origin.left, r.top - origin.top, r.width, r.height);
+    }
+    ctx.restore();
+  }
+  ctx.globalAlpha = 1;
+
+  // Label pills, scale bar and attribution are DOM; redraw them as boxes + text
+  container
+    .querySelectorAll(".leaflet-tooltip.np-label-tooltip")
+    .forEach((el) => drawTextBox(ctx, el, origin));
+  container
+    .querySelectorAll(".leaflet-control-scale-line")
+    .forEach((el) => drawTextBox(ctx, el, origin, { align: "left" }));
+  const attribution = container.querySelector(".leaflet-control-attribution");
+  if (attribution) {
+    drawTextBox(ctx, attribution, origin, {
+      align: "left",
+      text: attribution.textContent.replace(/\s+/g, " ").trim(),
+    });
+  }
+
+  return { canvas, skipped };
+}
+
+/**
+ * Serialize features to KML 2.2 (Polygon/MultiPolygon, properties as ExtendedData).
+ * @param {GeoJSON.Feature[]} features
+ * @param {string} [docName]
+ * @returns {string}
+ */
+function toKML(features, docName = "Community Plan Areas") {
+  const coords = (ring) => ring.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+  const boundary = (tag, ring) =>
+    `<${tag}><LinearRing><coordinates>${coords(ring)}</coordinates></LinearRing></${tag}>`;
+  const polygon = ([outer, ...holes]) =>
+    "<Polygon>" +
+    boundary("outerBoundaryIs", outer) +
+    holes.map((h) => boundary("innerBoundaryIs", h)).join("") +
+    "</Polygon>";
+
+  const placemarks = features.map((f) => {
+    const props = f.properties || {};
+    const parts = polygonsOf(f.geometry);
+    const geometry =
+      parts.length === 1
+        ? polygon(parts[0])
+        : `<MultiGeometry>${parts.map(polygon).join("")}</MultiGeometry>`;
+    const data = Object.entries(props)
+      .map(([k, v]) => `<Data name="${escapeHtml(k)}"><value>${escapeHtml(v)}</value></Data>`)
+      .join("");
+    return (
+      `<Placemark><name>${escapeHtml(props.cpname ?? "")}</name>` +
+      `<ExtendedData>${data}</ExtendedData>${geometry}</Placemark>`
+    );
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${escapeHtml(docName)}</name>${placemarks.join("")}</Document></kml>\n`
+  );
+}
+
+/**
+ * Save a Blob through a temporary download link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export control: PNG of the current view; GeoJSON/KML of the plan-area
+ * features currently loaded in visible overlays.
+ * Usage: new ExportControl({ filename }).addTo(map)
+ */
+const ExportControl = L.Control.extend({
+  options: {
+    position: "topleft",
+    /** Base name for downloads; a YYYY-MM-DD date is appended */
+    filename: "north-park-map",
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    const div = L.DomUtil.create("div", "np-export leaflet-control");
+    div.setAttribute("role", "group");
+    div.setAttribute("aria-label", "Export map");
+    div.innerHTML =
+      '<button type="button" data-export="png" title="Download the current view as PNG">PNG</button>' +
+      '<button type="button" data-export="geojson" title="Download visible plan areas as GeoJSON">GeoJSON</button>' +
+      '<button type="button" data-export="kml" title="Download visible plan areas as KML">KML</button>' +
+      '<div class="np-export-status" role="status" aria-live="polite"></div>';
+    this._status = div.querySelector(".np-export-status");
+
+    div.addEventListener("click", (e) => {
+      const kind = e.target.closest("[data-export]")?.getAttribute("data-export");
+      if (kind === "png") this.exportPNG();
+      if (kind === "geojson" || kind === "kml") this.exportFeatures(kind);
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  },
+
+  _name: function (ext) {
+    return `${this.options.filename}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  },
+
+  /** Features from every visible overlay, each once. */
+  _features: function () {
+    const seen = new Set();
+    return Object.values(OVERLAYS)
+      .filter((g) => this._map.hasLayer(g))
+      .flatMap((g) => g.getFeatures?.() || [])
+      .filter((f) => !seen.has(f) && seen.add(f));
+  },
+
+  exportPNG: async function () {
+    this._status.textContent = "Rendering…";
+    try {
+      const { canvas, skipped } = await renderMapImage(this._map);
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+      if (!blob) throw new Error("Canvas export returned no data");
+      downloadBlob(blob, this._name("png"));
+      this._status.textContent = skipped
+        ? `PNG saved without ${skipped} tile(s) from hosts that do not allow cross-origin use.`
+        : "PNG saved.";
+    } catch (err) {
+      console.error("PNG export failed:", err);
+      this._status.textContent = "PNG export failed (see console).";
+    }
+  },
+
+  /** @param {'geojson'|'kml'} kind */
+  exportFeatures: function (kind) {
+    const features = this._features();
+    if (!features.length) {
+      this._status.textContent = "No plan areas loaded yet.";
+      return;
+    }
+    const blob =
+      kind === "kml"
+        ? new Blob([toKML(features)], { type: "application/vnd.google-earth.kml+xml" })
+        : new Blob([JSON.stringify({ type: "FeatureCollection", features })], {
+            type: "application/geo+json",
+          });
+    downloadBlob(blob, this._name(kind));
+    this._status.textContent = `${features.length} plan area(s) saved as ${kind.toUpperCase()}.`;
+  },
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { toKML });
+}
@@ -0,0 +1,46 @@
+/* ============================================================================
+ * focus.js — pick the emphasized Community Plan Area at runtime
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Dropdown of CPA names; choosing one calls onChange(cpname).
+ * Usage: new FocusControl({ onChange }).addTo(map).setNames(names, current)
+ */
+const FocusControl = L.Control.extend({
+  options: {
+    position: "topright",
+    /** @type {((cpname: string) => void)|null} */
+    onChange: null,
+  },
+
+  onAdd: function () {
+    const div = L.DomUtil.create("div", "np-focus leaflet-control");
+    div.innerHTML =
+      '<label for="np-focus-select">Focus</label><select id="np-focus-select"></select>';
+    this._select = div.querySelector("select");
+    this._select.addEventListener("change", () => this.options.onChange?.(this._select.value));
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  /**
+   * @param {string[]} names Upper-case cpnames
+   * @param {string} current
+   */
+  setNames: function (names, current) {
+    this._select.innerHTML = names
+      .map((n) => `<option value="${escapeHtml(n)}">${escapeHtml(titleCase(n))}</option>`)
+      .join("");
+    this._select.value = current;
+    return this;
+  },
+
+  /** @param {string} cpname */
+  setValue: function (cpname) {
+    this._select.value = cpname;
+  },
+});
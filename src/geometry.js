@@ -0,0 +1,481 @@
+/* ============================================================================
+ * geometry.js — geometry & text
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Escape text for safe interpolation into popup/control HTML.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch])
+  );
+}
+
+/**
+ * Ray-casting test for one linear ring.
+ * @param {[number, number]} pt [lng, lat]
+ * @param {number[][]} ring GeoJSON ring ([lng, lat] positions)
+ * @returns {boolean}
+ */
+function pointInRing(pt, ring) {
+  const [x, y] = pt;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Point-in-polygon for GeoJSON Polygon/MultiPolygon geometries (holes honored).
+ * @param {[number, number]} pt [lng, lat]
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {boolean}
+ */
+function pointInGeometry(pt, geometry) {
+  if (!geometry) return false;
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+      ? geometry.coordinates
+      : [];
+  return polygons.some(
+    ([outer, ...holes]) =>
+      outer && pointInRing(pt, outer) && !holes.some((hole) => pointInRing(pt, hole))
+  );
+}
+
+/**
+ * Every [lng, lat] position of a geometry (any type, collections included).
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {number[][]}
+ */
+function positionsOf(geometry) {
+  const out = [];
+  const walk = (c) => (typeof c[0] === "number" ? out.push(c) : c.forEach(walk));
+  if (geometry?.coordinates) walk(geometry.coordinates);
+  (geometry?.geometries || []).forEach((g) => out.push(...positionsOf(g)));
+  return out;
+}
+
+/**
+ * Approximate intersects test for clipping overlays to a CPA: bounding boxes
+ * overlap and a vertex of either geometry lies inside the other polygon.
+ * Misses only shapes that cross without sharing any vertex.
+ * @param {GeoJSON.Geometry} geometry Feature to test (any type)
+ * @param {GeoJSON.Geometry} clip Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+function geometryTouches(geometry, clip) {
+  const pts = positionsOf(geometry);
+  const clipPts = positionsOf(clip);
+  const box = (list) =>
+    list.reduce(
+      (b, [x, y]) => [Math.min(b[0], x), Math.min(b[1], y), Math.max(b[2], x), Math.max(b[3], y)],
+      [Infinity, Infinity, -Infinity, -Infinity]
+    );
+  const [ax, ay, aX, aY] = box(pts);
+  const [bx, by, bX, bY] = box(clipPts);
+  if (ax > bX || bx > aX || ay > bY || by > aY) return false;
+
+  return (
+    pts.some((pt) => pointInGeometry(pt, clip)) ||
+    clipPts.some((pt) => pointInGeometry(pt, geometry))
+  );
+}
+
+/**
+ * Display name for a CPA: CSV override (line breaks flattened) or cpname.
+ * @param {Object} props Feature properties
+ * @returns {string}
+ */
+function cpaDisplayName(props) {
+  const name = props?.cpname ?? "";
+  const override = labelOverrideFor(name)?.label;
+  if (override) return override.replace(/\s*\|\s*/g, " ");
+  return String(name);
+}
+
+/**
+ * "MID-CITY:CITY HEIGHTS" -> "Mid-City:City Heights" (page title, aria-label).
+ * @param {string} str
+ * @returns {string}
+ */
+function titleCase(str) {
+  return String(str)
+    .toLowerCase()
+    .replace(/(^|[\s\-:/(])(\p{L})/gu, (_m, sep, ch) => sep + ch.toUpperCase());
+}
+
+/**
+ * Where clause for a focus/context overlay (quotes doubled per SQL-92).
+ * @param {'focus'|'context'} role
+ * @param {string} cpname Emphasized CPA
+ * @param {string} [field="cpname"]
+ * @returns {string}
+ */
+function focusWhere(role, cpname, field = "cpname") {
+  const value = `'${String(cpname).replace(/'/g, "''")}'`;
+  return `${field} ${role === "focus" ? "=" : "<>"} ${value}`;
+}
+
+/**
+ * Point a focus/context overlay entry at a CPA: the server-side where clause,
+ * the same filter for snapshot files (all role snapshots merged, since the
+ * focus CPA may live in the context file), and "{focus}" in the name.
+ * @param {any} entry Overlay config entry with a role
+ * @param {string} cpname
+ * @param {{field?: string, snapshots?: string[]}} [opts]
+ * @returns {any} New entry
+ */
+function withFocus(entry, cpname, opts = {}) {
+  const field = opts.field || "cpname";
+  const inFocus = (props) => String(props[field] ?? "").toUpperCase() === cpname;
+  return {
+    ...entry,
+    where: focusWhere(entry.role, cpname, field),
+    filter: entry.role === "focus" ? inFocus : (props) => !inFocus(props),
+    ...(entry.fallbackUrl && opts.snapshots?.length ? { fallbackUrl: opts.snapshots } : {}),
+    name: String(entry.name || entry.id).replace("{focus}", titleCase(cpname)),
+  };
+}
+
+/**
+ * Find the first loaded CPA feature containing a point.
+ * @param {L.LatLng} latlng
+ * @param {string[]} overlayIds OVERLAYS ids to search, in priority order
+ * @returns {GeoJSON.Feature|null}
+ */
+function findCPAAt(latlng, overlayIds) {
+  const pt = [latlng.lng, latlng.lat];
+  for (const id of overlayIds) {
+    const features = OVERLAYS[id]?.getFeatures?.() || [];
+    const hit = features.find((f) => pointInGeometry(pt, f.geometry));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * Find the CPA containing a point from each overlay's full data rather than
+ * the features drawn so far (hidden overlays, feature layers outside the
+ * view). Goes through loadOverlayFeatures, so snapshot overlays reuse the
+ * request they were drawn from and FeatureServer failures use fallbackUrl.
+ * @param {L.LatLng} latlng
+ * @param {any[]} entries Runtime overlay entries, in priority order
+ * @returns {Promise<GeoJSON.Feature|null>} Rejects if no entry could be loaded
+ */
+async function lookupCPAAt(latlng, entries) {
+  const pt = [latlng.lng, latlng.lat];
+  let lastError = null;
+  let loaded = 0;
+  for (const entry of entries) {
+    try {
+      const fc = await new Promise((resolve, reject) =>
+        loadOverlayFeatures(entry, (err, result) => (err ? reject(err) : resolve(result)))
+      );
+      loaded++;
+      const hit = (fc.features || []).find((f) => pointInGeometry(pt, f.geometry));
+      if (hit) return hit;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  if (!loaded && lastError) throw lastError;
+  return null;
+}
+
+/**
+ * Find a loaded plan area by cpname (case-insensitive).
+ * @param {string} name
+ * @param {string[]} overlayIds OVERLAYS ids to search, in priority order
+ * @returns {GeoJSON.Feature|null}
+ */
+function findCPAByName(name, overlayIds) {
+  const key = String(name).trim().toUpperCase();
+  for (const id of overlayIds) {
+    const features = OVERLAYS[id]?.getFeatures?.() || [];
+    const hit = features.find((f) => String(f.properties?.cpname ?? "").toUpperCase() === key);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/** Radius used by Leaflet's spherical Mercator (meters). */
+const EARTH_RADIUS_M = 6378137;
+const SQ_M_PER_ACRE = 4046.8564224;
+const SQ_M_PER_SQ_MI = 2589988.110336;
+const M_PER_MI = 1609.344;
+
+/**
+ * Polygon rings of a Polygon/MultiPolygon as [[outer, ...holes], ...].
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {number[][][][]}
+ */
+function polygonsOf(geometry) {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Geodesic area of one ring on the sphere (same formula as Leaflet.draw).
+ * @param {number[][]} ring [lng, lat] positions
+ * @returns {number} Square meters (unsigned)
+ */
+function ringArea(ring) {
+  const rad = Math.PI / 180;
+  let area = 0;
+  for (let i = 0, n = ring.length; i < n; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[(i + 1) % n];
+    area += (lng2 - lng1) * rad * (2 + Math.sin(lat1 * rad) + Math.sin(lat2 * rad));
+  }
+  return Math.abs((area * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+/**
+ * Geodesic area of a Polygon/MultiPolygon (holes subtracted).
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {number} Square meters
+ */
+function geodesicArea(geometry) {
+  return polygonsOf(geometry).reduce(
+    (sum, [outer, ...holes]) =>
+      sum + ringArea(outer || []) - holes.reduce((h, ring) => h + ringArea(ring), 0),
+    0
+  );
+}
+
+/**
+ * Geodesic length of every ring (outer boundaries and holes).
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {number} Meters
+ */
+function geodesicPerimeter(geometry) {
+  let total = 0;
+  polygonsOf(geometry).forEach((rings) =>
+    rings.forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        total += L.CRS.Earth.distance(
+          L.latLng(ring[i - 1][1], ring[i - 1][0]),
+          L.latLng(ring[i][1], ring[i][0])
+        );
+      }
+    })
+  );
+  return total;
+}
+
+/** Cache of rounded vertex keys per feature (features are not mutated). */
+const VERTEX_KEYS = new WeakMap();
+
+/**
+ * Vertex keys rounded to 1e-5 degrees (~1 m). Plan areas come from one
+ * dataset, so shared boundaries share vertices; rounding absorbs noise.
+ * @param {GeoJSON.Feature} feature
+ * @returns {Set<string>}
+ */
+function vertexKeysOf(feature) {
+  let keys = VERTEX_KEYS.get(feature);
+  if (!keys) {
+    keys = new Set();
+    polygonsOf(feature.geometry).forEach((rings) =>
+      rings.forEach((ring) =>
+        ring.forEach(([lng, lat]) => keys.add(`${lng.toFixed(5)},${lat.toFixed(5)}`))
+      )
+    );
+    VERTEX_KEYS.set(feature, keys);
+  }
+  return keys;
+}
+
+/**
+ * Features that share a boundary with `feature` (at least two common vertices,
+ * so corner-touching or coincident single points do not count).
+ * @param {GeoJSON.Feature} feature
+ * @param {GeoJSON.Feature[]} candidates
+ * @returns {GeoJSON.Feature[]}
+ */
+function findNeighbors(feature, candidates) {
+  const own = vertexKeysOf(feature);
+  const name = feature.properties?.cpname;
+  return candidates.filter((other) => {
+    if (other === feature || (name != null && other.properties?.cpname === name)) return false;
+    let shared = 0;
+    for (const key of vertexKeysOf(other)) {
+      if (own.has(key) && ++shared >= 2) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Signed distance from a point to polygon rings (positive inside).
+ * @param {number} x
+ * @param {number} y
+ * @param {number[][][]} rings Planar rings
+ * @returns {number}
+ */
+function pointToRingsDistance(x, y, rings) {
+  let inside = false;
+  let minSq = Infinity;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [ax, ay] = ring[i];
+      const [bx, by] = ring[j];
+      if (ay > y !== by > y && x < ((bx - ax) * (y - ay)) / (by - ay) + ax) inside = !inside;
+
+      // Squared distance to segment a-b
+      let dx = bx - ax;
+      let dy = by - ay;
+      let px = ax;
+      let py = ay;
+      if (dx !== 0 || dy !== 0) {
+        const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy)));
+        px = ax + dx * t;
+        py = ay + dy * t;
+      }
+      dx = x - px;
+      dy = y - py;
+      minSq = Math.min(minSq, dx * dx + dy * dy);
+    }
+  }
+  return (inside ? 1 : -1) * Math.sqrt(minSq);
+}
+
+/**
+ * Pole of inaccessibility: the interior point farthest from any edge, found
+ * by grid refinement (the approach of Mapbox's polylabel). Unlike the bounds
+ * center it is always inside, even for concave shapes.
+ * @param {number[][][]} rings Planar polygon rings (outer first)
+ * @param {number} precision Stop refining once a cell cannot gain more than this
+ * @returns {[number, number]}
+ */
+function polylabel(rings, precision) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of rings[0]) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  const size = Math.min(maxX - minX, maxY - minY);
+  if (!(size > 0)) return [minX, minY];
+
+  const makeCell = (x, y, h) => {
+    const d = pointToRingsDistance(x, y, rings);
+    return { x, y, h, d, max: d + h * Math.SQRT2 };
+  };
+
+  // Cells sorted ascending by potential (max); the most promising is last
+  const queue = [];
+  const push = (cell) => {
+    let lo = 0;
+    let hi = queue.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (queue[mid].max < cell.max) lo = mid + 1;
+      else hi = mid;
+    }
+    queue.splice(lo, 0, cell);
+  };
+
+  for (let x = minX; x < maxX; x += size) {
+    for (let y = minY; y < maxY; y += size) push(makeCell(x + size / 2, y + size / 2, size / 2));
+  }
+
+  let best = makeCell(minX + (maxX - minX) / 2, minY + (maxY - minY) / 2, 0);
+  while (queue.length) {
+    const cell = queue.pop();
+    if (cell.d > best.d) best = cell;
+    if (cell.max - best.d <= precision) continue;
+    const h = cell.h / 2;
+    push(makeCell(cell.x - h, cell.y - h, h));
+    push(makeCell(cell.x + h, cell.y - h, h));
+    push(makeCell(cell.x - h, cell.y + h, h));
+    push(makeCell(cell.x + h, cell.y + h, h));
+  }
+  return [best.x, best.y];
+}
+
+/** Per-feature label anchor / area caches (features are not mutated). */
+const LABEL_ANCHORS = new WeakMap();
+const FEATURE_AREAS = new WeakMap();
+
+/**
+ * Label anchor for a plan area: pole of inaccessibility of its largest part.
+ * @param {GeoJSON.Feature} feature
+ * @returns {L.LatLng|null} null for non-polygons (tooltip default: center)
+ */
+function labelAnchorFor(feature) {
+  if (LABEL_ANCHORS.has(feature)) return LABEL_ANCHORS.get(feature);
+
+  let anchor = null;
+  const parts = polygonsOf(feature?.geometry).filter((rings) => rings[0]?.length);
+  if (parts.length) {
+    const main = parts.reduce((a, b) => (ringArea(b[0]) > ringArea(a[0]) ? b : a));
+    // Scale longitude so both axes are roughly meters-proportional
+    const k = Math.cos((main[0][0][1] * Math.PI) / 180);
+    const planar = main.map((ring) => ring.map(([lng, lat]) => [lng * k, lat]));
+    const [x, y] = polylabel(planar, 1e-4); // ~10 m is plenty for a label
+    anchor = L.latLng(y, x / k);
+  }
+  LABEL_ANCHORS.set(feature, anchor);
+  return anchor;
+}
+
+/**
+ * Cached geodesic area (label tie-breaks: bigger areas place first).
+ * @param {GeoJSON.Feature} feature
+ * @returns {number} Square meters
+ */
+function featureArea(feature) {
+  if (!FEATURE_AREAS.has(feature)) FEATURE_AREAS.set(feature, geodesicArea(feature?.geometry));
+  return FEATURE_AREAS.get(feature);
+}
+
+const FEATURE_BOUNDS = new WeakMap();
+
+/**
+ * Cached bounds of a feature (snapping and neighbor pre-filters).
+ * @param {GeoJSON.Feature} feature
+ * @returns {L.LatLngBounds|null} null without coordinates
+ */
+function featureBounds(feature) {
+  if (!FEATURE_BOUNDS.has(feature)) {
+    const pts = positionsOf(feature.geometry).map(([lng, lat]) => [lat, lng]);
+    FEATURE_BOUNDS.set(feature, pts.length ? L.latLngBounds(pts) : null);
+  }
+  return FEATURE_BOUNDS.get(feature);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, {
+    pointInGeometry,
+    findCPAAt,
+    findCPAByName,
+    lookupCPAAt,
+    focusWhere,
+    withFocus,
+    titleCase,
+    positionsOf,
+    geometryTouches,
+    geodesicArea,
+    geodesicPerimeter,
+    findNeighbors,
+    polylabel,
+    labelAnchorFor,
+  });
+}
@@ -0,0 +1,280 @@
+/* ============================================================================
+ * history.js — boundary history: added / removed area per plan area
+ * ========================================================================== */
+
+"use strict";
+
+/** Polygon boolean operations (global polygonClipping), loaded on first use. See vendor/. */
+const POLYGON_CLIPPING_URL = "vendor/polygon-clipping/polygon-clipping.umd.min.js";
+
+/** Stroke colors of the hatched change overlays (and their key). */
+const HISTORY_COLORS = { added: "#15803d", removed: "#b91c1c" };
+
+/** Pending or finished script loads by URL. */
+const SCRIPT_LOADS = new Map();
+
+/**
+ * Load a classic script once and resolve with the global it defines.
+ * @param {string} url
+ * @param {string} globalName
+ * @returns {Promise<any>}
+ */
+function loadScript(url, globalName) {
+  if (window[globalName]) return Promise.resolve(window[globalName]);
+  if (!SCRIPT_LOADS.has(url)) {
+    const request = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = url;
+      script.onload = () =>
+        window[globalName]
+          ? resolve(window[globalName])
+          : reject(new Error(`${url}: no ${globalName}`));
+      script.onerror = () => reject(new Error(`Could not load ${url}`));
+      document.head.appendChild(script);
+    });
+    request.catch(() => SCRIPT_LOADS.delete(url));
+    SCRIPT_LOADS.set(url, request);
+  }
+  return SCRIPT_LOADS.get(url);
+}
+
+/**
+ * Per-plan-area boundary changes between two versions. Features are grouped
+ * by `key` (a plan area split over several features is merged), then each
+ * group's added (after minus before) and removed (before minus after) parts
+ * are computed. Changes smaller than minAcres on both sides (coordinate
+ * rounding between sources) are dropped.
+ * @param {GeoJSON.Feature[]} before
+ * @param {GeoJSON.Feature[]} after
+ * @param {{difference: Function}} clip polygon-clipping (or compatible) module
+ * @param {{key?: string, minAcres?: number}} [opts]
+ * @returns {Array<{name: string, status: 'added'|'removed'|'changed',
+ *   beforeAcres: number, afterAcres: number, addedAcres: number,
+ *   removedAcres: number, added: GeoJSON.MultiPolygon|null,
+ *   removed: GeoJSON.MultiPolygon|null}>} Sorted by net change, largest first
+ */
+function diffBoundaries(before, after, clip, opts = {}) {
+  const key = opts.key || "cpname";
+  const minAcres = opts.minAcres ?? 0.5;
+  const group = (features) => {
+    const byName = new Map();
+    for (const f of features) {
+      const name = String(f.properties?.[key] ?? "").trim();
+      if (!name) continue;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(...polygonsOf(f.geometry));
+    }
+    return byName;
+  };
+  const a = group(before);
+  const b = group(after);
+  const acres = (coords) =>
+    coords.length ? geodesicArea({ type: "MultiPolygon", coordinates: coords }) / SQ_M_PER_ACRE : 0;
+  const multi = (coords) => (coords.length ? { type: "MultiPolygon", coordinates: coords } : null);
+
+  const changes = [];
+  for (const name of new Set([...a.keys(), ...b.keys()])) {
+    const was = a.get(name) || [];
+    const now = b.get(name) || [];
+    const added = now.length ? (was.length ? clip.difference(now, was) : now) : [];
+    const removed = was.length ? (now.length ? clip.difference(was, now) : was) : [];
+    const addedAcres = acres(added);
+    const removedAcres = acres(removed);
+    if (addedAcres < minAcres && removedAcres < minAcres) continue;
+    changes.push({
+      name,
+      status: !was.length ? "added" : !now.length ? "removed" : "changed",
+      beforeAcres: acres(was),
+      afterAcres: acres(now),
+      addedAcres,
+      removedAcres,
+      added: addedAcres >= minAcres ? multi(added) : null,
+      removed: removedAcres >= minAcres ? multi(removed) : null,
+    });
+  }
+  const net = (c) => Math.abs(c.addedAcres - c.removedAcres);
+  return changes.sort((x, y) => net(y) - net(x) || x.name.localeCompare(y.name));
+}
+
+/**
+ * Diagonal hatch as a Canvas fill (Leaflet's Canvas renderer passes
+ * fillColor straight to ctx.fillStyle). Plain color where there is no canvas.
+ * @param {string} color
+ * @param {1|-1} [slope] 1 for "/" hatching, -1 for "\"
+ * @returns {CanvasPattern|string}
+ */
+function hatchPattern(color, slope = 1) {
+  const size = 8;
+  const tile = document.createElement("canvas");
+  tile.width = tile.height = size;
+  const ctx = tile.getContext?.("2d");
+  if (!ctx?.createPattern) return color;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  // Main diagonal plus the two corner pieces so tiles join seamlessly
+  for (const offset of [-size, 0, size]) {
+    ctx.moveTo(offset, slope > 0 ? size : 0);
+    ctx.lineTo(offset + size, slope > 0 ? 0 : size);
+  }
+  ctx.stroke();
+  return ctx.createPattern(tile, "repeat") || color;
+}
+
+/**
+ * Boundary history panel: compares two snapshots of the plan areas (saved
+ * GeoJSON files or FeatureServer queries, see APP_CONFIG.history) and shows
+ * added areas hatched green, removed areas hatched red, and a table of the
+ * changed plan areas with acreage deltas. Sources load on first open.
+ * Usage: new BoundaryHistoryControl({ before, after, key, minAcres }).addTo(map)
+ */
+const BoundaryHistoryControl = L.Control.extend({
+  options: {
+    position: "topright",
+    /** Source entries for loadOverlayFeatures, plus a display name */
+    before: null,
+    after: null,
+    /** Property matching plan areas across the two versions */
+    key: "cpname",
+    /** Changes smaller than this (acres) are ignored */
+    minAcres: 0.5,
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    const div = L.DomUtil.create("div", "np-history leaflet-control");
+    div.innerHTML =
+      '<button type="button" class="np-history-toggle" aria-expanded="false" ' +
+      'aria-controls="np-history-body">Boundary changes</button>' +
+      '<section class="np-history-body" id="np-history-body" aria-label="Boundary changes" hidden>' +
+      '<p class="np-history-versions"></p>' +
+      '<p class="np-history-key">' +
+      '<span class="np-history-swatch np-history-added" aria-hidden="true"></span>Added ' +
+      '<span class="np-history-swatch np-history-removed" aria-hidden="true"></span>Removed</p>' +
+      '<p class="np-history-status" role="status" aria-live="polite"></p>' +
+      '<table hidden><thead><tr><th scope="col">Plan area</th><th scope="col">Added</th>' +
+      '<th scope="col">Removed</th><th scope="col">Net (acres)</th></tr></thead>' +
+      "<tbody></tbody></table>" +
+      "</section>";
+    this._toggle = div.querySelector(".np-history-toggle");
+    this._body = div.querySelector(".np-history-body");
+    this._status = div.querySelector(".np-history-status");
+    this._table = div.querySelector("table");
+    div.querySelector(".np-history-versions").textContent =
+      `${this._sourceName(this.options.before, "Before")} → ` +
+      this._sourceName(this.options.after, "After");
+
+    this._layer = L.featureGroup();
+    this._changes = [];
+    this._toggle.addEventListener("click", () => this.setOpen(this._body.hidden));
+    div.addEventListener("click", (e) => {
+      const row = e.target.closest("[data-change]");
+      const change = row && this._changes[Number(row.getAttribute("data-change"))];
+      if (change) this._zoomTo(change);
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  onRemove: function (map) {
+    map.removeLayer(this._layer);
+  },
+
+  /** @param {boolean} open Show the panel and change overlays */
+  setOpen: function (open) {
+    this._body.hidden = !open;
+    this._toggle.setAttribute("aria-expanded", String(open));
+    if (!open) return this._map.removeLayer(this._layer);
+    this._layer.addTo(this._map);
+    this._load();
+  },
+
+  _sourceName: function (source, fallback) {
+    return String(source?.name || fallback);
+  },
+
+  /** Load both versions and diff them (once; again after a failure). */
+  _load: function () {
+    if (this._loading) return this._loading;
+    const { before, after, key, minAcres } = this.options;
+    const features = (source) =>
+      new Promise((resolve, reject) => {
+        if (!source) return reject(new Error("history: missing source"));
+        loadOverlayFeatures(source, (err, fc) => (err ? reject(err) : resolve(fc.features || [])));
+      });
+
+    this._status.textContent = "Loading both versions…";
+    this._loading = Promise.all([
+      features(before),
+      features(after),
+      loadScript(POLYGON_CLIPPING_URL, "polygonClipping").catch((err) => {
+        console.warn("Boundary history:", err);
+        throw new Error("the polygon library did not load. Reload the page to try again.");
+      }),
+    ])
+      .then(([a, b, clip]) => {
+        this._changes = diffBoundaries(a, b, clip, { key, minAcres });
+        this._render();
+      })
+      .catch((err) => {
+        this._loading = null;
+        this._status.textContent = `Could not compare boundaries: ${err?.message || err}`;
+      });
+    return this._loading;
+  },
+
+  _render: function () {
+    const changes = this._changes;
+    const fmt = (n) => n.toLocaleString("en-US", { maximumFractionDigits: 1 });
+    const signed = (n) => (n > 0 ? "+" : n < 0 ? "−" : "") + fmt(Math.abs(n));
+    const style = (kind, slope) => ({
+      color: HISTORY_COLORS[kind],
+      weight: 1.5,
+      opacity: 1,
+      fillColor: hatchPattern(HISTORY_COLORS[kind], slope),
+      fillOpacity: 1,
+      interactive: false,
+    });
+    const removedStyle = style("removed", -1);
+    const addedStyle = style("added", 1);
+
+    this._layer.clearLayers();
+    for (const change of changes) {
+      if (change.removed) this._layer.addLayer(L.geoJSON(change.removed, removedStyle));
+      if (change.added) this._layer.addLayer(L.geoJSON(change.added, addedStyle));
+    }
+
+    this._status.textContent = changes.length
+      ? `${changes.length} plan area(s) changed. Select one to zoom to its changes.`
+      : "No boundary changes between these versions.";
+    this._table.hidden = !changes.length;
+    this._table.querySelector("tbody").innerHTML = changes
+      .map((c, i) => {
+        const note = c.status === "changed" ? "" : ` (${c.status === "added" ? "new" : "retired"})`;
+        return (
+          `<tr><th scope="row"><button type="button" data-change="${i}">` +
+          `${escapeHtml(c.name)}${note}</button></th>` +
+          `<td>${fmt(c.addedAcres)}</td><td>${fmt(c.removedAcres)}</td>` +
+          `<td>${signed(c.addedAcres - c.removedAcres)}</td></tr>`
+        );
+      })
+      .join("");
+  },
+
+  _zoomTo: function (change) {
+    const bounds = L.geoJSON(
+      [change.added, change.removed].filter(Boolean).map((geometry) => ({
+        type: "Feature",
+        properties: {},
+        geometry,
+      }))
+    ).getBounds();
+    if (bounds.isValid()) this._map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
+  },
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { diffBoundaries });
+}
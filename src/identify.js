@@ -0,0 +1,121 @@
+/* ============================================================================
+ * identify.js — info panel for a selected plan area
+ * ========================================================================== */
+
+"use strict";
+
+/** Outline drawn around a selected / highlighted plan area. */
+const HIGHLIGHT_STYLE = { color: "#f59e0b", weight: 4, opacity: 1, fill: false, dashArray: "6 4" };
+
+/**
+ * Info panel listing a plan area's name, override label, area, perimeter,
+ * bordering CPAs and city plan page (the label CSV "Url" column).
+ * Opened via map "cpa:select" events (polygon click, or Enter on the focused
+ * map to identify the area under the center). Escape closes it.
+ * Usage: new InfoPanel({ overlayIds }).addTo(map)
+ */
+const InfoPanel = L.Control.extend({
+  options: {
+    position: "bottomright",
+    /** OVERLAYS ids whose features count as plan areas (for neighbors) */
+    overlayIds: [],
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    const div = L.DomUtil.create("div", "np-info leaflet-control");
+    div.setAttribute("role", "region");
+    div.setAttribute("aria-label", "Plan area details");
+    div.hidden = true;
+    this._div = div;
+
+    this._highlight = L.geoJSON(null, { interactive: false, style: HIGHLIGHT_STYLE }).addTo(map);
+
+    div.addEventListener("click", (e) => {
+      const neighbor = e.target.closest("[data-cpa]");
+      if (neighbor) this.showByName(neighbor.getAttribute("data-cpa"));
+      if (e.target.closest(".np-info-close")) this.hide();
+    });
+    div.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.hide();
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  onRemove: function () {
+    this._highlight.remove();
+  },
+
+  /** @returns {GeoJSON.Feature[]} Every loaded plan-area feature */
+  _features: function () {
+    return this.options.overlayIds.flatMap((id) => OVERLAYS[id]?.getFeatures?.() || []);
+  },
+
+  /**
+   * Show details for a plan area by cpname (used by the neighbor buttons).
+   * @param {string} name
+   */
+  showByName: function (name) {
+    const feature = this._features().find((f) => f.properties?.cpname === name);
+    if (feature) this.show(feature);
+  },
+
+  /**
+   * Render details for a feature and move focus to the panel heading.
+   * @param {GeoJSON.Feature|null} feature
+   */
+  show: function (feature) {
+    if (!feature) return;
+    const props = feature.properties || {};
+    const name = String(props.cpname ?? "Plan area");
+    const label = cpaDisplayName(props);
+    const url = labelOverrideFor(name)?.url;
+
+    const sqm = geodesicArea(feature.geometry);
+    const meters = geodesicPerimeter(feature.geometry);
+    const neighbors = findNeighbors(feature, this._features())
+      .map((f) => String(f.properties?.cpname ?? ""))
+      .filter(Boolean)
+      .sort();
+
+    const fmt = (n, digits) => n.toLocaleString("en-US", { maximumFractionDigits: digits });
+    const area = `${fmt(sqm / SQ_M_PER_ACRE, 0)} acres (${fmt(sqm / SQ_M_PER_SQ_MI, 2)} sq mi)`;
+    const perimeter = `${fmt(meters / M_PER_MI, 2)} mi (${fmt(meters / 1000, 2)} km)`;
+    const neighborItem = (n) =>
+      `<li><button type="button" data-cpa="${escapeHtml(n)}">${escapeHtml(n)}</button></li>`;
+    const borders = neighbors.length
+      ? `<ul>${neighbors.map(neighborItem).join("")}</ul>`
+      : "None loaded";
+
+    this._div.innerHTML =
+      '<button type="button" class="np-info-close" aria-label="Close details">×</button>' +
+      `<h2 class="np-info-title" tabindex="-1">${escapeHtml(name)}</h2>` +
+      "<dl>" +
+      (label !== name ? `<dt>Label</dt><dd>${escapeHtml(label)}</dd>` : "") +
+      `<dt>Area</dt><dd>${area}</dd>` +
+      `<dt>Perimeter</dt><dd>${perimeter}</dd>` +
+      `<dt>Borders</dt><dd>${borders}</dd>` +
+      "</dl>" +
+      (url
+        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">Community plan page</a>`
+        : "");
+
+    this._highlight.clearLayers().addData(feature);
+    if (this._div.hidden) this._returnFocus = document.activeElement;
+    this._div.hidden = false;
+    this._div.querySelector(".np-info-title").focus();
+  },
+
+  /** Hide the panel; focus returns where it was (e.g. a table row), else the map. */
+  hide: function () {
+    if (this._div.hidden) return;
+    this._div.hidden = true;
+    this._highlight.clearLayers();
+    const back = this._returnFocus;
+    this._returnFocus = null;
+    (back?.isConnected && back !== document.body ? back : this._map.getContainer()).focus();
+  },
+});
@@ -0,0 +1,339 @@
+/* ============================================================================
+ * keyboard.js — browse plan areas from the map, and a table view of them
+ * ========================================================================== */
+
+"use strict";
+
+/** Two-tone outline for the plan area focused while browsing (casing, stroke). */
+const KEYNAV_STYLES = [
+  { color: "#ffffff", weight: 8, opacity: 1, fill: false },
+  { color: "#111827", weight: 4, opacity: 1, fill: false },
+];
+
+/** Unit vectors (east, north) for the arrow keys. */
+const ARROW_DIRECTIONS = {
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+};
+
+/**
+ * Index of the point nearest `origin` in a direction: candidates must lie
+ * within 60° of it, and the distance is stretched the further off-axis they
+ * are. Longitudes are scaled by cos(latitude) so east-west compares fairly.
+ * @param {[number, number]} origin [lng, lat]
+ * @param {Array<[number, number]|null>} points [lng, lat] per candidate
+ * @param {[number, number]} direction unit vector [east, north]
+ * @returns {number} -1 when nothing lies that way
+ */
+function nearestInDirection(origin, points, direction) {
+  const kx = Math.cos((origin[1] * Math.PI) / 180);
+  let best = -1;
+  let bestScore = Infinity;
+  points.forEach((pt, i) => {
+    if (!pt) return;
+    const dx = (pt[0] - origin[0]) * kx;
+    const dy = pt[1] - origin[1];
+    const dist = Math.hypot(dx, dy);
+    if (!dist) return;
+    const cos = (dx * direction[0] + dy * direction[1]) / dist;
+    if (cos < 0.5) return;
+    const score = dist / cos ** 2;
+    if (score < bestScore) [best, bestScore] = [i, score];
+  });
+  return best;
+}
+
+/**
+ * Plan areas in the visible identify overlays, one per cpname, sorted by
+ * name (the order Tab steps through and the table lists).
+ * @param {L.Map} map
+ * @param {string[]} overlayIds OVERLAYS ids, in priority order
+ * @returns {GeoJSON.Feature[]}
+ */
+function visiblePlanAreas(map, overlayIds) {
+  const byName = new Map();
+  for (const id of overlayIds) {
+    if (!OVERLAYS[id] || !map.hasLayer(OVERLAYS[id])) continue;
+    for (const f of OVERLAYS[id].getFeatures?.() || []) {
+      const name = String(f.properties?.cpname ?? "");
+      if (name && !byName.has(name)) byName.set(name, f);
+    }
+  }
+  return [...byName.values()].sort((a, b) =>
+    cpaDisplayName(a.properties).localeCompare(cpaDisplayName(b.properties))
+  );
+}
+
+/**
+ * "Browse plan areas" toggle. While browsing, the focused map moves between
+ * plan areas instead of panning: Tab / Shift+Tab step through them by name,
+ * the arrow keys jump to the nearest one in that direction, Enter opens the
+ * details (map "cpa:select") and Escape returns to panning. The current area
+ * is outlined and announced, with its neighbors, through a live region.
+ * Usage: new PlanAreaNavControl({ overlayIds, paused }).addTo(map)
+ */
+const PlanAreaNavControl = L.Control.extend({
+  options: {
+    position: "topleft",
+    /** OVERLAYS ids whose features count as plan areas */
+    overlayIds: [],
+    /** @type {() => boolean} While true, keys go to the map as usual */
+    paused: () => false,
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    const div = L.DomUtil.create("div", "np-keynav leaflet-control");
+    div.innerHTML =
+      '<button type="button" class="np-keynav-toggle" aria-pressed="false">' +
+      "Browse plan areas</button>" +
+      '<div class="np-keynav-status np-sr-only" role="status" aria-live="polite"></div>';
+    this._toggle = div.querySelector("button");
+    this._live = div.querySelector("[role=status]");
+    this._outline = L.featureGroup(
+      KEYNAV_STYLES.map((style) => L.geoJSON(null, { interactive: false, style }))
+    );
+    this._feature = null;
+
+    this._toggle.addEventListener("click", () => {
+      if (this._active) this.stop();
+      else this.start();
+    });
+
+    // Capture phase on the container itself runs before Leaflet's keyboard
+    // handler, so handled keys never pan the map
+    const container = map.getContainer();
+    this._onKey = (e) => this._handleKey(e);
+    this._onFocusOut = (e) => {
+      if (this._active && !container.contains(e.relatedTarget)) this.stop();
+    };
+    container.addEventListener("keydown", this._onKey, true);
+    container.addEventListener("focusout", this._onFocusOut);
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  },
+
+  onRemove: function (map) {
+    this.stop();
+    map.getContainer().removeEventListener("keydown", this._onKey, true);
+    map.getContainer().removeEventListener("focusout", this._onFocusOut);
+  },
+
+  /** True while the map's keys browse plan areas. */
+  isActive: function () {
+    return !!this._active;
+  },
+
+  /** Start browsing from the plan area at the map center (else the first). */
+  start: function () {
+    const map = this._map;
+    const container = map.getContainer();
+    const features = visiblePlanAreas(map, this.options.overlayIds);
+    this._active = true;
+    this._toggle.setAttribute("aria-pressed", "true");
+    // Lets screen readers pass Tab and the arrow keys through to the map
+    container.setAttribute("role", "application");
+    container.setAttribute("aria-roledescription", "map");
+    L.DomUtil.removeClass(this._live, "np-sr-only");
+    this._outline.addTo(map);
+    container.focus();
+
+    const centered = findCPAAt(map.getCenter(), this.options.overlayIds);
+    const current = features.find((f) => f.properties?.cpname === centered?.properties?.cpname);
+    if (!features.length) return this._announce("No plan areas are loaded.");
+    this.focusFeature(current || features[0], {
+      prefix:
+        "Browsing plan areas. Tab or the arrow keys move, Enter opens details, " +
+        "Escape returns to panning.",
+    });
+  },
+
+  /** Stop browsing; the map pans with the arrow keys again. */
+  stop: function () {
+    if (!this._active) return;
+    const container = this._map.getContainer();
+    this._active = false;
+    this._feature = null;
+    this._toggle.setAttribute("aria-pressed", "false");
+    container.removeAttribute("role");
+    container.removeAttribute("aria-roledescription");
+    L.DomUtil.addClass(this._live, "np-sr-only");
+    this._outline.eachLayer((l) => l.clearLayers()).remove();
+    this._announce("Stopped browsing plan areas.");
+  },
+
+  /**
+   * Outline a plan area, bring it into view and announce it.
+   * @param {GeoJSON.Feature} feature
+   * @param {{prefix?: string}} [opts] text announced before the name
+   */
+  focusFeature: function (feature, opts = {}) {
+    const map = this._map;
+    const features = visiblePlanAreas(map, this.options.overlayIds);
+    this._feature = feature;
+    this._outline.eachLayer((l) => l.clearLayers().addData(feature));
+
+    const anchor = labelAnchorFor(feature) || L.geoJSON(feature).getBounds().getCenter();
+    map.panInside(anchor, { padding: [40, 40] });
+
+    const index = features.findIndex((f) => f.properties?.cpname === feature.properties?.cpname);
+    const neighbors = findNeighbors(feature, features).map((f) =>
+      titleCase(cpaDisplayName(f.properties))
+    );
+    const position = index >= 0 ? `, ${index + 1} of ${features.length}` : "";
+    this._announce(
+      [
+        opts.prefix,
+        `${titleCase(cpaDisplayName(feature.properties))}${position}.`,
+        neighbors.length ? `Borders ${neighbors.sort().join(", ")}.` : "No loaded neighbors.",
+      ]
+        .filter(Boolean)
+        .join(" ")
+    );
+  },
+
+  /** @param {KeyboardEvent} e */
+  _handleKey: function (e) {
+    const map = this._map;
+    if (!this._active || e.target !== map.getContainer() || this.options.paused()) return;
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const features = visiblePlanAreas(map, this.options.overlayIds);
+    const name = this._feature?.properties?.cpname;
+    const index = features.findIndex((f) => f.properties?.cpname === name);
+    let next = null;
+
+    if (e.key === "Escape") {
+      this.stop();
+    } else if (e.key === "Enter") {
+      if (this._feature) {
+        const latlng = labelAnchorFor(this._feature) || map.getCenter();
+        map.fire("cpa:select", { feature: this._feature, latlng });
+      }
+    } else if (e.key === "Tab") {
+      if (!features.length) return;
+      const step = e.shiftKey ? -1 : 1;
+      next = features[(index + step + features.length) % features.length] || features[0];
+    } else if (ARROW_DIRECTIONS[e.key]) {
+      if (!this._feature) return;
+      const anchors = features.map((f) => {
+        const ll = labelAnchorFor(f);
+        return ll ? [ll.lng, ll.lat] : null;
+      });
+      const from = labelAnchorFor(this._feature);
+      const i = from
+        ? nearestInDirection([from.lng, from.lat], anchors, ARROW_DIRECTIONS[e.key])
+        : -1;
+      if (i < 0) {
+        const way = { ArrowUp: "north", ArrowDown: "south", ArrowLeft: "west", ArrowRight: "east" };
+        this._announce(`No plan area further ${way[e.key]}.`);
+      } else {
+        next = features[i];
+      }
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (next) this.focusFeature(next);
+  },
+
+  _announce: function (text) {
+    this._live.textContent = text;
+  },
+});
+
+/**
+ * Table view of the plan areas in the visible overlays (name, label, area,
+ * neighbors), placed after the map for screen readers and shown on screen
+ * while it has keyboard focus. Rebuilt as its overlays load or are toggled and
+ * when the focus area changes (keyboard focus stays on the same plan area's
+ * button); selecting a plan area only moves the current-row mark.
+ * Usage: createPlanAreaTable(map, { overlayIds, onSelect })
+ * @param {L.Map} map
+ * @param {{overlayIds: string[], onSelect: (feature: GeoJSON.Feature) => void}} opts
+ * @returns {{update: () => void}}
+ */
+function createPlanAreaTable(map, { overlayIds, onSelect }) {
+  const section = document.createElement("section");
+  section.className = "np-cpa-table";
+  section.setAttribute("aria-labelledby", "np-cpa-table-title");
+  section.innerHTML =
+    '<h2 id="np-cpa-table-title" tabindex="-1">Plan areas on the map</h2>' +
+    '<table><thead><tr><th scope="col">Plan area</th><th scope="col">Label</th>' +
+    '<th scope="col">Area (acres)</th><th scope="col">Borders</th></tr></thead>' +
+    "<tbody></tbody></table>";
+  map.getContainer().after(section);
+  const tbody = section.querySelector("tbody");
+  let features = [];
+  let selected = null;
+  let timer = null;
+
+  const nameOf = (button) => features[Number(button.getAttribute("data-index"))]?.properties.cpname;
+  const markCurrent = () =>
+    tbody.querySelectorAll("[data-index]").forEach((button) => {
+      const row = button.closest("tr");
+      if (nameOf(button) === selected) row.setAttribute("aria-current", "true");
+      else row.removeAttribute("aria-current");
+    });
+
+  const render = () => {
+    timer = null;
+    const active = section.contains(document.activeElement) ? document.activeElement : null;
+    const focusedName = active?.hasAttribute("data-index") ? nameOf(active) : null;
+    features = visiblePlanAreas(map, overlayIds);
+    const fmt = (n) => n.toLocaleString("en-US", { maximumFractionDigits: 0 });
+    tbody.innerHTML = features.length
+      ? features
+          .map((f, i) => {
+            const name = String(f.properties.cpname);
+            const label = cpaDisplayName(f.properties);
+            const neighbors = findNeighbors(f, features)
+              .map((n) => String(n.properties?.cpname ?? ""))
+              .sort();
+            return (
+              '<tr><th scope="row">' +
+              `<button type="button" data-index="${i}">${escapeHtml(name)}</button></th>` +
+              `<td>${label !== name ? escapeHtml(label) : ""}</td>` +
+              `<td>${fmt(geodesicArea(f.geometry) / SQ_M_PER_ACRE)}</td>` +
+              `<td>${escapeHtml(neighbors.join(", ") || "None loaded")}</td></tr>`
+            );
+          })
+          .join("")
+      : '<tr><td colspan="4">No plan areas are loaded.</td></tr>';
+    markCurrent();
+    if (focusedName == null) return;
+    const index = features.findIndex((f) => f.properties.cpname === focusedName);
+    const button = tbody.querySelector(`[data-index="${index}"]`);
+    (button || section.querySelector("h2")).focus(); // the plan area may have gone
+  };
+  const update = () => {
+    if (timer == null) timer = setTimeout(render, 100);
+  };
+
+  section.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-index]");
+    const feature = button && features[Number(button.getAttribute("data-index"))];
+    if (feature) onSelect(feature);
+  });
+  map.on("overlayadd overlayremove focus:change", update);
+  // Only this table's overlays; basemap tiles report "ready" after every pan
+  const statusKeys = new Set(overlayIds.map((id) => `overlay:${id}`));
+  map.on("layer:status", (e) => {
+    if (e.state === "ready" && statusKeys.has(e.key)) update();
+  });
+  map.on("cpa:select", (e) => {
+    selected = e.feature?.properties?.cpname ?? null;
+    markCurrent();
+  });
+  update();
+  return { update };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { nearestInDirection });
+}
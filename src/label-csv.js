@@ -0,0 +1,189 @@
+/* ============================================================================
+ * label-csv.js — CSV label overrides (data/cpa-labels.csv)
+ * ========================================================================== */
+
+"use strict";
+
+// Required from Node, take parseLatLng from its module; in the browser
+// url-state.js has already declared it in the shared scope
+if (typeof window === "undefined" && typeof require === "function") {
+  var { parseLatLng } = require("./url-state.js");
+}
+
+/**
+ * Parse CSV text per RFC 4180: quoted fields, "" escapes, commas and line
+ * breaks inside quotes, CRLF or LF row ends. A leading BOM is dropped.
+ * @param {string} text
+ * @returns {string[][]} Rows of raw (untrimmed) fields
+ */
+function parseCSV(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (src[i + 1] === '"') {
+        field += '"'; // escaped quote
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Format rows as CSV (inverse of parseCSV): fields with commas, quotes or
+ * line breaks are quoted, rows end in CRLF.
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+function formatCSV(rows) {
+  const field = (value) => {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(field).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * @typedef {Object} LabelOverride
+ * @property {string} label Replacement text ("|" = line break); "" keeps the default
+ * @property {number|null} minZoom Per-CPA label min zoom (overrides label.minZoom)
+ * @property {boolean} hidden Suppress this CPA's label
+ * @property {[number, number]|null} anchor Label position [lat, lng]
+ * @property {string} url Community plan page
+ * @property {number} line CSV line number (for reports)
+ */
+
+/**
+ * Turn label CSV text into override records keyed by upper-cased CPNAME.
+ * Columns are matched by header (case-insensitive): CPNAME and Label are
+ * expected; MinZoom, Hidden, Anchor ("lat,lng", quoted) and Url are optional.
+ * Later duplicate rows win and are reported.
+ * @param {string} text
+ * @returns {{overrides: Record<string, LabelOverride>, duplicates: {cpname: string, line: number}[],
+ *   invalid: {cpname: string, line: number, column: string, value: string}[], columns: string[]}}
+ */
+function parseLabelCSV(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  const columns = header.map((h) => h.trim().toUpperCase());
+  if (columns[0] !== "CPNAME" || !columns.includes("LABEL")) {
+    console.warn("cpa-labels.csv header not recognized:", header.join(","));
+  }
+
+  const overrides = Object.create(null);
+  const duplicates = [];
+  const invalid = [];
+
+  rows.forEach((cells, i) => {
+    const line = i + 2; // 1-based, after the header
+    const get = (col) => (cells[columns.indexOf(col)] ?? "").trim();
+    const cpname = get("CPNAME").toUpperCase();
+    if (!cpname) return; // blank line
+
+    if (overrides[cpname]) duplicates.push({ cpname, line });
+
+    const record = {
+      label: get("LABEL"),
+      minZoom: null,
+      hidden: /^(1|true|yes|y|x)$/i.test(get("HIDDEN")),
+      anchor: null,
+      url: get("URL"),
+      line,
+    };
+
+    const minZoom = get("MINZOOM");
+    if (minZoom) {
+      if (Number.isFinite(Number(minZoom))) record.minZoom = Number(minZoom);
+      else invalid.push({ cpname, line, column: "MinZoom", value: minZoom });
+    }
+    const anchor = get("ANCHOR");
+    if (anchor) {
+      record.anchor = parseLatLng(anchor);
+      if (!record.anchor) invalid.push({ cpname, line, column: "Anchor", value: anchor });
+    }
+
+    overrides[cpname] = record;
+  });
+
+  return { overrides, duplicates, invalid, columns };
+}
+
+/**
+ * Override record for a CPA name, if the CSV has loaded and lists it.
+ * @param {any} name cpname (any case)
+ * @returns {LabelOverride|null}
+ */
+function labelOverrideFor(name) {
+  return window.CPA_LABEL_OVERRIDES?.[String(name ?? "").toUpperCase()] || null;
+}
+
+/**
+ * Compare CSV keys against the names the overlays actually returned.
+ * @param {ReturnType<typeof parseLabelCSV>} parsed
+ * @param {string[]} names Loaded feature names (e.g. cpname values)
+ * @returns {{unmatched: string[], missing: string[], duplicates: any[], invalid: any[]}}
+ */
+function validateLabelOverrides(parsed, names) {
+  const known = new Set(names.map((n) => String(n).toUpperCase()));
+  return {
+    unmatched: Object.keys(parsed.overrides).filter((k) => !known.has(k)),
+    missing: [...known].filter((n) => !parsed.overrides[n]).sort(),
+    duplicates: parsed.duplicates,
+    invalid: parsed.invalid,
+  };
+}
+
+/**
+ * Log a validation report: collapsed group, warning level if anything is off.
+ * @param {ReturnType<typeof validateLabelOverrides>} report
+ */
+function logLabelReport(report) {
+  const issues =
+    report.unmatched.length +
+    report.missing.length +
+    report.duplicates.length +
+    report.invalid.length;
+  const log = issues ? console.warn : console.debug;
+  console.groupCollapsed(`cpa-labels.csv validation: ${issues ? issues + " issue(s)" : "OK"}`);
+  log("Rows with no matching CPA (typo or renamed?):", report.unmatched);
+  log("CPAs with no row (default label used):", report.missing);
+  if (report.duplicates.length) console.table(report.duplicates);
+  if (report.invalid.length) console.table(report.invalid);
+  console.groupEnd();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, {
+    parseCSV,
+    formatCSV,
+    parseLabelCSV,
+    labelOverrideFor,
+    validateLabelOverrides,
+  });
+}
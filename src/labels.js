@@ -0,0 +1,131 @@
+/* ============================================================================
+ * labels.js — collision-aware placement across all overlays
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * CSV override row for a feature (only when the overlay sets label.overrides).
+ * @param {any} entry Overlay config entry
+ * @param {GeoJSON.Feature} feature
+ * @returns {LabelOverride|null}
+ */
+function labelOverrideForFeature(entry, feature) {
+  const labelCfg = entry.label;
+  if (!labelCfg?.overrides) return null;
+  return labelOverrideFor(feature?.properties?.[labelCfg.prop || "cpname"]);
+}
+
+/**
+ * Resolve label text for a feature: CSV override, else label.prop value,
+ * else label.text, else the overlay name.
+ * @param {any} entry Overlay config entry
+ * @param {GeoJSON.Feature} feature
+ * @returns {string|null}
+ */
+function labelTextFor(entry, feature) {
+  const labelCfg = entry.label || null;
+  const prop = labelCfg?.prop || "cpname";
+  const fp = feature?.properties || {};
+
+  // CSV overrides (data/cpa-labels.csv), keyed by the upper-cased prop value
+  const override = labelOverrideForFeature(entry, feature)?.label;
+  if (override) {
+    // Convert "A|B" to "A\nB" (CSS uses white-space: pre-line)
+    return override.replace(/\s*\|\s*/g, "\n");
+  }
+
+  // Fallbacks
+  if (labelCfg?.prop && fp[prop] != null) return String(fp[prop]);
+  if (labelCfg?.text) return String(labelCfg.text);
+  return entry.name || null;
+}
+
+/**
+ * Whether a feature's label shows at `zoom`. Per-CPA CSV MinZoom/Hidden win
+ * over the overlay-wide label.minZoom; label.skipValues never label.
+ * @param {any} entry Overlay config entry
+ * @param {GeoJSON.Feature} feature
+ * @param {number} zoom
+ * @returns {boolean}
+ */
+function labelVisibleAt(entry, feature, zoom) {
+  const labelCfg = entry.label;
+  if (!labelCfg || !feature) return false;
+
+  const row = labelOverrideForFeature(entry, feature);
+  if (row?.hidden) return false;
+
+  const minZoom = row?.minZoom ?? (labelCfg.minZoom != null ? Number(labelCfg.minZoom) : null);
+  if (minZoom != null && zoom < minZoom) return false;
+
+  const skip = Array.isArray(labelCfg.skipValues) && labelCfg.prop ? labelCfg.skipValues : [];
+  return !skip.includes(feature.properties?.[labelCfg.prop]);
+}
+
+/**
+ * @typedef {Object} LabelCandidate
+ * @property {L.Layer} layer Feature layer with a bound permanent tooltip
+ * @property {string|null} text null = hidden (CSV Hidden, minZoom, skipValues)
+ * @property {L.LatLng|null} latlng Anchor (null = tooltip default)
+ * @property {number} priority Higher places first (label.priority)
+ * @property {number} size Tie-break: larger areas place first
+ */
+
+/** Gap (px) kept around each label pill. */
+const LABEL_PADDING = 3;
+
+/**
+ * Place every overlay's labels in one pass: highest priority first (then
+ * larger areas), each pill at its anchor; a pill that would overlap one
+ * already placed is hidden. North Park wins via its label.priority.
+ * @param {L.Map} map
+ */
+function layoutLabels(map) {
+  const candidates = Object.values(OVERLAYS)
+    .filter((g) => g?.labelCandidates && map.hasLayer(g))
+    .flatMap((g) => g.labelCandidates());
+  candidates.sort((a, b) => b.priority - a.priority || b.size - a.size);
+
+  const placed = [];
+  candidates.forEach(({ layer, text, latlng }) => {
+    if (!text) {
+      layer.closeTooltip();
+      return;
+    }
+    layer.setTooltipContent(text);
+    layer.openTooltip(latlng || undefined);
+
+    const tooltip = layer.getTooltip();
+    const el = tooltip?.getElement();
+    if (!el) return;
+    const p = map.latLngToContainerPoint(tooltip.getLatLng());
+    const w = el.offsetWidth / 2 + LABEL_PADDING;
+    const h = el.offsetHeight / 2 + LABEL_PADDING;
+    const box = { x1: p.x - w, y1: p.y - h, x2: p.x + w, y2: p.y + h };
+
+    if (placed.some((b) => b.x1 < box.x2 && box.x1 < b.x2 && b.y1 < box.y2 && box.y1 < b.y2)) {
+      layer.closeTooltip();
+      return;
+    }
+    placed.push(box);
+  });
+}
+
+let labelFrame = 0;
+
+/**
+ * Coalesce layout requests (several overlays/events per frame) into one pass.
+ * @param {L.Map} map
+ */
+function scheduleLabelLayout(map) {
+  if (labelFrame) return;
+  labelFrame = window.requestAnimationFrame(() => {
+    labelFrame = 0;
+    layoutLabels(map);
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { labelOverrideForFeature, labelTextFor, labelVisibleAt });
+}
@@ -0,0 +1,202 @@
+/* ============================================================================
+ * layer-status.js — layer status (loading, automatic retries with backoff, Retry)
+ * ========================================================================== */
+
+"use strict";
+
+/** Delays (ms) before each automatic retry; after the last, Retry is offered. */
+const RETRY_DELAYS_MS = [2000, 5000, 15000];
+
+/**
+ * Payload of map "layer:status" events (see LayerStatusControl).
+ * @typedef {Object} LayerStatus
+ * @property {string} key Unique per layer, e.g. "overlay:north-park"
+ * @property {string} name Human-readable layer name
+ * @property {'loading'|'retrying'|'ready'|'error'|'idle'} state
+ * @property {string} [message] Error text (retrying / error)
+ * @property {number} [delay] Milliseconds until the next automatic retry
+ * @property {() => void} [retry] Manual retry (error)
+ */
+
+/**
+ * Run a one-shot load, retrying failures after RETRY_DELAYS_MS and reporting
+ * each step as a map "layer:status" event. A final failure reports "error"
+ * with a retry() that restarts the sequence.
+ * @param {L.Map} map
+ * @param {{key: string, name: string}} info
+ * @param {(done: (err?: any) => void) => void} attempt
+ */
+function runWithRetry(map, info, attempt) {
+  const emit = (state, extra) => map.fire("layer:status", { ...info, state, ...extra });
+  const run = (n) => {
+    emit("loading");
+    attempt((err) => {
+      if (!err) return emit("ready");
+      const message = err?.message || String(err);
+      const delay = RETRY_DELAYS_MS[n];
+      if (delay == null) return emit("error", { message, retry: () => run(0) });
+      emit("retrying", { message, delay });
+      setTimeout(() => run(n + 1), delay);
+    });
+  };
+  run(0);
+}
+
+/**
+ * Re-request a layer's data: refresh() for Esri feature layers, redraw() for
+ * tile/image layers, otherwise remove + re-add (e.g. vector tiles).
+ * @param {L.Map} map
+ * @param {L.Layer} layer
+ */
+function retryLayer(map, layer) {
+  if (typeof layer.refresh === "function") layer.refresh();
+  else if (typeof layer.redraw === "function") layer.redraw();
+  else if (map.hasLayer(layer)) {
+    map.removeLayer(layer);
+    map.addLayer(layer);
+  }
+}
+
+/**
+ * Report a streaming layer's state (tiles, Esri image/feature/vector layers)
+ * as "layer:status" events. A load cycle with tile or request errors counts
+ * as a failure and is retried with backoff; a clean cycle resets the count.
+ * @param {L.Map} map
+ * @param {L.Layer} layer
+ * @param {{key: string, name: string}} info
+ * @param {() => void} [retry] Defaults to retryLayer(map, layer)
+ */
+function watchLayerStatus(map, layer, info, retry = () => retryLayer(map, layer)) {
+  const emit = (state, extra) => map.fire("layer:status", { ...info, state, ...extra });
+  let errors = 0; // in the current load cycle
+  let failures = 0; // consecutive failed cycles
+  let retryTimer = null;
+  let settleTimer = null;
+
+  const settle = () => {
+    clearTimeout(settleTimer);
+    if (!map.hasLayer(layer) || retryTimer) return;
+    if (!errors) {
+      failures = 0;
+      return emit("ready");
+    }
+    const message = `${errors} request(s) failed`;
+    const delay = RETRY_DELAYS_MS[failures++];
+    errors = 0;
+    if (delay == null) {
+      return emit("error", {
+        message,
+        retry: () => {
+          failures = 0;
+          retry();
+        },
+      });
+    }
+    emit("retrying", { message, delay });
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      retry();
+    }, delay);
+  };
+
+  layer.on("loading", () => {
+    errors = 0;
+    emit("loading");
+  });
+  layer.on("tileerror", () => errors++); // GridLayer still fires "load" afterwards
+  layer.on("requesterror error", () => {
+    // Esri image layers fire no "load" after a failed export; settle shortly
+    errors++;
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(settle, 100);
+  });
+  layer.on("load", settle);
+  layer.on("remove", () => {
+    clearTimeout(retryTimer);
+    clearTimeout(settleTimer);
+    retryTimer = null;
+    emit("idle");
+  });
+}
+
+/**
+ * Per-layer loading / error list with Retry buttons, fed by map
+ * "layer:status" events; empty (and invisible) once everything has loaded.
+ * Failures and recoveries are announced through a polite live region.
+ * Usage: new LayerStatusControl().addTo(map)
+ */
+const LayerStatusControl = L.Control.extend({
+  options: {
+    position: "bottomleft",
+  },
+
+  onAdd: function (map) {
+    const div = L.DomUtil.create("div", "np-status leaflet-control");
+    div.innerHTML =
+      '<ul class="np-status-list" aria-label="Layer loading status"></ul>' +
+      '<div class="np-sr-only" role="status" aria-live="polite"></div>';
+    this._list = div.querySelector("ul");
+    this._live = div.querySelector("[role=status]");
+    /** @type {Map<string, {state: string, retry?: () => void, li: HTMLLIElement}>} */
+    this._items = new Map();
+
+    div.addEventListener("click", (e) => {
+      const key = e.target.closest("[data-retry]")?.getAttribute("data-retry");
+      this._items.get(key)?.retry?.();
+    });
+
+    this._onStatus = (e) => this.update(e);
+    map.on("layer:status", this._onStatus);
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  },
+
+  onRemove: function (map) {
+    map.off("layer:status", this._onStatus);
+  },
+
+  /** @param {LayerStatus} status */
+  update: function (status) {
+    const { key, name, state } = status;
+    const prev = this._items.get(key);
+
+    if (state === "ready" || state === "idle") {
+      if (prev) {
+        prev.li.remove();
+        this._items.delete(key);
+        if (state === "ready" && prev.state !== "loading") this._announce(`${name} loaded.`);
+      }
+      return;
+    }
+
+    const li = prev?.li || L.DomUtil.create("li", "np-status-item", this._list);
+    const seconds = Math.round((status.delay || 0) / 1000);
+    const text = {
+      loading: "Loading…",
+      retrying: `Failed; retrying in ${seconds} s`,
+      error: `Failed: ${status.message}`,
+    }[state];
+
+    li.setAttribute("data-state", state);
+    li.innerHTML =
+      '<span class="np-status-icon" aria-hidden="true"></span>' +
+      `<span class="np-status-name">${escapeHtml(name)}</span> ` +
+      `<span class="np-status-text">${escapeHtml(text)}</span>` +
+      (state === "error"
+        ? ` <button type="button" data-retry="${escapeHtml(key)}">Retry</button>`
+        : "");
+    // Loading cycles of a previously failed layer keep the failure for announcements
+    const keep = state === "loading" && prev && prev.state !== "loading";
+    this._items.set(key, { state: keep ? prev.state : state, retry: status.retry, li });
+
+    if (state === "retrying") {
+      this._announce(`${name} failed to load; retrying in ${seconds} seconds.`);
+    } else if (state === "error") {
+      this._announce(`${name} failed to load. A Retry button is in the layer status list.`);
+    }
+  },
+
+  _announce: function (text) {
+    this._live.textContent = text;
+  },
+});
@@ -0,0 +1,100 @@
+/* ============================================================================
+ * legend.js — swatches for the visible overlays, synced to the contrast profile
+ * ========================================================================== */
+
+"use strict";
+
+/** Map events after which the legend is rebuilt. */
+const LEGEND_EVENTS =
+  "overlayadd overlayremove baselayerchange contrastprofile themechange focus:change";
+
+/**
+ * Collapsible legend: one entry per visible overlay (symbology classes listed
+ * under the overlay name), a note on the active contrast profile, and the
+ * basemap credits. Swatches carry text descriptions for screen readers.
+ * Usage: new LegendControl({ profile, basemap }).addTo(map)
+ */
+const LegendControl = L.Control.extend({
+  options: {
+    position: "bottomright",
+    collapsed: false,
+    /** @type {() => ('light'|'imagery')} Active contrast profile */
+    profile: () => "light",
+    /** @type {() => ({name: string, attribution: string}|null)} Active basemap */
+    basemap: () => null,
+  },
+
+  onAdd: function (map) {
+    const div = L.DomUtil.create("div", "np-legend leaflet-control");
+    div.innerHTML =
+      '<button type="button" class="np-legend-toggle" aria-controls="np-legend-body">' +
+      "Legend</button>" +
+      '<section class="np-legend-body" id="np-legend-body" aria-label="Map legend">' +
+      '<ul class="np-legend-list"></ul>' +
+      '<p class="np-legend-note"></p>' +
+      '<p class="np-legend-credits"></p>' +
+      "</section>";
+    this._toggle = div.querySelector(".np-legend-toggle");
+    this._body = div.querySelector(".np-legend-body");
+    this._list = div.querySelector(".np-legend-list");
+    this._note = div.querySelector(".np-legend-note");
+    this._credits = div.querySelector(".np-legend-credits");
+
+    this._toggle.addEventListener("click", () => this.setCollapsed(!this._collapsed));
+    map.on(LEGEND_EVENTS, this.update, this);
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    this._map = map;
+    this.setCollapsed(this.options.collapsed);
+    this.update();
+    return div;
+  },
+
+  onRemove: function (map) {
+    map.off(LEGEND_EVENTS, this.update, this);
+  },
+
+  /** @param {boolean} collapsed */
+  setCollapsed: function (collapsed) {
+    this._collapsed = collapsed;
+    this._body.hidden = collapsed;
+    this._toggle.setAttribute("aria-expanded", String(!collapsed));
+  },
+
+  /** Rebuild from the overlays currently on the map (topmost first). */
+  update: function () {
+    const map = this._map;
+    const groups = Object.values(OVERLAYS)
+      .filter((g) => g.legendItems && map.hasLayer(g))
+      .reverse();
+
+    this._list.innerHTML = groups.length
+      ? groups
+          .map((g) => {
+            const items = g.legendItems();
+            return items.length === 1
+              ? `<li>${legendSwatchesHtml([{ ...items[0], label: g.title }])}</li>`
+              : `<li><span class="np-legend-title">${escapeHtml(g.title)}</span>` +
+                  `${legendSwatchesHtml(items)}</li>`;
+          })
+          .join("")
+      : '<li class="np-legend-empty">No overlays shown.</li>';
+
+    // Explain the casing underlay and how the imagery profile changes it
+    const cased = groups.some((g) => g.legendItems().some((item) => item.casing));
+    this._note.textContent = !cased
+      ? ""
+      : this.options.profile() === "imagery"
+      ? "Imagery/dark basemap: boundaries use heavier strokes and stronger white casing."
+      : "White casing under boundaries keeps them legible over busy basemaps.";
+
+    const basemap = this.options.basemap();
+    const credits = basemap?.attribution
+      ? new DOMParser().parseFromString(basemap.attribution, "text/html").body.textContent
+      : "";
+    this._credits.textContent = basemap
+      ? `Basemap: ${basemap.name}${credits ? ` (${credits.trim()})` : ""}`
+      : "";
+  },
+});
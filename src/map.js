@@ -0,0 +1,43 @@
+/* ============================================================================
+ * map.js — map setup and shared controls
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Initialize the Leaflet map.
+ * @param {string} containerId
+ * @param {[number, number]} center [lat, lng]
+ * @param {number} zoom
+ * @returns {L.Map}
+ */
+function initMap(containerId, center, zoom) {
+  const map = L.map(containerId, {
+    zoomControl: true,
+    keyboard: true,
+    preferCanvas: true, // render vectors on Canvas for stability at high zoom
+  }).setView(center, zoom);
+
+  L.control.scale({ imperial: true, metric: true }).addTo(map);
+  return map;
+}
+
+/**
+ * Layer control (basemaps + overlays).
+ * @param {L.Map} map
+ * @param {Record<string, L.Layer>} baseLayers
+ * @param {Record<string, L.Layer>} [overlays]
+ * @param {{opacity?: boolean}} [opts] opacity: sliders for the layers shown
+ * @returns {L.Control.Layers}
+ */
+function addLayerControl(map, baseLayers, overlays, opts = {}) {
+  const options = { collapsed: false };
+  const control = opts.opacity
+    ? new OpacityLayersControl(baseLayers, overlays || {}, options)
+    : L.control.layers(baseLayers, overlays || {}, options);
+  return control.addTo(map);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { initMap });
+}
@@ -0,0 +1,485 @@
+/* ============================================================================
+ * measure.js — measure & sketch: geodesic readouts, vertex snapping, saved sketches
+ * ========================================================================== */
+
+"use strict";
+
+/** localStorage key for the sketch FeatureCollection. */
+const SKETCH_STORAGE_KEY = "north-park-map:sketches";
+
+const SKETCH_STYLE = {
+  color: "#ea580c",
+  weight: 3,
+  opacity: 1,
+  fillColor: "#ea580c",
+  fillOpacity: 0.12,
+};
+const SKETCH_DRAFT_STYLE = { ...SKETCH_STYLE, dashArray: "6 4", interactive: false };
+const M_PER_FT = 0.3048;
+
+/**
+ * Distance in both units the scale bar shows, e.g. "1,240 ft (378 m)".
+ * Feet switch to miles at 1 mi, meters to kilometers at 1 km.
+ * @param {number} m Meters
+ * @returns {string}
+ */
+function formatDistance(m) {
+  const fmt = (n, digits) => n.toLocaleString("en-US", { maximumFractionDigits: digits });
+  const imperial = m < M_PER_MI ? `${fmt(m / M_PER_FT, 0)} ft` : `${fmt(m / M_PER_MI, 2)} mi`;
+  const metric = m < 1000 ? `${fmt(m, 0)} m` : `${fmt(m / 1000, 2)} km`;
+  return `${imperial} (${metric})`;
+}
+
+/**
+ * Area in imperial and metric units, e.g. "2.31 acres (0.93 ha)".
+ * @param {number} sqm Square meters
+ * @returns {string}
+ */
+function formatArea(sqm) {
+  const fmt = (n, digits) => n.toLocaleString("en-US", { maximumFractionDigits: digits });
+  const imperial =
+    sqm < SQ_M_PER_ACRE
+      ? `${fmt(sqm / (M_PER_FT * M_PER_FT), 0)} sq ft`
+      : sqm < SQ_M_PER_SQ_MI
+      ? `${fmt(sqm / SQ_M_PER_ACRE, 2)} acres`
+      : `${fmt(sqm / SQ_M_PER_SQ_MI, 2)} sq mi`;
+  const metric =
+    sqm < 1e4
+      ? `${fmt(sqm, 0)} sq m`
+      : sqm < 1e6
+      ? `${fmt(sqm / 1e4, 2)} ha`
+      : `${fmt(sqm / 1e6, 2)} sq km`;
+  return `${imperial} (${metric})`;
+}
+
+/**
+ * Geodesic length of a [lng, lat] path.
+ * @param {number[][]} positions
+ * @returns {number} Meters
+ */
+function pathLength(positions) {
+  let total = 0;
+  for (let i = 1; i < positions.length; i++) {
+    const [lng1, lat1] = positions[i - 1];
+    const [lng2, lat2] = positions[i];
+    total += L.CRS.Earth.distance(L.latLng(lat1, lng1), L.latLng(lat2, lng2));
+  }
+  return total;
+}
+
+/**
+ * Readout for a sketch geometry (tooltips, popups and the live status).
+ * @param {GeoJSON.Geometry} geometry Point, LineString or Polygon
+ * @returns {string}
+ */
+function sketchMeasurement(geometry) {
+  switch (geometry?.type) {
+    case "Point":
+      return geometry.coordinates
+        .slice(0, 2)
+        .reverse()
+        .map((n) => n.toFixed(5))
+        .join(", ");
+    case "LineString":
+      return `Length ${formatDistance(pathLength(geometry.coordinates))}`;
+    case "Polygon":
+      return (
+        `Area ${formatArea(geodesicArea(geometry))}, ` +
+        `perimeter ${formatDistance(geodesicPerimeter(geometry))}`
+      );
+    default:
+      return "";
+  }
+}
+
+/**
+ * Sketch features from imported GeoJSON: a FeatureCollection, Feature or bare
+ * geometry. Only Point, LineString and Polygon with numeric positions are kept.
+ * @param {any} json
+ * @returns {{features: GeoJSON.Feature[], skipped: number}}
+ */
+function sketchFeaturesFrom(json) {
+  const list =
+    json?.type === "FeatureCollection"
+      ? json.features || []
+      : json?.type === "Feature"
+      ? [json]
+      : json?.type
+      ? [{ type: "Feature", properties: {}, geometry: json }]
+      : [];
+  const valid = (f) =>
+    ["Point", "LineString", "Polygon"].includes(f?.geometry?.type) &&
+    positionsOf(f.geometry).length > 0 &&
+    positionsOf(f.geometry).every((p) => Number.isFinite(p[0]) && Number.isFinite(p[1]));
+  const features = list
+    .filter(valid)
+    .map((f) => ({ type: "Feature", properties: f.properties || {}, geometry: f.geometry }));
+  return { features, skipped: list.length - features.length };
+}
+
+/** Cached bounds per feature for snapping (features are not mutated). */
+/**
+ * Nearest boundary vertex within a pixel tolerance, for snapping sketches.
+ * @param {L.Map} map
+ * @param {L.LatLng} latlng
+ * @param {GeoJSON.Feature[]} features Loaded CPA features
+ * @param {number} tolerancePx 0 disables snapping
+ * @returns {L.LatLng|null}
+ */
+function snapToVertex(map, latlng, features, tolerancePx) {
+  if (!tolerancePx) return null;
+  const p = map.latLngToContainerPoint(latlng);
+  const box = L.latLngBounds(
+    map.containerPointToLatLng(p.subtract([tolerancePx, tolerancePx])),
+    map.containerPointToLatLng(p.add([tolerancePx, tolerancePx]))
+  );
+  let best = null;
+  let bestDist = tolerancePx;
+  features.forEach((f) => {
+    if (!featureBounds(f)?.intersects(box)) return;
+    positionsOf(f.geometry).forEach(([lng, lat]) => {
+      if (!box.contains([lat, lng])) return;
+      const d = map.latLngToContainerPoint([lat, lng]).distanceTo(p);
+      if (d < bestDist) {
+        bestDist = d;
+        best = L.latLng(lat, lng);
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Measure/sketch toolbar: draw lines, areas and markers with live geodesic
+ * readouts; vertices snap to CPA boundary vertices. Sketches persist in
+ * localStorage and export/import as GeoJSON.
+ * Click to add vertices; double-click, Finish or a click on the first vertex
+ * (areas) completes; Backspace removes the last vertex; Escape cancels.
+ * Usage: new MeasureControl({ snapFeatures: () => features }).addTo(map)
+ */
+const MeasureControl = L.Control.extend({
+  options: {
+    position: "topleft",
+    /** @type {() => GeoJSON.Feature[]} Features whose vertices attract clicks */
+    snapFeatures: () => [],
+    /** Snap tolerance in pixels (0 disables) */
+    snapPixels: 10,
+    /** Base name for GeoJSON downloads; a YYYY-MM-DD date is appended */
+    filename: "north-park-map-sketches",
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    this._tool = null;
+    this._vertices = [];
+    this._sketches = L.featureGroup().addTo(map);
+    this._draft = null;
+    this._snapMarker = null;
+
+    const div = L.DomUtil.create("div", "np-measure leaflet-control");
+    div.setAttribute("role", "group");
+    div.setAttribute("aria-label", "Measure and sketch");
+    div.innerHTML =
+      '<button type="button" data-tool="LineString" aria-pressed="false" title="Measure a distance">Line</button>' +
+      '<button type="button" data-tool="Polygon" aria-pressed="false" title="Measure an area">Area</button>' +
+      '<button type="button" data-tool="Point" aria-pressed="false" title="Drop a marker">Marker</button>' +
+      '<button type="button" data-action="finish" hidden>Finish</button>' +
+      '<button type="button" data-action="export" title="Download sketches as GeoJSON">Save</button>' +
+      '<button type="button" data-action="import" title="Add sketches from a GeoJSON file">Open</button>' +
+      '<button type="button" data-action="clear" title="Delete all sketches">Clear</button>' +
+      '<input type="file" accept=".geojson,.json,application/geo+json" hidden>' +
+      '<div class="np-measure-readout"></div>' +
+      '<div class="np-measure-status" role="status" aria-live="polite"></div>';
+    this._finishBtn = div.querySelector('[data-action="finish"]');
+    this._fileInput = div.querySelector('input[type="file"]');
+    this._readout = div.querySelector(".np-measure-readout");
+    this._status = div.querySelector(".np-measure-status");
+
+    div.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      const tool = btn.getAttribute("data-tool");
+      if (tool) return this._tool === tool ? this.stop() : this.start(tool);
+      const action = btn.getAttribute("data-action");
+      if (action === "finish") this._finish();
+      if (action === "export") this.exportGeoJSON();
+      if (action === "import") this._fileInput.click();
+      if (action === "clear") this.clear();
+    });
+    this._fileInput.addEventListener("change", () => {
+      const file = this._fileInput.files[0];
+      if (file) this.importFile(file);
+      this._fileInput.value = "";
+    });
+
+    this._onKey = this._onKey.bind(this);
+    this._load();
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  onRemove: function (map) {
+    this.stop();
+    map.removeLayer(this._sketches);
+  },
+
+  /** True while a tool is active (map clicks add vertices, not identify). */
+  isDrawing: function () {
+    return this._tool != null;
+  },
+
+  /** @param {'LineString'|'Polygon'|'Point'} tool */
+  start: function (tool) {
+    this.stop();
+    const map = this._map;
+    this._tool = tool;
+    this._vertices = [];
+    map.on("click", this._onClick, this);
+    map.on("mousemove", this._onMove, this);
+    map.on("dblclick", this._finish, this);
+    map.doubleClickZoom.disable();
+    document.addEventListener("keydown", this._onKey);
+    L.DomUtil.addClass(map.getContainer(), "np-sketching");
+    this._setPressed();
+    this._finishBtn.hidden = tool === "Point";
+    this._status.textContent =
+      tool === "Point"
+        ? "Click the map to drop a marker."
+        : "Click to add points; double-click or Finish to complete. Escape cancels.";
+  },
+
+  /** Leave drawing mode, discarding an unfinished sketch. */
+  stop: function () {
+    if (!this._tool) return;
+    const map = this._map;
+    map.off("click", this._onClick, this);
+    map.off("mousemove", this._onMove, this);
+    map.off("dblclick", this._finish, this);
+    map.doubleClickZoom.enable();
+    document.removeEventListener("keydown", this._onKey);
+    L.DomUtil.removeClass(map.getContainer(), "np-sketching");
+    this._draft?.remove();
+    this._snapMarker?.remove();
+    this._draft = this._snapMarker = null;
+    this._tool = null;
+    this._vertices = [];
+    this._readout.textContent = "";
+    this._finishBtn.hidden = true;
+    this._setPressed();
+  },
+
+  _setPressed: function () {
+    this.getContainer()
+      .querySelectorAll("[data-tool]")
+      .forEach((b) => b.setAttribute("aria-pressed", String(b.dataset.tool === this._tool)));
+  },
+
+  /** Snapped position for a map event, with the snap indicator updated. */
+  _snapped: function (latlng) {
+    const hit = snapToVertex(
+      this._map,
+      latlng,
+      this.options.snapFeatures(),
+      this.options.snapPixels
+    );
+    if (hit) {
+      this._snapMarker ||= L.circleMarker(hit, {
+        radius: 5,
+        color: "#ea580c",
+        weight: 2,
+        fillColor: "#ffffff",
+        fillOpacity: 1,
+        interactive: false,
+      }).addTo(this._map);
+      this._snapMarker.setLatLng(hit);
+    } else {
+      this._snapMarker?.remove();
+      this._snapMarker = null;
+    }
+    return hit || latlng;
+  },
+
+  /** Draft geometry from the placed vertices (plus an optional cursor point). */
+  _geometry: function (cursor) {
+    const pts = [...this._vertices, ...(cursor ? [cursor] : [])].map((ll) => [ll.lng, ll.lat]);
+    if (this._tool === "Polygon") {
+      return pts.length >= 3 ? { type: "Polygon", coordinates: [[...pts, pts[0]]] } : null;
+    }
+    return pts.length >= 2 ? { type: "LineString", coordinates: pts } : null;
+  },
+
+  _redraw: function (cursor) {
+    const latlngs = [...this._vertices, ...(cursor ? [cursor] : [])];
+    if (!this._draft) {
+      const make = this._tool === "Polygon" ? L.polygon : L.polyline;
+      this._draft = make(latlngs, SKETCH_DRAFT_STYLE).addTo(this._map);
+    } else {
+      this._draft.setLatLngs(latlngs);
+    }
+    const geometry = this._geometry(cursor);
+    this._readout.textContent = geometry ? sketchMeasurement(geometry) : "";
+  },
+
+  _onMove: function (e) {
+    const latlng = this._snapped(e.latlng);
+    if (this._vertices.length) this._redraw(latlng);
+  },
+
+  _onClick: function (e) {
+    const map = this._map;
+    map.closePopup();
+    const latlng = this._snapped(e.latlng);
+
+    if (this._tool === "Point") {
+      this._addSketch({
+        type: "Feature",
+        properties: {},
+        geometry: { type: "Point", coordinates: [latlng.lng, latlng.lat] },
+      });
+      return this.stop();
+    }
+
+    // A click on the first vertex closes an area
+    const first = this._vertices[0];
+    const nearFirst =
+      first &&
+      map.latLngToContainerPoint(first).distanceTo(map.latLngToContainerPoint(latlng)) <=
+        Math.max(this.options.snapPixels, 4);
+    if (this._tool === "Polygon" && this._vertices.length >= 3 && nearFirst) {
+      return this._finish();
+    }
+
+    const last = this._vertices[this._vertices.length - 1];
+    if (!last || !last.equals(latlng)) this._vertices.push(latlng);
+    this._redraw();
+    this._status.textContent = `${this._vertices.length} point(s). ${this._readout.textContent}`;
+  },
+
+  _onKey: function (e) {
+    if (e.key === "Escape") {
+      this.stop();
+      this._status.textContent = "Sketch cancelled.";
+    } else if (
+      e.key === "Backspace" &&
+      this._vertices.length &&
+      !/INPUT|TEXTAREA/.test(e.target.tagName)
+    ) {
+      e.preventDefault();
+      this._vertices.pop();
+      this._redraw();
+    }
+  },
+
+  _finish: function () {
+    const geometry = this._geometry();
+    if (!geometry) {
+      this._status.textContent =
+        this._tool === "Polygon" ? "An area needs at least 3 points." : "A line needs 2 points.";
+      return;
+    }
+    this._addSketch({ type: "Feature", properties: {}, geometry });
+    this.stop();
+  },
+
+  /** Add a finished sketch, with hover readout and a popup to delete it. */
+  _addSketch: function (feature, save = true) {
+    const text = sketchMeasurement(feature.geometry);
+    const layer = L.geoJSON(feature, {
+      style: () => SKETCH_STYLE,
+      pointToLayer: (_f, latlng) =>
+        L.circleMarker(latlng, { ...SKETCH_STYLE, radius: 6, fillOpacity: 1 }),
+    });
+    layer.bindTooltip(text, { sticky: true, className: "np-measure-tooltip" });
+    layer.bindPopup(() => {
+      const div = L.DomUtil.create("div", "np-measure-popup");
+      div.innerHTML = `<p>${escapeHtml(text)}</p><button type="button">Delete sketch</button>`;
+      div.querySelector("button").addEventListener("click", () => {
+        this._sketches.removeLayer(layer);
+        this._save();
+        this._status.textContent = "Sketch deleted.";
+      });
+      return div;
+    });
+    layer.sketch = feature;
+    this._sketches.addLayer(layer);
+    if (save) {
+      this._save();
+      this._status.textContent = `Sketch added. ${text}`;
+    }
+  },
+
+  /** Current sketches as a FeatureCollection. */
+  toGeoJSON: function () {
+    const features = this._sketches.getLayers().map((l) => l.sketch);
+    return { type: "FeatureCollection", features };
+  },
+
+  _save: function () {
+    try {
+      localStorage.setItem(SKETCH_STORAGE_KEY, JSON.stringify(this.toGeoJSON()));
+    } catch (err) {
+      console.warn("Could not save sketches:", err); // private mode / quota
+    }
+  },
+
+  _load: function () {
+    let json = null;
+    try {
+      json = JSON.parse(localStorage.getItem(SKETCH_STORAGE_KEY) || "null");
+    } catch (err) {
+      console.warn("Ignoring saved sketches:", err);
+    }
+    sketchFeaturesFrom(json).features.forEach((f) => this._addSketch(f, false));
+  },
+
+  clear: function () {
+    const count = this._sketches.getLayers().length;
+    if (!count) return;
+    if (!window.confirm(`Delete all ${count} sketch(es)?`)) return;
+    this._sketches.clearLayers();
+    this._save();
+    this._status.textContent = "Sketches cleared.";
+  },
+
+  exportGeoJSON: function () {
+    const fc = this.toGeoJSON();
+    if (!fc.features.length) {
+      this._status.textContent = "No sketches to save yet.";
+      return;
+    }
+    const name = `${this.options.filename}-${new Date().toISOString().slice(0, 10)}.geojson`;
+    downloadBlob(new Blob([JSON.stringify(fc)], { type: "application/geo+json" }), name);
+    this._status.textContent = `${fc.features.length} sketch(es) saved as GeoJSON.`;
+  },
+
+  /** @param {File} file */
+  importFile: function (file) {
+    file
+      .text()
+      .then((text) => {
+        const { features, skipped } = sketchFeaturesFrom(JSON.parse(text));
+        features.forEach((f) => this._addSketch(f, false));
+        this._save();
+        if (features.length) this._map.fitBounds(this._sketches.getBounds(), { padding: [20, 20] });
+        this._status.textContent =
+          `Added ${features.length} sketch(es) from ${file.name}` +
+          (skipped ? `; skipped ${skipped} unsupported feature(s).` : ".");
+      })
+      .catch((err) => {
+        console.warn("Sketch import failed:", err);
+        this._status.textContent = `Could not read ${file.name} as GeoJSON.`;
+      });
+  },
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, {
+    formatDistance,
+    formatArea,
+    pathLength,
+    sketchMeasurement,
+    sketchFeaturesFrom,
+  });
+}
@@ -0,0 +1,346 @@
+/* ============================================================================
+ * neighbors.js — adjacency, shared boundary length and a distance ring
+ * ========================================================================== */
+
+"use strict";
+
+/** Bordering plan areas, and the others inside the distance ring. */
+const NEIGHBOR_STYLES = {
+  adjacent: { color: "#7c3aed", weight: 4, opacity: 1, fillColor: "#7c3aed", fillOpacity: 0.15 },
+  nearby: { color: "#7c3aed", weight: 2, opacity: 1, dashArray: "4 4", fill: false },
+};
+
+/**
+ * Consecutive-vertex edge keys of a feature (both directions map to one key).
+ * @param {GeoJSON.Feature} feature
+ * @returns {Map<string, [number[], number[]]>} key -> [lng, lat] endpoints
+ */
+function edgeKeysOf(feature) {
+  const key = ([lng, lat]) => `${lng.toFixed(5)},${lat.toFixed(5)}`;
+  const edges = new Map();
+  polygonsOf(feature.geometry).forEach((rings) =>
+    rings.forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        const [a, b] = [key(ring[i - 1]), key(ring[i])];
+        if (a !== b) edges.set(a < b ? `${a}|${b}` : `${b}|${a}`, [ring[i - 1], ring[i]]);
+      }
+    })
+  );
+  return edges;
+}
+
+/**
+ * Length of the boundary two plan areas share: edges whose rounded endpoints
+ * match (see vertexKeysOf). The label position is the shared edge midpoint
+ * nearest the middle of them all.
+ * @param {GeoJSON.Feature} a
+ * @param {GeoJSON.Feature} b
+ * @returns {{meters: number, anchor: [number, number]|null}} anchor is [lng, lat]
+ */
+function sharedBoundary(a, b) {
+  const own = edgeKeysOf(a);
+  const points = [];
+  let meters = 0;
+  for (const [key, [p, q]] of edgeKeysOf(b)) {
+    if (!own.has(key)) continue;
+    meters += L.CRS.Earth.distance(L.latLng(p[1], p[0]), L.latLng(q[1], q[0]));
+    points.push([(p[0] + q[0]) / 2, (p[1] + q[1]) / 2]);
+  }
+  if (!points.length) return { meters: 0, anchor: null };
+  const mean = points.reduce(
+    ([x, y], [px, py]) => [x + px / points.length, y + py / points.length],
+    [0, 0]
+  );
+  const anchor = points.reduce((best, pt) =>
+    Math.hypot(pt[0] - mean[0], pt[1] - mean[1]) < Math.hypot(best[0] - mean[0], best[1] - mean[1])
+      ? pt
+      : best
+  );
+  return { meters, anchor };
+}
+
+/**
+ * Shortest distance between two plan areas' boundaries: 0 when they touch or
+ * overlap. Planar (equirectangular about a's latitude), which is well under
+ * 1% off at city scale. Areas whose bounding boxes are already more than
+ * `limit` apart return Infinity without the vertex-by-vertex search.
+ * @param {GeoJSON.Feature} a
+ * @param {GeoJSON.Feature} b
+ * @param {number} [limit] Meters
+ * @returns {number} Meters
+ */
+function boundaryDistance(a, b, limit = Infinity) {
+  const lat0 = positionsOf(a.geometry)[0]?.[1] ?? 0;
+  const kx = (Math.cos((lat0 * Math.PI) / 180) * Math.PI * EARTH_RADIUS_M) / 180;
+  const ky = (Math.PI * EARTH_RADIUS_M) / 180;
+  const planar = (f) =>
+    polygonsOf(f.geometry).map((rings) =>
+      rings.map((ring) => ring.map(([x, y]) => [x * kx, y * ky]))
+    );
+  // A loop, not Math.min(...xs): spreading a huge ring overflows the call stack
+  const box = (polygons) => {
+    const b = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const rings of polygons) {
+      for (const [x, y] of rings[0] || []) {
+        if (x < b[0]) b[0] = x;
+        if (y < b[1]) b[1] = y;
+        if (x > b[2]) b[2] = x;
+        if (y > b[3]) b[3] = y;
+      }
+    }
+    return b;
+  };
+  const pa = planar(a);
+  const pb = planar(b);
+  const [ba, bb] = [box(pa), box(pb)];
+  const gapX = Math.max(0, bb[0] - ba[2], ba[0] - bb[2]);
+  const gapY = Math.max(0, bb[1] - ba[3], ba[1] - bb[3]);
+  if (Math.hypot(gapX, gapY) > limit) return Infinity;
+
+  // The nearest points of two polygons include a vertex of one of them
+  let best = Infinity;
+  for (const [from, to] of [
+    [pa, pb],
+    [pb, pa],
+  ]) {
+    for (const rings of from) {
+      for (const [x, y] of rings[0] || []) {
+        for (const target of to) {
+          const d = pointToRingsDistance(x, y, target);
+          if (d >= 0) return 0;
+          best = Math.min(best, -d);
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Adjacency and distance of every candidate to a plan area: bordering areas
+ * (findNeighbors) with their shared boundary length, then the others within
+ * withinMeters of its boundary. Only areas whose bounds come within
+ * withinMeters of the feature's bounds get the vertex-by-vertex distance pass.
+ * @param {GeoJSON.Feature} feature
+ * @param {GeoJSON.Feature[]} candidates
+ * @param {number} withinMeters Ring width (0: bordering areas only)
+ * @returns {Array<{feature: GeoJSON.Feature, name: string, adjacent: boolean,
+ *   sharedMeters: number, distanceMeters: number, anchor: [number, number]|null}>}
+ *   Bordering areas first (longest shared boundary first), then by distance
+ */
+function neighborReport(feature, candidates, withinMeters) {
+  // One row per plan area, even if two overlays loaded it
+  const seen = new Set([feature.properties?.cpname]);
+  const others = candidates.filter((f) => {
+    const name = f.properties?.cpname;
+    if (f === feature || (name != null && seen.has(name))) return false;
+    seen.add(name);
+    return true;
+  });
+  const adjacent = new Set(findNeighbors(feature, others));
+
+  // The feature's bounds grown by withinMeters (degrees are shortest at the
+  // pole-ward edge, so the longitude pad uses that latitude)
+  const bounds = featureBounds(feature);
+  let reach = null;
+  if (bounds && withinMeters > 0) {
+    const dLat = withinMeters / ((Math.PI * EARTH_RADIUS_M) / 180);
+    const edgeLat = Math.min(
+      89,
+      Math.max(Math.abs(bounds.getSouth()), Math.abs(bounds.getNorth())) + dLat
+    );
+    const dLng = dLat / Math.cos((edgeLat * Math.PI) / 180);
+    reach = L.latLngBounds(
+      [bounds.getSouth() - dLat, bounds.getWest() - dLng],
+      [bounds.getNorth() + dLat, bounds.getEast() + dLng]
+    );
+  }
+
+  const rows = [];
+  for (const other of others) {
+    const row = { feature: other, name: String(other.properties?.cpname ?? ""), anchor: null };
+    if (adjacent.has(other)) {
+      const shared = sharedBoundary(feature, other);
+      rows.push({
+        ...row,
+        adjacent: true,
+        sharedMeters: shared.meters,
+        distanceMeters: 0,
+        anchor: shared.anchor,
+      });
+      continue;
+    }
+    if (!reach || !featureBounds(other)?.intersects(reach)) continue;
+    const distance = boundaryDistance(feature, other, withinMeters);
+    if (distance <= withinMeters) {
+      rows.push({ ...row, adjacent: false, sharedMeters: 0, distanceMeters: distance });
+    }
+  }
+  return rows.sort(
+    (x, y) =>
+      y.adjacent - x.adjacent ||
+      y.sharedMeters - x.sharedMeters ||
+      x.distanceMeters - y.distanceMeters ||
+      x.name.localeCompare(y.name)
+  );
+}
+
+/**
+ * Neighbors view for the focus plan area: bordering areas drawn in a
+ * distinct style and labeled with the shared boundary length, plus a ring
+ * of the areas within N miles of its boundary (dashed). The table lists the
+ * same rows and downloads as CSV.
+ * Usage: new NeighborsControl({ feature: () => f, candidates: () => fs, overlayIds }).addTo(map)
+ */
+const NeighborsControl = L.Control.extend({
+  options: {
+    position: "topright",
+    /** @type {() => GeoJSON.Feature|null} Plan area to analyze (the focus CPA) */
+    feature: () => null,
+    /** @type {() => GeoJSON.Feature[]} Every loaded plan area */
+    candidates: () => [],
+    /** OVERLAYS ids the candidates come from; their loads refresh the panel */
+    overlayIds: [],
+    /** Initial ring width in miles */
+    radiusMiles: 0.5,
+    /** Base name for the CSV; a YYYY-MM-DD date is appended */
+    filename: "north-park-map-neighbors",
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    const div = L.DomUtil.create("div", "np-neighbors leaflet-control");
+    div.innerHTML =
+      '<button type="button" class="np-neighbors-toggle" aria-expanded="false" ' +
+      'aria-controls="np-neighbors-body">Neighbors</button>' +
+      '<section class="np-neighbors-body" id="np-neighbors-body" aria-label="Neighbors" hidden>' +
+      '<label class="np-neighbors-radius">Also within ' +
+      '<input type="number" min="0" max="10" step="0.25" inputmode="decimal" /> mi</label>' +
+      '<p class="np-neighbors-status" role="status" aria-live="polite"></p>' +
+      '<table hidden><thead><tr><th scope="col">Plan area</th>' +
+      '<th scope="col">Shared boundary</th><th scope="col">Distance</th></tr></thead>' +
+      "<tbody></tbody></table>" +
+      '<button type="button" class="np-neighbors-csv" hidden>Download CSV</button>' +
+      "</section>";
+    this._toggle = div.querySelector(".np-neighbors-toggle");
+    this._body = div.querySelector(".np-neighbors-body");
+    this._radius = div.querySelector("input");
+    this._status = div.querySelector(".np-neighbors-status");
+    this._table = div.querySelector("table");
+    this._csv = div.querySelector(".np-neighbors-csv");
+    this._radius.value = String(this.options.radiusMiles);
+
+    this._layer = L.featureGroup();
+    this._rows = [];
+    this._toggle.addEventListener("click", () => this.setOpen(this._body.hidden));
+    this._radius.addEventListener("change", () => this.update());
+    this._csv.addEventListener("click", () => this._download());
+
+    // Overlay loads and focus changes bring new geometry (basemap tiles report
+    // status after every pan and do not); coalesce bursts of them
+    const statusKeys = new Set(this.options.overlayIds.map((id) => `overlay:${id}`));
+    this._onData = (e) => {
+      if (this._body.hidden) return;
+      if (e.type === "layer:status" && !(e.state === "ready" && statusKeys.has(e.key))) return;
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => this.update(), 150);
+    };
+    map.on("layer:status focus:change", this._onData);
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  onRemove: function (map) {
+    clearTimeout(this._timer);
+    map.off("layer:status focus:change", this._onData);
+    map.removeLayer(this._layer);
+  },
+
+  /** @param {boolean} open Show the panel and the neighbor highlights */
+  setOpen: function (open) {
+    this._body.hidden = !open;
+    this._toggle.setAttribute("aria-expanded", String(open));
+    if (!open) return this._map.removeLayer(this._layer);
+    this._layer.addTo(this._map);
+    this.update();
+  },
+
+  /** Recompute the report for the current focus area and ring width. */
+  update: function () {
+    const feature = this.options.feature();
+    const miles = Math.max(0, Number(this._radius.value) || 0);
+    this._layer.clearLayers();
+    this._rows = feature
+      ? neighborReport(feature, this.options.candidates(), miles * M_PER_MI)
+      : [];
+    this._name = String(feature?.properties?.cpname ?? "");
+
+    for (const row of this._rows) {
+      const kind = row.adjacent ? "adjacent" : "nearby";
+      this._layer.addLayer(
+        L.geoJSON(row.feature, { interactive: false, style: NEIGHBOR_STYLES[kind] })
+      );
+      if (row.anchor) {
+        this._layer.addLayer(
+          L.tooltip({
+            permanent: true,
+            direction: "center",
+            className: "np-neighbors-tip",
+            interactive: false,
+          })
+            .setLatLng([row.anchor[1], row.anchor[0]])
+            .setContent(escapeHtml(formatDistance(row.sharedMeters).replace(/ \(.*\)$/, "")))
+        );
+      }
+    }
+
+    const adjacent = this._rows.filter((r) => r.adjacent).length;
+    const nearby = this._rows.length - adjacent;
+    this._status.textContent = !feature
+      ? "The focus plan area is not loaded yet."
+      : `${titleCase(this._name)} borders ${adjacent} plan area(s)` +
+        (miles ? `; ${nearby} more within ${miles} mi.` : ".");
+    this._table.hidden = this._csv.hidden = !this._rows.length;
+    this._table.querySelector("tbody").innerHTML = this._rows
+      .map(
+        (r) =>
+          `<tr><th scope="row">${escapeHtml(r.name)}</th>` +
+          `<td>${r.adjacent ? escapeHtml(formatDistance(r.sharedMeters)) : "—"}</td>` +
+          `<td>${r.adjacent ? "Borders" : escapeHtml(formatDistance(r.distanceMeters))}</td></tr>`
+      )
+      .join("");
+  },
+
+  _download: function () {
+    const round = (n, digits) => Number(n.toFixed(digits));
+    const rows = [
+      [
+        "focus_cpname",
+        "cpname",
+        "adjacent",
+        "shared_boundary_mi",
+        "shared_boundary_km",
+        "distance_mi",
+      ],
+      ...this._rows.map((r) => [
+        this._name,
+        r.name,
+        r.adjacent ? "yes" : "no",
+        round(r.sharedMeters / M_PER_MI, 3),
+        round(r.sharedMeters / 1000, 3),
+        round(r.distanceMeters / M_PER_MI, 3),
+      ]),
+    ];
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(
+      new Blob([formatCSV(rows)], { type: "text/csv" }),
+      `${this.options.filename}-${date}.csv`
+    );
+  },
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { sharedBoundary, boundaryDistance, neighborReport });
+}
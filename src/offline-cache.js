@@ -0,0 +1,52 @@
+/* ============================================================================
+ * offline-cache.js — service worker registration (see sw.js)
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * FNV-1a hash of the config (functions by source), so any edit to config.js,
+ * popups included, changes the service worker URL and its cache names.
+ * @param {any} config
+ * @returns {string} 8 hex digits
+ */
+function configHash(config) {
+  const text = JSON.stringify(config, (_k, v) => (typeof v === "function" ? String(v) : v));
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Register sw.js with its settings in the query string, or unregister it
+ * when APP_CONFIG.cache.enabled is false (so a disabled cache really stops).
+ * @param {any} config APP_CONFIG
+ */
+function registerServiceWorker(config) {
+  if (!("serviceWorker" in navigator)) return; // also absent outside secure contexts
+  const cacheCfg = config.cache || {};
+  if (cacheCfg.enabled === false) {
+    navigator.serviceWorker
+      .getRegistrations()
+      .then((regs) => regs.forEach((r) => r.unregister()))
+      .catch(() => {});
+    return;
+  }
+  const params = new URLSearchParams({
+    v: `${cacheCfg.version ?? 1}-${configHash(config)}`,
+    maxAge: String(cacheCfg.maxAgeHours ?? 24),
+    tiles: String(cacheCfg.maxTiles ?? 1000),
+    opaqueTiles: String(cacheCfg.maxOpaqueTiles ?? 100),
+  });
+  navigator.serviceWorker
+    .register(`sw.js?${params}`)
+    .then((reg) => console.debug("Service worker registered:", reg.scope, params.get("v")))
+    .catch((err) => console.warn("Service worker registration failed:", err));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { configHash });
+}
@@ -0,0 +1,329 @@
+/* ============================================================================
+ * overlay-styles.js — overlay data & styles
+ * ========================================================================== */
+
+"use strict";
+
+/** Shared renderers selectable per overlay via entry.renderer. */
+const OVERLAY_RENDERERS = {
+  svg: L.svg({ padding: 0.5 }), // crisp strokes during zoom (context CPAs)
+  canvas: L.canvas({ padding: 0.5 }),
+};
+
+/** Stroke used when an overlay configures no style at all. */
+const DEFAULT_STROKE = { color: "#3388ff", weight: 2 };
+
+/** Casing defaults (white underlay); config values override. */
+const DEFAULT_CASING = { color: "#ffffff", weight: 7, opacity: 1 };
+
+/** Stroke-stability props applied to every overlay path. */
+const PATH_DEFAULTS = { smoothFactor: 0, lineJoin: "round", lineCap: "round" };
+
+/**
+ * Resolve stroke + casing styles for an overlay under a contrast profile.
+ * entry.styles[profile] overrides the base entry.style / entry.casing, and a
+ * profile without its own entry falls back to styles.light. Casing is null
+ * when no style defines one; a profile that omits it hides it (opacity 0).
+ * @param {any} entry Config entry
+ * @param {'light'|'imagery'} profile
+ * @returns {{stroke: L.PathOptions, casing: L.PathOptions|null}}
+ */
+function resolveOverlayStyles(entry, profile) {
+  const profiles = entry.styles || {};
+  const p = profiles[profile] || profiles.light || {};
+
+  const stroke = { ...(entry.style || DEFAULT_STROKE), ...(p.stroke || {}) };
+  stroke.fillOpacity = stroke.fillOpacity ?? 0; // boundaries: no fill unless asked
+
+  const hasCasing = !!entry.casing || Object.values(profiles).some((s) => s?.casing);
+  const casing = hasCasing
+    ? { ...DEFAULT_CASING, ...(p.casing || entry.casing || { opacity: 0 }), fillOpacity: 0 }
+    : null;
+
+  return { stroke, casing };
+}
+
+/** Theme choices offered by ThemeControl and accepted in APP_CONFIG.theme.mode. */
+const THEME_MODES = ["auto", "light", "dark", "high-contrast"];
+
+/**
+ * @typedef {Object} Theme
+ * @property {'light'|'dark'|'high-contrast'} mode Resolved UI theme
+ * @property {Record<string, string>|null} palette Color remap (lower-case hex
+ *   keys), e.g. APP_CONFIG.theme.palettes["color-blind"]; null keeps config colors
+ */
+
+/**
+ * Apply a theme on top of a profile-resolved style (see resolveOverlayStyles),
+ * so basemap contrast profiles and themes compose: the palette swaps stroke
+ * and fill colors; high-contrast makes strokes and casings opaque and heavier.
+ * @param {L.PathOptions} style
+ * @param {Theme|null} theme
+ * @param {'stroke'|'casing'} [kind="stroke"]
+ * @returns {L.PathOptions}
+ */
+function themedStyle(style, theme, kind = "stroke") {
+  if (!theme || !style) return style;
+  const out = { ...style };
+  const swap = (c) => (c && theme.palette?.[String(c).toLowerCase()]) || c;
+  if (kind === "stroke") {
+    if (out.color) out.color = swap(out.color);
+    if (out.fillColor) out.fillColor = swap(out.fillColor);
+  }
+  if (theme.mode === "high-contrast" && (out.opacity ?? 1) > 0) {
+    out.opacity = 1;
+    out.weight = (out.weight ?? 3) + (kind === "casing" ? 2 : 1);
+  }
+  return out;
+}
+
+/**
+ * Resolve a theme choice: "auto" follows prefers-contrast (high-contrast)
+ * first, then prefers-color-scheme (dark); explicit modes pass through.
+ * @param {string} mode auto | light | dark | high-contrast
+ * @param {(query: string) => boolean} matches e.g. (q) => matchMedia(q).matches
+ * @returns {'light'|'dark'|'high-contrast'}
+ */
+function resolveThemeMode(mode, matches) {
+  if (THEME_MODES.includes(mode) && mode !== "auto") return mode;
+  if (matches("(prefers-contrast: more)")) return "high-contrast";
+  return matches("(prefers-color-scheme: dark)") ? "dark" : "light";
+}
+
+/** Compiled symbology "match" patterns, per class object. */
+const SYMBOL_PATTERNS = new WeakMap();
+
+/**
+ * Symbology class for a feature: the first entry.symbology.classes item whose
+ * "values" list holds the field value, or whose "match" regex (case-insensitive)
+ * matches it; else symbology.other. Null when the overlay has one symbol.
+ * @param {any} entry Overlay config entry
+ * @param {GeoJSON.Feature} feature
+ * @returns {{label: string, style: L.PathOptions}|null}
+ */
+function symbolClassFor(entry, feature) {
+  const sym = entry.symbology;
+  if (!sym) return null;
+  const value = String(feature?.properties?.[sym.field] ?? "");
+  const hit = (sym.classes || []).find((c) => {
+    if (c.values) return c.values.map(String).includes(value);
+    if (!SYMBOL_PATTERNS.has(c)) SYMBOL_PATTERNS.set(c, new RegExp(c.match, "i"));
+    return SYMBOL_PATTERNS.get(c).test(value);
+  });
+  return hit || sym.other || null;
+}
+
+/**
+ * @typedef {Object} LegendItem
+ * @property {string} label
+ * @property {L.PathOptions} style Stroke/fill (symbology class applied)
+ * @property {L.PathOptions|null} casing Underlay, if the overlay has one
+ */
+
+/**
+ * Legend rows for an overlay under a contrast profile: one per symbology
+ * class (plus "other"), or a single row named after the overlay.
+ * @param {any} entry Overlay config entry
+ * @param {'light'|'imagery'} profile
+ * @returns {LegendItem[]}
+ */
+function legendItemsFor(entry, profile) {
+  const { stroke, casing } = resolveOverlayStyles(entry, profile);
+  const sym = entry.symbology;
+  if (!sym) return [{ label: entry.name || entry.id, style: stroke, casing }];
+  return [...(sym.classes || []), ...(sym.other ? [sym.other] : [])].map((c) => ({
+    label: c.label,
+    style: { ...stroke, ...c.style },
+    casing,
+  }));
+}
+
+/**
+ * Small SVG sample of a legend item: casing underlay, then stroke and fill.
+ * Weights are capped (stroke 4, casing 8) so they fit the 24x14 box.
+ * @param {LegendItem} item
+ * @returns {string} SVG markup
+ */
+function swatchSvg({ style, casing }) {
+  const attrs = (s, cap, fill) =>
+    `stroke="${escapeHtml(s.color)}" stroke-width="${Math.min(s.weight ?? 2, cap)}" ` +
+    `stroke-opacity="${s.opacity ?? 1}" fill="${escapeHtml(fill)}" ` +
+    `fill-opacity="${s.fillOpacity ?? 0}"` +
+    (s.dashArray ? ` stroke-dasharray="${escapeHtml(s.dashArray)}"` : "");
+  const fill = style.fillColor || style.color;
+  const visibleCasing = casing && (casing.opacity ?? 1) > 0 ? casing : null;
+  const shape = (a) =>
+    style.radius
+      ? `<circle cx="12" cy="7" r="4" ${a}/>`
+      : `<rect x="5" y="4" width="14" height="6" ${a}/>`;
+  return (
+    '<svg class="np-swatch" width="24" height="14" viewBox="0 0 24 14" aria-hidden="true" focusable="false">' +
+    (visibleCasing ? shape(attrs({ ...visibleCasing, fillOpacity: 0 }, 8, "none")) : "") +
+    shape(attrs(style, 4, fill)) +
+    "</svg>"
+  );
+}
+
+/**
+ * Plain-language description of a swatch for screen readers, e.g.
+ * "shaded area with dashed outline, light casing".
+ * @param {LegendItem} item
+ * @returns {string}
+ */
+function describeSwatch({ style, casing }) {
+  const line = style.dashArray ? "dashed outline" : "solid outline";
+  let text = style.radius ? "circle marker" : style.fillOpacity ? `shaded area with ${line}` : line;
+  if (casing && (casing.opacity ?? 1) > 0) {
+    text += `, ${isLightColor(casing.color) ? "light" : "dark"} casing`;
+  }
+  return text;
+}
+
+/**
+ * Rough lightness test for hex colors (named colors: only "white" is light).
+ * @param {string} color
+ * @returns {boolean}
+ */
+function isLightColor(color) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!m) return /^white$/i.test(String(color).trim());
+  const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+  const [r, g, b] = [0, 2, 4].map((k) => parseInt(hex.slice(k, k + 2), 16));
+  return r * 0.299 + g * 0.587 + b * 0.114 > 160;
+}
+
+/**
+ * Swatch rows (layer control and legend): SVG sample plus label.
+ * @param {LegendItem[]} items
+ * @param {boolean} [describe=true] Add the screen-reader description
+ * @returns {string} HTML
+ */
+function legendSwatchesHtml(items, describe = true) {
+  return items
+    .map(
+      (item) =>
+        `<span class="np-legend-row">${swatchSvg(item)}` +
+        (describe ? `<span class="np-sr-only">${escapeHtml(describeSwatch(item))}: </span>` : "") +
+        `${escapeHtml(item.label)}</span>`
+    )
+    .join("");
+}
+
+/**
+ * Fetched overlay sources by request (file URL, or query URL + where + fields
+ * + geometry filter), shared by every overlay, clip area and focus change that
+ * asks for the same data. Holds promises so concurrent callers wait on one
+ * request; failures are dropped so a retry fetches again.
+ * @type {Map<string, Promise<any>>}
+ */
+const FEATURE_STORE = new Map();
+
+/**
+ * Load through FEATURE_STORE: the first caller for a key runs load().
+ * @param {string} key
+ * @param {() => Promise<any>} load
+ * @returns {Promise<any>} Shared result; callers must not mutate it
+ */
+function sharedSource(key, load) {
+  if (!FEATURE_STORE.has(key)) {
+    const request = load();
+    request.catch(() => FEATURE_STORE.delete(key));
+    FEATURE_STORE.set(key, request);
+  }
+  return FEATURE_STORE.get(key);
+}
+
+/**
+ * Load an overlay's features as one GeoJSON FeatureCollection.
+ * - type "geojson": fetch entry.url (a static snapshot, e.g. in data/); an
+ *   array of URLs is merged, then entry.filter(properties) applied
+ * - type "featureServer": Esri query (entry.intersects: optional GeoJSON geometry
+ *   filter); on failure, retry from entry.fallbackUrl
+ * Each file and query is fetched once per page (see FEATURE_STORE).
+ * @param {any} entry Config entry
+ * @param {(err: any, fc?: GeoJSON.FeatureCollection, source?: string, queryErr?: any) => void} done
+ *   queryErr is the FeatureServer error when the snapshot was used instead
+ */
+function loadOverlayFeatures(entry, done) {
+  const fetchJson = (url) =>
+    sharedSource(`file|${url}`, () =>
+      fetch(url).then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status} for ${url}`);
+        return r.json();
+      })
+    );
+  const fromFile = (url, queryErr) => {
+    const urls = [].concat(url);
+    return Promise.all(urls.map(fetchJson)).then(
+      (collections) => {
+        const features = collections
+          .flatMap((fc) => fc.features || [])
+          .filter((f) => !entry.filter || entry.filter(f.properties || {}));
+        done(null, { type: "FeatureCollection", features }, urls.join(", "), queryErr);
+      },
+      (err) => done(err)
+    );
+  };
+
+  if (entry.type === "geojson") return fromFile(entry.url);
+
+  const where = entry.where ?? "1=1";
+  const fields = entry.fields ?? ["*"];
+  const key = JSON.stringify(["query", entry.url, where, fields, entry.intersects ?? null]);
+  const request = sharedSource(
+    key,
+    () =>
+      new Promise((resolve, reject) => {
+        const query = L.esri
+          .query({ url: entry.url })
+          .where(where)
+          .fields(fields)
+          .returnGeometry(true)
+          .precision(8);
+        if (entry.intersects) query.intersects(entry.intersects);
+        query.run((err, fc) => (err ? reject(err) : resolve(fc)));
+      })
+  );
+  request.then(
+    (fc) => done(null, fc, entry.url),
+    (err) => {
+      if (!entry.fallbackUrl) return done(err);
+      console.warn("FeatureServer query failed; using snapshot:", entry.fallbackUrl, err);
+      fromFile(entry.fallbackUrl, err);
+    }
+  );
+}
+
+/** Created on first use: L.esri is not loaded when this file runs under Node. */
+let ClippedFeatureLayer = null;
+
+/**
+ * L.esri.featureLayer that only draws features passing options.keep(feature)
+ * (clip to the focus CPA). Rejected features are never turned into layers.
+ * @param {Object} options featureLayer options plus keep
+ * @returns {L.esri.FeatureLayer}
+ */
+function clippedFeatureLayer(options) {
+  ClippedFeatureLayer ||= L.esri.FeatureLayer.extend({
+    createLayers: function (features) {
+      const keep = this.options.keep;
+      L.esri.FeatureLayer.prototype.createLayers.call(
+        this,
+        keep ? features.filter(keep) : features
+      );
+    },
+  });
+  return new ClippedFeatureLayer(options);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, {
+    resolveOverlayStyles,
+    symbolClassFor,
+    legendItemsFor,
+    themedStyle,
+    resolveThemeMode,
+    swatchSvg,
+    describeSwatch,
+  });
+}
@@ -0,0 +1,430 @@
+/* ============================================================================
+ * overlays.js — one builder for FeatureServer and GeoJSON sources
+ * ========================================================================== */
+
+"use strict";
+
+/** Registry of overlay groups by id (cpas-context, north-park, etc.). */
+const OVERLAYS = Object.create(null);
+
+/**
+ * Create and add an overlay from a config entry. Strategy is config-driven:
+ * - mode "featureLayer": one L.esri.featureLayer; the optional casing underlay
+ *   mirrors its features (no second set of requests)
+ * - mode "snapshot": one query/fetch shared by casing + stroke L.geoJSON layers
+ *   (always used for type "geojson")
+ * - renderer: "svg" | "canvas" (default: the map's preferCanvas)
+ * - Contrast profiles: group.applyContrastProfile('light'|'imagery') -> entry.styles
+ * - Labels: permanent tooltips via entry.label.{prop|text|minZoom|skipValues|overrides}
+ * - CSV Overrides: group.refreshLabels() will re-evaluate label text
+ * - Fallback: entry.fallbackUrl snapshot is used if the FeatureServer errors
+ * - Lazy: nothing loads until the group is on the map (entry.visible false
+ *   keeps it off until toggled)
+ * - Clip: entry.clip (Promise of features, set by the bootstrap from clipTo)
+ *   keeps only features touching those areas
+ * - entry.minZoom (featureLayer mode): no requests or drawing below that zoom
+ * - entry.symbology: per-value style classes; entry.pane: custom pane
+ * @param {L.Map} map
+ * @param {any} entry Config entry (see config.js typedef)
+ * @returns {L.LayerGroup}
+ */
+function addOverlay(map, entry) {
+  const mode = entry.type === "geojson" ? "snapshot" : entry.mode || "featureLayer";
+  // A custom pane gets Leaflet's per-pane renderer instead of the shared ones
+  const pane = ensurePane(map, entry.pane);
+  const renderer = pane ? undefined : OVERLAY_RENDERERS[entry.renderer];
+  const layerOpts = { ...(renderer ? { renderer } : {}), ...(pane ? { pane } : {}) };
+  console.debug("Creating overlay:", entry.name || entry.id, mode, entry.url, entry.where ?? "");
+
+  // Track each per-feature Leaflet layer for labeling (avoids layer.eachLayer())
+  const featureLayers = new Set();
+
+  // Build group so layer control can toggle everything together
+  const layerGroup = L.layerGroup();
+
+  // Styles read the active profile and opacity, so features drawn later (pans) match
+  let profile = "light";
+  /** @type {Theme|null} */ let theme = null; // palette / high-contrast on top of the profile
+  let opacity = 1; // layer-control slider, scales stroke and fill opacity
+  const hasCasing = resolveOverlayStyles(entry, profile).casing != null;
+  const faded = (style) =>
+    opacity === 1
+      ? style
+      : {
+          ...style,
+          opacity: (style.opacity ?? 1) * opacity,
+          fillOpacity: (style.fillOpacity ?? 0.2) * opacity,
+        };
+  const strokeStyle = (feature) =>
+    faded(
+      themedStyle(
+        {
+          ...resolveOverlayStyles(entry, profile).stroke,
+          ...symbolClassFor(entry, feature)?.style,
+          ...PATH_DEFAULTS,
+        },
+        theme
+      )
+    );
+  const casingStyle = () =>
+    faded(
+      themedStyle(
+        { ...resolveOverlayStyles(entry, profile).casing, ...PATH_DEFAULTS },
+        theme,
+        "casing"
+      )
+    );
+
+  // Point features (e.g. transit stops) draw as circle markers sized by style.radius
+  const pointLayer = (style, extra) => (feature, latlng) =>
+    L.circleMarker(latlng, { ...layerOpts, ...style(feature), ...extra });
+
+  // Spatial clip from entry.clip; null keeps every feature
+  /** @type {GeoJSON.Geometry[]|null} */ let clipGeometries = null;
+  const keepFeature = (f) =>
+    !clipGeometries || clipGeometries.some((g) => geometryTouches(f.geometry, g));
+
+  // Loading / retry state goes to LayerStatusControl; snapshot fallbacks to the banner
+  const title = entry.name || entry.id || "Overlay";
+  const statusInfo = { key: `overlay:${entry.id || title}`, name: title };
+  const reportFallback = (err) =>
+    map.fire("app:error", {
+      message: `${title}: live service query failed (${
+        err?.message || err
+      }); showing the saved snapshot.`,
+      level: "warning",
+    });
+
+  /** @type {L.Layer|null} */ let layer = null; // main stroke
+  /** @type {L.Layer|null} */ let casingLayer = null; // optional underlay
+
+  // ----- Labeling logic ------------------------------------------------------
+
+  const labelCfg = entry.label || null;
+
+  /**
+   * Label candidates for the shared collision pass (see layoutLabels).
+   * Per-CPA CSV MinZoom/Hidden/Anchor win over the overlay-wide settings.
+   * @returns {LabelCandidate[]}
+   */
+  function labelCandidates() {
+    const zoom = map.getZoom();
+    const priority = Number(labelCfg?.priority ?? 0);
+    const out = [];
+    featureLayers.forEach((lyr) => {
+      if (!lyr.getTooltip()) return;
+      const feature = lyr?.feature;
+      const row = labelOverrideForFeature(entry, feature);
+      out.push({
+        layer: lyr,
+        text: labelVisibleAt(entry, feature, zoom) ? labelTextFor(entry, feature) : null,
+        latlng: row?.anchor ? L.latLng(row.anchor) : labelAnchorFor(feature),
+        priority,
+        size: featureArea(feature),
+      });
+    });
+    return out;
+  }
+
+  function updateLabels() {
+    scheduleLabelLayout(map);
+  }
+
+  // Expose hooks for the shared label layout and CSV refresh
+  layerGroup.labelCandidates = labelCandidates;
+  layerGroup.refreshLabels = updateLabels;
+
+  /** Called once per feature as it becomes a Leaflet layer */
+  function onEachFeature(feature, lyr) {
+    // Track the Leaflet layer so we can refresh labels later
+    featureLayers.add(lyr);
+
+    // Bind a permanent tooltip if labeling is configured for this overlay
+    if (labelCfg) {
+      lyr.bindTooltip("", {
+        permanent: true,
+        direction: "center",
+        className: "np-label-tooltip",
+        opacity: 1,
+      });
+    }
+
+    // Click-to-identify: the info panel listens for "cpa:select" on the map
+    if (entry.identify) {
+      lyr.on("click", (e) => map.fire("cpa:select", { feature, latlng: e.latlng }));
+    }
+  }
+
+  // ----- End labeling logic --------------------------------------------------
+
+  /** Add casing (underlay first) + stroke to the group; bind the optional popup. */
+  function attachLayers() {
+    if (casingLayer) layerGroup.addLayer(casingLayer);
+    layerGroup.addLayer(layer);
+
+    // Optional custom popup renderer
+    if (typeof entry.popup === "function") {
+      layer.bindPopup((lyr) => entry.popup(lyr?.feature?.properties || {}));
+    }
+  }
+
+  let loaded = false;
+  let resolveReady;
+  /** Resolves once features first load (e.g. for the label CSV report). */
+  layerGroup.ready = new Promise((resolve) => (resolveReady = resolve));
+
+  /** First successful load: stacking, labels, optional fit. */
+  function onFirstLoad(source) {
+    loaded = true;
+    resolveReady(layerGroup);
+    console.debug("Overlay loaded:", entry.name || entry.id, "from", source);
+
+    // Keep casing as an underlay after draw
+    if (casingLayer?.bringToBack) casingLayer.bringToBack();
+    if (layer.bringToFront) layer.bringToFront();
+
+    updateLabels();
+
+    // Fit to bounds after first load if enabled
+    if (entry.fitBounds !== false) fitToExtent();
+  }
+
+  /**
+   * Fit the map to the overlay's full extent. FeatureLayers only hold the
+   * cells in view, so ask the service for the extent of the where clause.
+   */
+  function fitToExtent() {
+    const fit = (b) => {
+      if (b?.isValid()) map.fitBounds(b, { padding: [20, 20] });
+      else {
+        map.fire("app:error", { message: `${title}: no features matched.`, level: "warning" });
+      }
+    };
+    if (typeof layer.getBounds === "function") return fit(layer.getBounds());
+    layer
+      .query()
+      .where(entry.where ?? "1=1")
+      .bounds((err, b) => (err ? console.warn("Extent query failed:", err) : fit(b)));
+  }
+
+  /**
+   * Snapshot mode: fetch once, add the same features to casing + stroke.
+   * @param {any} source Entry to load from (the entry itself, or its fallback)
+   * @param {any} [serviceErr] Live service error that led to the fallback
+   */
+  function buildSnapshotLayers(source, serviceErr) {
+    casingLayer = hasCasing
+      ? L.geoJSON(null, {
+          ...layerOpts,
+          style: casingStyle,
+          pointToLayer: pointLayer(casingStyle, { interactive: false }),
+          interactive: false,
+        })
+      : null;
+    layer = L.geoJSON(null, {
+      ...layerOpts,
+      style: strokeStyle,
+      pointToLayer: pointLayer(strokeStyle),
+      onEachFeature,
+    });
+    attachLayers();
+
+    let missingReported = false;
+    runWithRetry(map, statusInfo, (done) =>
+      loadOverlayFeatures(source, (err, fc, from, queryErr) => {
+        if (err) {
+          console.error(`Overlay "${entry.id}" failed to load:`, err);
+          // A missing file (e.g. a snapshot never generated) won't appear on retry
+          if (/^HTTP 404 for /.test(err?.message) && !missingReported) {
+            missingReported = true;
+            map.fire("app:error", { message: `${title}: data file not found (${err.message}).` });
+          }
+          return done(err);
+        }
+        if (queryErr || serviceErr) reportFallback(queryErr || serviceErr);
+        const kept = clipGeometries ? { ...fc, features: fc.features.filter(keepFeature) } : fc;
+        casingLayer?.addData(kept);
+        layer.addData(kept);
+        onFirstLoad(from);
+        done();
+      })
+    );
+  }
+
+  /**
+   * FeatureLayer mode: one L.esri.featureLayer queries the service per cell
+   * and draws the stroke; each stroke path carries its casing on and off the
+   * map, so every cell is requested once for both symbolizers.
+   */
+  function buildFeatureLayers() {
+    /** @type {Map<string|number, L.Layer>} casing path per feature id */
+    const casings = new Map();
+    casingLayer = hasCasing
+      ? L.geoJSON(null, {
+          ...layerOpts,
+          style: casingStyle,
+          pointToLayer: pointLayer(casingStyle, { interactive: false }),
+          onEachFeature: (feature, lyr) => casings.set(feature.id, lyr),
+          interactive: false,
+        })
+      : null;
+
+    // The casing goes under everything as its path is added (no restacking on pan)
+    const withCasing = (feature, lyr) => {
+      onEachFeature(feature, lyr);
+      if (!casingLayer) return;
+      lyr.on("add", () => {
+        if (!casings.has(feature.id)) casingLayer.addData(feature);
+        const casing = casings.get(feature.id);
+        casingLayer.addLayer(casing);
+        if (casing.bringToBack) casing.bringToBack();
+      });
+      lyr.on("remove", () => casingLayer.removeLayer(casings.get(feature.id)));
+    };
+
+    const options = {
+      url: entry.url,
+      where: entry.where ?? "1=1",
+      fields: entry.fields ?? ["*"],
+      attribution: entry.attribution || undefined,
+      ...layerOpts,
+      ...(entry.minZoom != null ? { minZoom: entry.minZoom } : {}),
+
+      // Geometry fidelity (prevents thin lines dropping out at large scales)
+      simplifyFactor: 0,
+      precision: 8,
+      style: strokeStyle,
+      pointToLayer: pointLayer(strokeStyle),
+      onEachFeature: withCasing,
+    };
+    layer = clipGeometries
+      ? clippedFeatureLayer({ ...options, keep: keepFeature })
+      : L.esri.featureLayer(options);
+    // Features dropped for good (e.g. a new where clause) drop their casing too
+    layer.on("removefeature", (e) => e.permanent && casings.delete(e.feature.id));
+    attachLayers();
+
+    layer.on("load", updateLabels); // features arrive per cell as the view moves
+
+    // The first load cycle without failed requests counts as loaded. Esri
+    // Leaflet fires "load" inside the last query's callback and that query's
+    // "requesterror" right after it, so the cycle is judged a microtask later.
+    const featureLayer = layer;
+    let cycleError = null; // last failed request of the current cycle
+    featureLayer.on("loading", () => (cycleError = null));
+    featureLayer.on("requesterror", (e) => (cycleError = e));
+    const onCycleLoad = () =>
+      Promise.resolve().then(() => {
+        if (loaded || layer !== featureLayer) return;
+        if (!cycleError) return onFirstLoad(entry.url);
+        if (!entry.fallbackUrl) return; // watchLayerStatus retries the cycle
+
+        // Snapshot fallback: swap this group's contents for static GeoJSON
+        // (same group, same OVERLAYS id); the FeatureLayer is not used again
+        featureLayer.off("load", onCycleLoad);
+        console.warn(
+          "FeatureLayer request failed; using snapshot:",
+          entry.fallbackUrl,
+          cycleError.message
+        );
+        layerGroup.clearLayers();
+        featureLayers.clear();
+        buildSnapshotLayers({ ...entry, type: "geojson", url: entry.fallbackUrl }, cycleError);
+      });
+    featureLayer.on("load", onCycleLoad);
+
+    // Spinner per query cycle; failed cycles re-query with backoff
+    watchLayerStatus(map, layer, statusInfo);
+    layer.on("requesterror", (e) =>
+      console.error(`Overlay "${entry.id}" request failed:`, e?.message)
+    );
+  }
+
+  function build() {
+    if (mode !== "snapshot") return buildFeatureLayers();
+    // One clip polygon also narrows the FeatureServer query itself
+    const one = clipGeometries?.length === 1 && entry.type === "featureServer";
+    buildSnapshotLayers(one ? { ...entry, intersects: clipGeometries[0] } : entry);
+  }
+
+  // Load on first show (hidden overlays cost nothing), after the clip areas
+  layerGroup.once("add", () => {
+    if (!entry.clip) return build();
+    Promise.resolve(entry.clip).then(
+      (features) => {
+        clipGeometries = features.map((f) => f.geometry).filter(Boolean);
+        build();
+      },
+      (err) => {
+        console.warn(`Overlay "${entry.id}" clip area unavailable:`, err);
+        map.fire("app:error", {
+          message: `${title}: focus area unavailable; showing features outside it too.`,
+          level: "warning",
+        });
+        build();
+      }
+    );
+  });
+  if (entry.visible !== false) layerGroup.addTo(map);
+
+  // Attach a contrast profile applicator (used on baselayerchange)
+  layerGroup.applyContrastProfile = function applyContrastProfile(next) {
+    profile = next;
+    layer?.setStyle(strokeStyle);
+    casingLayer?.setStyle(casingStyle);
+  };
+
+  // Theme (see ThemeControl): applied after the contrast profile
+  layerGroup.applyTheme = function applyTheme(next) {
+    theme = next;
+    layer?.setStyle(strokeStyle);
+    casingLayer?.setStyle(casingStyle);
+  };
+
+  // Opacity slider in the layer control (labels stay opaque)
+  layerGroup.setOpacity = function setOpacity(value) {
+    opacity = value;
+    layer?.setStyle(strokeStyle);
+    casingLayer?.setStyle(casingStyle);
+    return layerGroup;
+  };
+  layerGroup.getOpacity = () => opacity;
+
+  // Swatch rows for the layer control / legend (follow the active profile)
+  layerGroup.title = title;
+  layerGroup.legendItems = () =>
+    legendItemsFor(entry, profile).map((item) => ({
+      ...item,
+      style: themedStyle(item.style, theme),
+      casing: item.casing && themedStyle(item.casing, theme, "casing"),
+    }));
+
+  // Loaded features as GeoJSON (point-in-polygon lookups, search)
+  layerGroup.getFeatures = () => Array.from(featureLayers, (lyr) => lyr.feature).filter(Boolean);
+
+  // Register for external access (contrast/refresh)
+  if (entry.id) OVERLAYS[entry.id] = layerGroup;
+
+  return layerGroup;
+}
+
+/**
+ * Repo credit control shown separately from the attribution strip.
+ * Usage: new RepoCredit().addTo(map)
+ */
+const RepoCredit = L.Control.extend({
+  options: { position: "bottomleft" },
+  onAdd: function () {
+    const div = L.DomUtil.create("div", "np-repo-credit leaflet-control");
+    div.innerHTML =
+      '<a href="https://github.com/JoshALogs/north-park-leaflet-map" ' +
+      'target="_blank" rel="noopener" title="Open project repository">GitHub</a>';
+    // Prevent map drag/zoom on click
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  },
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { OVERLAYS, addOverlay });
+}
@@ -0,0 +1,181 @@
+/* ============================================================================
+ * print.js — ?print=<size>-<orientation> page layout with title block and legend
+ * ========================================================================== */
+
+"use strict";
+
+/** Page sizes (portrait width, height) as CSS lengths. */
+const PRINT_PAGE_SIZES = {
+  letter: ["8.5in", "11in"],
+  tabloid: ["11in", "17in"],
+  a4: ["210mm", "297mm"],
+};
+
+/** Page margin applied through @page. */
+const PRINT_MARGIN = "0.4in";
+
+/** QR code generator (global qrcode), loaded only in print mode. See vendor/. */
+const QR_CODE_URL = "vendor/qrcode-generator/qrcode.js";
+
+/**
+ * Parse a print layout such as "letter-landscape", "a4" or "tabloid-portrait"
+ * (orientation defaults to landscape).
+ * @param {string} value
+ * @returns {{id: string, size: string, orientation: 'portrait'|'landscape',
+ *   width: string, height: string}|null} null for unknown sizes/orientations
+ */
+function parsePrintLayout(value) {
+  const [size, orientation = "landscape", ...rest] = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .split("-");
+  const dims = PRINT_PAGE_SIZES[size];
+  if (!dims || rest.length || !["portrait", "landscape"].includes(orientation)) return null;
+  const [width, height] = orientation === "landscape" ? [dims[1], dims[0]] : dims;
+  return { id: `${size}-${orientation}`, size, orientation, width, height };
+}
+
+/** North arrow (the Web Mercator map is never rotated, so north is up). */
+const NORTH_ARROW_SVG =
+  '<svg viewBox="0 0 40 56" width="32" height="45" aria-hidden="true">' +
+  '<path d="M20 4 L34 44 L20 36 L6 44 Z" fill="#ffffff" stroke="#111827" stroke-width="2" ' +
+  'stroke-linejoin="round"/><path d="M20 4 L20 36 L6 44 Z" fill="#111827"/>' +
+  '<text x="20" y="55" text-anchor="middle" font-size="11" font-weight="700" ' +
+  'font-family="system-ui, sans-serif" fill="#111827">N</text></svg>';
+
+/**
+ * Turn the page into a printable sheet: the map sits in a frame with a title
+ * block (title, subtitle, date) above, a north arrow over its corner, and a
+ * side panel (below it in portrait) with the legend of the visible overlays,
+ * a QR code and link back to the live view, and the full attribution. The
+ * @page size follows the layout; on screen the sheet is previewed at size
+ * with a Print button. The title and subtitle can be edited before printing.
+ * Usage: createPrintPage(map, parsePrintLayout("letter-landscape"), { title, liveUrl })
+ * @param {L.Map} map
+ * @param {NonNullable<ReturnType<typeof parsePrintLayout>>} layout
+ * @param {{title: () => string, subtitle?: string, date?: boolean|string, qr?: boolean,
+ *   liveUrl: () => string}} opts date: true for today, or fixed text
+ * @returns {{refresh: () => void}}
+ */
+function createPrintPage(map, layout, opts) {
+  const container = map.getContainer();
+  const page = document.createElement("div");
+  page.className = "np-print-page";
+  page.setAttribute("data-orientation", layout.orientation);
+  page.style.setProperty("--np-page-w", layout.width);
+  page.style.setProperty("--np-page-h", layout.height);
+  page.style.setProperty("--np-page-margin", PRINT_MARGIN);
+
+  const date =
+    opts.date === false
+      ? ""
+      : typeof opts.date === "string"
+      ? opts.date
+      : new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+  page.innerHTML =
+    '<div class="np-print-toolbar">' +
+    '<button type="button" class="np-print-button">Print</button> ' +
+    '<a class="np-print-back">Back to the interactive map</a>' +
+    `<span>${escapeHtml(layout.id)}; the title and subtitle can be edited.</span></div>` +
+    '<header class="np-print-header">' +
+    '<h1 class="np-print-title" contenteditable="true" spellcheck="false"></h1>' +
+    `<p class="np-print-subtitle" contenteditable="true">${escapeHtml(opts.subtitle || "")}</p>` +
+    `<p class="np-print-date">${escapeHtml(date)}</p></header>` +
+    '<div class="np-print-frame"><div class="np-print-north">' +
+    `${NORTH_ARROW_SVG}<span class="np-sr-only">North is up</span></div></div>` +
+    '<aside class="np-print-side">' +
+    '<h2>Legend</h2><ul class="np-legend-list np-print-legend"></ul>' +
+    '<figure class="np-print-qr"><div class="np-print-qr-code"></div>' +
+    '<figcaption>Live map: <a class="np-print-link"></a></figcaption></figure>' +
+    "</aside>" +
+    '<footer class="np-print-credits"></footer>';
+
+  container.before(page);
+  page.querySelector(".np-print-frame").prepend(container);
+  document.documentElement.classList.add("np-print-mode");
+
+  // Page size and margins for the printer (one rule per page)
+  const style = document.createElement("style");
+  style.textContent = `@page { size: ${layout.width} ${layout.height}; margin: ${PRINT_MARGIN}; }`;
+  document.head.appendChild(style);
+
+  const title = page.querySelector(".np-print-title");
+  const legend = page.querySelector(".np-print-legend");
+  const qrBox = page.querySelector(".np-print-qr-code");
+  const link = page.querySelector(".np-print-link");
+  const back = page.querySelector(".np-print-back");
+  const credits = page.querySelector(".np-print-credits");
+  let titleEdited = false;
+  title.addEventListener("input", () => (titleEdited = true));
+  page.querySelector(".np-print-button").addEventListener("click", () => window.print());
+  page.querySelector(".np-print-qr").hidden = opts.qr === false;
+  qrBox.hidden = true;
+
+  const qr = opts.qr === false ? null : loadScript(QR_CODE_URL, "qrcode");
+  qr?.catch((err) => console.warn("QR code generator failed to load:", err));
+
+  let timer = null;
+  const refresh = () => {
+    timer = null;
+    if (!titleEdited) title.textContent = opts.title();
+
+    const groups = Object.values(OVERLAYS)
+      .filter((g) => g.legendItems && map.hasLayer(g))
+      .reverse();
+    legend.innerHTML = groups
+      .map((g) => {
+        const items = g.legendItems();
+        return items.length === 1
+          ? `<li>${legendSwatchesHtml([{ ...items[0], label: g.title }])}</li>`
+          : `<li><span class="np-legend-title">${escapeHtml(g.title)}</span>` +
+              `${legendSwatchesHtml(items)}</li>`;
+      })
+      .join("");
+
+    // Attribution control text: basemap and overlay credits plus APP_CONFIG.attribution
+    const attribution = map.attributionControl?.getContainer().textContent.trim() || "";
+    credits.textContent = attribution ? `Sources: ${attribution}` : "";
+
+    const url = opts.liveUrl();
+    link.href = back.href = url;
+    link.textContent = url.replace(/^https?:\/\//, "").replace(/#.*$/, "");
+    // Hidden until drawn: without the generator (or for a URL too long to encode)
+    // the sheet prints with just the link
+    qr?.then(
+      (qrcode) => {
+        try {
+          const code = qrcode(0, "M");
+          code.addData(url);
+          code.make();
+          qrBox.innerHTML = code.createSvgTag({
+            cellSize: 2,
+            margin: 0,
+            scalable: true,
+            alt: "QR code linking to this view of the live map",
+          });
+          qrBox.hidden = false;
+        } catch (err) {
+          console.warn("QR code not drawn:", err);
+          qrBox.hidden = true;
+        }
+      },
+      () => {}
+    );
+  };
+  const schedule = () => {
+    if (timer == null) timer = setTimeout(refresh, 100);
+  };
+
+  map.on(`moveend layeradd layerremove ${LEGEND_EVENTS}`, schedule);
+  window.addEventListener("beforeprint", () => {
+    map.invalidateSize();
+    refresh();
+  });
+  map.invalidateSize();
+  schedule();
+  return { refresh };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { parsePrintLayout });
+}
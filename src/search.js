@@ -0,0 +1,144 @@
+/* ============================================================================
+ * search.js — pluggable geocoders + "which plan area?" control
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * Geocoder factories by config name. A geocoder is
+ *   (query: string) => Promise<{latlng: [number, number], label: string} | null>
+ * APP_CONFIG.search.provider may name one of these or be such a function
+ * (e.g. a local stub for offline testing).
+ */
+const GEOCODERS = {
+  /**
+   * ArcGIS World Geocoder (findAddressCandidates; no token for non-stored use).
+   * @param {{url?: string, searchExtent?: string, countryCode?: string}} [opts]
+   */
+  arcgis(opts = {}) {
+    const url = opts.url || "https://geocode.arcgis.com/arcgis/rest/services/World/GeocodeServer";
+    return async (query) => {
+      const params = new URLSearchParams({
+        SingleLine: query,
+        maxLocations: "1",
+        outFields: "Match_addr",
+        f: "json",
+        ...(opts.searchExtent ? { searchExtent: opts.searchExtent } : {}),
+        ...(opts.countryCode ? { countryCode: opts.countryCode } : {}),
+      });
+      const res = await fetch(`${url}/findAddressCandidates?${params}`);
+      if (!res.ok) throw new Error(`Geocoder HTTP ${res.status}`);
+      const json = await res.json();
+      const best = json.candidates?.[0];
+      if (!best) return null;
+      return { latlng: [best.location.y, best.location.x], label: best.address || query };
+    };
+  },
+};
+
+/**
+ * Search control: geocode an address (or take lat/lng), drop a marker and
+ * report which Community Plan Area contains it.
+ * Usage: new SearchControl({ geocoder, overlayIds }).addTo(map)
+ */
+const SearchControl = L.Control.extend({
+  options: {
+    position: "topleft",
+    placeholder: "Address or lat, lng",
+    /** @type {(query: string) => Promise<{latlng: [number, number], label: string} | null>} */
+    geocoder: null,
+    /** OVERLAYS ids holding CPA polygons, in priority order */
+    overlayIds: [],
+    /**
+     * @type {((latlng: L.LatLng) => Promise<GeoJSON.Feature|null>)|null}
+     * Fallback when no loaded feature contains the result (see lookupCPAAt)
+     */
+    lookup: null,
+    /** Minimum zoom when jumping to a result */
+    zoom: 16,
+  },
+
+  onAdd: function (map) {
+    this._map = map;
+    const div = L.DomUtil.create("div", "np-search leaflet-control");
+    div.innerHTML =
+      '<form role="search">' +
+      `<input type="search" placeholder="${escapeHtml(this.options.placeholder)}" ` +
+      'aria-label="Search an address or lat, lng to find its Community Plan Area" />' +
+      '<button type="submit">Search</button>' +
+      "</form>" +
+      '<div class="np-search-status" role="status" aria-live="polite"></div>';
+
+    this._input = div.querySelector("input");
+    this._status = div.querySelector(".np-search-status");
+    div.querySelector("form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.search(this._input.value);
+    });
+
+    // Typing/clicking in the box should not pan or zoom the map
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  /**
+   * Run a search and show the result (also usable programmatically).
+   * @param {string} query
+   * @returns {Promise<void>}
+   */
+  search: async function (query) {
+    const text = String(query || "").trim();
+    if (!text) return;
+
+    this._setStatus("Searching…");
+    let result = null;
+    try {
+      const coords = parseLatLng(text);
+      result = coords
+        ? { latlng: coords, label: `${coords[0].toFixed(5)}, ${coords[1].toFixed(5)}` }
+        : await this.options.geocoder?.(text);
+    } catch (err) {
+      console.error("Geocoding failed:", err);
+      this._setStatus("Search failed. Try again.");
+      return;
+    }
+    if (!result) {
+      this._setStatus(`No match for "${text}".`);
+      return;
+    }
+
+    // Drawn features first; hidden or not-yet-loaded ones need the full data
+    const latlng = L.latLng(result.latlng);
+    let cpa = findCPAAt(latlng, this.options.overlayIds);
+    let unknown = false;
+    if (!cpa && this.options.lookup) {
+      this._setStatus("Finding the plan area…");
+      try {
+        cpa = await this.options.lookup(latlng);
+      } catch (err) {
+        console.error("Plan area lookup failed:", err);
+        unknown = true;
+      }
+    }
+    const area = cpa
+      ? cpaDisplayName(cpa.properties)
+      : unknown
+      ? "plan area unknown (plan data did not load)"
+      : "outside the Community Plan Areas";
+    const message = `${result.label} — ${area}`;
+
+    const map = this._map;
+    map.setView(latlng, Math.max(map.getZoom(), this.options.zoom));
+    if (!this._marker) this._marker = L.marker(latlng, { keyboard: true });
+    this._marker.setLatLng(latlng).addTo(map);
+    this._marker
+      .bindPopup(`${escapeHtml(result.label)} — <strong>${escapeHtml(area)}</strong>`)
+      .openPopup();
+    this._setStatus(message);
+  },
+
+  _setStatus: function (text) {
+    this._status.textContent = text;
+  },
+});
@@ -0,0 +1,77 @@
+/* ============================================================================
+ * themes.js — light / dark / high-contrast UI, color-blind-safe stroke palette
+ * ========================================================================== */
+
+"use strict";
+
+/** localStorage key for the user's theme choice ({mode, palette}). */
+const THEME_STORAGE_KEY = "north-park-map:theme";
+
+/**
+ * Theme picker (mode + color-blind-safe colors); calls onChange({mode, palette})
+ * with the raw choice ("auto" included). The bootstrap resolves and applies it.
+ * Usage: new ThemeControl({ onChange, palettes }).addTo(map).setValue(choice)
+ */
+const ThemeControl = L.Control.extend({
+  options: {
+    position: "bottomleft",
+    /** @type {((choice: {mode: string, palette: string}) => void)|null} */
+    onChange: null,
+    /** Offer the color-blind-safe checkbox (a "color-blind" palette exists) */
+    colorBlind: true,
+  },
+
+  onAdd: function () {
+    const labels = { auto: "Auto", light: "Light", dark: "Dark", "high-contrast": "High contrast" };
+    const div = L.DomUtil.create("div", "np-theme leaflet-control");
+    div.innerHTML =
+      '<label for="np-theme-select">Theme</label><select id="np-theme-select">' +
+      THEME_MODES.map((m) => `<option value="${m}">${labels[m]}</option>`).join("") +
+      "</select>" +
+      (this.options.colorBlind
+        ? '<label><input type="checkbox" data-palette> Color-blind safe</label>'
+        : "");
+    this._select = div.querySelector("select");
+    this._palette = div.querySelector("[data-palette]");
+    const changed = () =>
+      this.options.onChange?.({
+        mode: this._select.value,
+        palette: this._palette?.checked ? "color-blind" : "default",
+      });
+    this._select.addEventListener("change", changed);
+    this._palette?.addEventListener("change", changed);
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  },
+
+  /** @param {{mode: string, palette: string}} choice */
+  setValue: function (choice) {
+    this._select.value = choice.mode;
+    if (this._palette) this._palette.checked = choice.palette === "color-blind";
+    return this;
+  },
+});
+
+/**
+ * Saved theme choice, or null (none saved, storage blocked or unreadable).
+ * @returns {{mode: string, palette: string}|null}
+ */
+function loadThemeChoice() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY) || "null");
+    return saved && THEME_MODES.includes(saved.mode) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/** @param {{mode: string, palette: string}} choice */
+function saveThemeChoice(choice) {
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(choice));
+  } catch (err) {
+    console.warn("Theme not saved:", err);
+  }
+}
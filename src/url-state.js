@@ -0,0 +1,101 @@
+/* ============================================================================
+ * url-state.js — URL state (deep links) and "lat, lng" text
+ * ========================================================================== */
+
+"use strict";
+
+/**
+ * @typedef {Object} UrlState
+ * @property {{center: [number, number], zoom: number}} [view]
+ * @property {string} [base] Basemap id
+ * @property {string[]} [overlays] Visible overlay ids
+ * @property {string} [focus] Emphasized CPA name (see APP_CONFIG.focus)
+ */
+
+/**
+ * Parse deep-link state from a URL hash or query string.
+ * Format: map=<zoom>/<lat>/<lng>&base=<basemap id>&overlays=<id>,<id>&focus=<cpname>
+ * Malformed parts are ignored; an empty "overlays=" means "all overlays off".
+ * @param {string} str location.hash or location.search (leading "#"/"?" optional)
+ * @returns {UrlState}
+ */
+function parseUrlState(str) {
+  const params = new URLSearchParams(String(str || "").replace(/^[#?]/, ""));
+  const state = {};
+
+  const view = params.get("map");
+  if (view) {
+    const [zoom, lat, lng] = view.split("/").map(Number);
+    if ([zoom, lat, lng].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      state.view = { center: [lat, lng], zoom };
+    }
+  }
+
+  if (params.get("base")) state.base = params.get("base");
+  if (params.get("focus")) state.focus = params.get("focus");
+
+  if (params.has("overlays")) {
+    state.overlays = params
+      .get("overlays")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+  return state;
+}
+
+/**
+ * Serialize state into a hash string (inverse of parseUrlState).
+ * @param {UrlState} state
+ * @returns {string} e.g. "#map=15/32.74500/-117.12900&base=imagery&overlays=north-park"
+ */
+function formatUrlState(state) {
+  const parts = [];
+  if (state.view) {
+    const [lat, lng] = state.view.center;
+    parts.push(`map=${state.view.zoom}/${lat.toFixed(5)}/${lng.toFixed(5)}`);
+  }
+  if (state.base) parts.push(`base=${encodeURIComponent(state.base)}`);
+  if (state.focus) parts.push(`focus=${encodeURIComponent(state.focus)}`);
+  if (state.overlays) parts.push(`overlays=${state.overlays.map(encodeURIComponent).join(",")}`);
+  return "#" + parts.join("&");
+}
+
+/**
+ * Parse "lat, lng" (comma or space separated) without geocoding.
+ * @param {string} text
+ * @returns {[number, number]|null}
+ */
+function parseLatLng(text) {
+  const m = String(text).match(/^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lng = Number(m[2]);
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? [lat, lng] : null;
+}
+
+/**
+ * Read deep-link state from the current location.
+ * The query string lets embedders set a start state in the iframe src
+ * (e.g. ?base=imagery); the hash wins where both are present.
+ * @returns {UrlState}
+ */
+function readUrlState() {
+  return { ...parseUrlState(window.location.search), ...parseUrlState(window.location.hash) };
+}
+
+/**
+ * Write state to the hash without adding a history entry per pan/zoom.
+ * replaceState does not fire "hashchange", so this cannot loop back.
+ * @param {UrlState} state
+ */
+function writeUrlState(state) {
+  const hash = formatUrlState(state);
+  if (hash !== window.location.hash) {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  Object.assign(module.exports, { parseUrlState, formatUrlState, parseLatLng });
+}
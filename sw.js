@@ -0,0 +1,230 @@
+/* ============================================================================
+ * sw.js — service worker: app shell, CPA query and basemap tile caching
+ * - Registered by src/offline-cache.js (registerServiceWorker) as sw.js?v=<version>&...
+ *   where v combines APP_CONFIG.cache.version with a hash of APP_CONFIG, so
+ *   any config change installs a new worker and drops the old caches
+ * - App shell (same origin + unpkg libraries): stale-while-revalidate
+ * - FeatureServer metadata/queries: stale-while-revalidate, refetched first
+ *   once older than maxAge (cached copy used if the network fails or stalls)
+ * - Basemap tiles: cache-first, oldest entries trimmed past maxTiles; opaque
+ *   (no-CORS) tiles go to their own, smaller cache (see MAX_OPAQUE_TILES)
+ * - A failed cache write (e.g. QuotaExceededError) never fails the request:
+ *   the network response is returned uncached
+ * Only GET requests are cached; POST queries (long geometries) pass through.
+ * ========================================================================== */
+
+"use strict";
+
+const PARAMS = new URL(self.location.href).searchParams;
+const VERSION = PARAMS.get("v") || "1";
+const MAX_AGE_MS = Number(PARAMS.get("maxAge") || 24) * 3600 * 1000;
+const MAX_TILES = Number(PARAMS.get("tiles") || 1000);
+/** Chrome counts every opaque response as several MB of quota, whatever its size. */
+const MAX_OPAQUE_TILES = Number(PARAMS.get("opaqueTiles") || 100);
+
+/** Cache names; anything else starting with "np-" is deleted on activate. */
+const CACHES = {
+  shell: `np-shell-${VERSION}`,
+  data: `np-data-${VERSION}`,
+  tiles: `np-tiles-${VERSION}`,
+  opaqueTiles: `np-opaque-${VERSION}`,
+};
+
+/** Precached on install so a repeat visit can start offline. */
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "config.js",
+  "src/map.js",
+  "src/url-state.js",
+  "src/layer-status.js",
+  "src/basemaps.js",
+  "src/overlay-styles.js",
+  "src/overlays.js",
+  "src/label-csv.js",
+  "src/geometry.js",
+  "src/labels.js",
+  "src/search.js",
+  "src/identify.js",
+  "src/keyboard.js",
+  "src/focus.js",
+  "src/compare.js",
+  "src/history.js",
+  "src/neighbors.js",
+  "src/themes.js",
+  "src/legend.js",
+  "src/export.js",
+  "src/measure.js",
+  "src/print.js",
+  "src/embed-api.js",
+  "src/config-validation.js",
+  "src/offline-cache.js",
+  "src/diagnostics.js",
+  "main.js",
+  "embed.js",
+  "data/cpa-labels.csv",
+  "vendor/polygon-clipping/polygon-clipping.umd.min.js",
+  "vendor/qrcode-generator/qrcode.js",
+];
+
+/** Third-party hosts whose files are part of the shell (Leaflet, Esri Leaflet). */
+const SHELL_HOSTS = ["unpkg.com"];
+
+/** Header recording when a response was cached (for maxAge). */
+const CACHED_AT = "x-np-cached-at";
+
+/** How long a stale cached copy waits on the network before it is served. */
+const NETWORK_TIMEOUT_MS = 4000;
+
+const isFeatureRequest = (url) => /\/(Feature|Map)Server\/\d+(\/query)?\/?$/.test(url.pathname);
+
+const isTileRequest = (url) =>
+  /\/tile\/\d+\/\d+\/\d+/.test(url.pathname) || // ArcGIS tiled + vector tile services
+  /\/\d+\/\d+\/\d+\.(png|jpe?g|webp|pbf)$/.test(url.pathname) || // XYZ templates
+  /\/ImageServer\/exportImage$/.test(url.pathname);
+
+self.addEventListener("install", (event) => {
+  // One missing file must not block the rest of the shell
+  event.waitUntil(
+    caches
+      .open(CACHES.shell)
+      .then((cache) =>
+        Promise.all(
+          SHELL_FILES.map((file) =>
+            cache.add(file).catch((err) => console.warn("Not precached:", file, err))
+          )
+        )
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = new Set(Object.values(CACHES));
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("np-") && !current.has(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (isFeatureRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.data, MAX_AGE_MS));
+  } else if (isTileRequest(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin || SHELL_HOSTS.includes(url.host)) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.shell, Infinity));
+  }
+});
+
+/**
+ * Copy of a response carrying the time it was cached.
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT, String(Date.now()));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Serve the cached copy while it is younger than maxAgeMs and refresh it in
+ * the background; otherwise go to the network, falling back to the stale copy
+ * when the request fails or takes longer than NETWORK_TIMEOUT_MS.
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ * @param {number} maxAgeMs
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName, maxAgeMs) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) await cachePut(cache, request, stamped(response.clone()));
+    return response;
+  });
+
+  const age = cached ? Date.now() - Number(cached.headers.get(CACHED_AT) || 0) : Infinity;
+  if (cached && age <= maxAgeMs) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  if (!cached) return network;
+
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+  event.waitUntil(network.catch(() => {}));
+  return Promise.race([network.catch(() => cached), timeout]);
+}
+
+/**
+ * Store a response; false (and a console warning) when the write fails, e.g.
+ * with QuotaExceededError, so callers still return the network response.
+ * @param {Cache} cache
+ * @param {Request} request
+ * @param {Response|Promise<Response>} response
+ * @returns {Promise<boolean>}
+ */
+async function cachePut(cache, request, response) {
+  try {
+    await cache.put(request, await response);
+    return true;
+  } catch (err) {
+    console.warn("Not cached:", request.url, err);
+    return false;
+  }
+}
+
+/**
+ * Tiles: cached copy if present, else fetch and keep the newest MAX_TILES
+ * (MAX_OPAQUE_TILES for opaque responses, kept in their own cache).
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: CACHES.tiles });
+  if (cached) return cached;
+  const cachedOpaque = await caches.match(request, { cacheName: CACHES.opaqueTiles });
+  if (cachedOpaque) return cachedOpaque;
+
+  const response = await fetch(request);
+  // <img> tiles without CORS come back opaque (status 0) but are still usable
+  const opaque = response.type === "opaque";
+  if (response.ok || opaque) {
+    const limit = opaque ? MAX_OPAQUE_TILES : MAX_TILES;
+    const cache = await caches.open(opaque ? CACHES.opaqueTiles : CACHES.tiles);
+    if (limit > 0 && (await cachePut(cache, request, response.clone()))) {
+      trimCache(cache, limit).catch(() => {});
+    }
+  }
+  return response;
+}
+
+/**
+ * Delete the oldest entries (cache keys are in insertion order).
+ * @param {Cache} cache
+ * @param {number} limit
+ */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - limit))) await cache.delete(key);
+}
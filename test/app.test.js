@@ -0,0 +1,198 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, waitFor, nextEvent } = require("./harness");
+
+/** Fixture bounds (scripts/fixtures/cpas.geojson is a grid of 0.03° x 0.025° cells). */
+const NORTH_PARK = [
+  [32.7325, -117.144],
+  [32.7575, -117.114],
+];
+const GOLDEN_HILL = [
+  [32.7075, -117.144],
+  [32.7325, -117.114],
+];
+
+const names = (group) =>
+  [...group.labelCandidates()].map((c) => c.layer.feature.properties.cpname).sort();
+const decoded = (requests) => requests.map((url) => decodeURIComponent(url));
+
+test("overlays load from the FeatureServer with the focus and context where clauses", async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { OVERLAYS } = app.helpers;
+  await Promise.all([OVERLAYS["cpas-context"].ready, OVERLAYS["north-park"].ready]);
+
+  const queries = decoded(app.requests).filter((url) => url.includes("/FeatureServer/0/query"));
+  assert.ok(queries.some((url) => url.includes("where=cpname <> 'NORTH PARK'")));
+  assert.ok(queries.some((url) => url.includes("where=cpname = 'NORTH PARK'")));
+
+  await waitFor(() => names(OVERLAYS["north-park"]).length);
+  assert.deepEqual(names(OVERLAYS["north-park"]), ["NORTH PARK"]);
+  assert.equal(names(OVERLAYS["cpas-context"]).length, 8);
+  assert.ok(!names(OVERLAYS["cpas-context"]).includes("NORTH PARK"));
+  assert.deepEqual(app.errors, []);
+});
+
+test("fitBounds: the view fits the focus plan area once it loads", async (t) => {
+  const app = await startApp({ search: "?focus=GREATER%20GOLDEN%20HILL" });
+  t.after(app.close);
+  const { L } = app.window;
+  const target = L.latLngBounds(GOLDEN_HILL);
+  assert.ok(!app.map.getBounds().contains(target), "starts on the config center");
+
+  await waitFor(() => app.map.getBounds().contains(target));
+  assert.ok(app.map.getBounds().contains(target));
+  assert.ok(app.map.getCenter().distanceTo(target.getCenter()) < 200, "centered on it");
+  // FeatureLayer mode asks the service for the extent of the where clause
+  assert.ok(
+    decoded(app.requests).some(
+      (url) => url.includes("returnExtentOnly=true") && url.includes("GREATER GOLDEN HILL")
+    )
+  );
+  assert.deepEqual(app.errors, []);
+});
+
+test("fitBounds: a deep-linked view is kept", async (t) => {
+  const app = await startApp({ hash: "#map=13/32.77000/-117.16000" });
+  t.after(app.close);
+  await app.helpers.OVERLAYS["north-park"].ready;
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  assert.equal(app.map.getZoom(), 13);
+  assert.ok(app.map.getCenter().distanceTo([32.77, -117.16]) < 1);
+  assert.ok(!decoded(app.requests).some((url) => url.includes("returnExtentOnly=true")));
+});
+
+test("contrast profile follows the basemap on baselayerchange", async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { OVERLAYS } = app.helpers;
+  await Promise.all([OVERLAYS["cpas-context"].ready, OVERLAYS["north-park"].ready]);
+  await waitFor(() => names(OVERLAYS["north-park"]).length);
+
+  const weights = () => ({
+    focus: [...OVERLAYS["north-park"].labelCandidates()][0].layer.options.weight,
+    context: [...OVERLAYS["cpas-context"].labelCandidates()][0].layer.options.weight,
+  });
+  const chooseBasemap = async (name) => {
+    const label = [
+      ...app.window.document.querySelectorAll(".leaflet-control-layers-base label"),
+    ].find((el) => el.textContent.trim() === name);
+    assert.ok(label, `layer control lists ${name}`);
+    const profile = nextEvent(app.map, "contrastprofile");
+    label.querySelector("input").click();
+    return (await profile).profile;
+  };
+
+  // Weights from styles.light / styles.imagery in config.js
+  assert.deepEqual(weights(), { focus: 3, context: 2.25 });
+  assert.equal(await chooseBasemap("Imagery (SANDAG 2023 9in)"), "imagery");
+  assert.deepEqual(weights(), { focus: 4, context: 3 });
+  assert.equal(await chooseBasemap("Dark Gray Canvas"), "imagery");
+  assert.equal(await chooseBasemap("OpenStreetMap"), "light");
+  assert.deepEqual(weights(), { focus: 3, context: 2.25 });
+  assert.deepEqual(app.errors, []);
+});
+
+test("the details panel links to the plan page from the CSV Url column", async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { OVERLAYS } = app.helpers;
+  await OVERLAYS["north-park"].ready;
+  await waitFor(() => app.window.CPA_LABEL_OVERRIDES);
+  await waitFor(() => names(OVERLAYS["north-park"]).length);
+
+  const { layer } = [...OVERLAYS["north-park"].labelCandidates()][0];
+  const select = () =>
+    app.map.fire("cpa:select", { feature: layer.feature, latlng: app.map.getCenter() });
+  const link = () => app.window.document.querySelector(".np-info a[href]");
+
+  // The shipped CSV carries no links until they are checked (see README)
+  app.window.CPA_LABEL_OVERRIDES["NORTH PARK"].url = "";
+  select();
+  assert.equal(link(), null);
+
+  app.window.CPA_LABEL_OVERRIDES["NORTH PARK"].url = "https://example.org/plans/north-park";
+  select();
+  assert.equal(link()?.textContent, "Community plan page");
+  assert.equal(link().getAttribute("href"), "https://example.org/plans/north-park");
+});
+
+test("boundary history compares a saved version with the live layer", async (t) => {
+  const app = await startApp({
+    configure: (cfg) => {
+      cfg.history.enabled = true;
+      cfg.history.before = {
+        name: "Fixture",
+        type: "geojson",
+        url: "scripts/fixtures/cpas-before.geojson",
+      };
+    },
+  });
+  t.after(app.close);
+  // index.html's script tags don't run in the harness; hand over the vendored library
+  app.window.polygonClipping = require("../vendor/polygon-clipping/polygon-clipping.umd.min.js");
+  const { document } = app.window;
+
+  const toggle = document.querySelector(".np-history-toggle");
+  assert.equal(toggle.textContent, "Boundary changes");
+  toggle.click();
+  await waitFor(() => document.querySelector(".np-history-body tbody tr"));
+  const table = [...document.querySelectorAll(".np-history-body tbody tr")].map((tr) =>
+    [...tr.children].map((cell) => cell.textContent)
+  );
+
+  // The fixture's North Park / City Heights line sits 0.004° west of the live one
+  assert.deepEqual(
+    table.map(([name]) => name),
+    ["MID-CITY:CITY HEIGHTS", "NORTH PARK"].sort()
+  );
+  const net = Object.fromEntries(table.map(([name, , , n]) => [name, n]));
+  assert.match(net["NORTH PARK"], /^\+\d/);
+  assert.match(net["MID-CITY:CITY HEIGHTS"], /^−\d/);
+  assert.match(
+    document.querySelector(".np-history-status").textContent,
+    /2 plan area\(s\) changed/
+  );
+  assert.deepEqual(app.errors, []);
+});
+
+test("plan area table keeps keyboard focus on its row across updates", async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { document } = app.window;
+  const { OVERLAYS } = app.helpers;
+  await Promise.all([OVERLAYS["cpas-context"].ready, OVERLAYS["north-park"].ready]);
+  const button = (name) =>
+    [...document.querySelectorAll(".np-cpa-table [data-index]")].find(
+      (b) => b.textContent === name
+    );
+  await waitFor(() => button("UPTOWN"));
+  const settle = (ms = 200) => new Promise((resolve) => setTimeout(resolve, ms));
+  await settle(500); // initial loads and fitBounds
+
+  // Basemap tiles settling don't rebuild the table
+  const uptown = button("UPTOWN");
+  app.map.fire("layer:status", { key: "basemap:osm", name: "OpenStreetMap", state: "ready" });
+  await settle();
+  assert.equal(button("UPTOWN"), uptown);
+
+  // Selecting marks the row; details take focus and give it back on close
+  uptown.focus();
+  uptown.click();
+  await settle();
+  assert.equal(button("UPTOWN"), uptown, "not rebuilt on select");
+  assert.equal(uptown.closest("tr").getAttribute("aria-current"), "true");
+  assert.equal(document.activeElement.className, "np-info-title");
+  document.querySelector(".np-info-close").click();
+  assert.equal(document.activeElement, uptown);
+
+  // An overlay update rebuilds the rows; focus follows the plan area
+  app.map.fire("layer:status", { key: "overlay:cpas-context", name: "Context", state: "ready" });
+  await settle();
+  assert.notEqual(button("UPTOWN"), uptown);
+  assert.equal(document.activeElement, button("UPTOWN"));
+  assert.equal(button("UPTOWN").closest("tr").getAttribute("aria-current"), "true");
+});
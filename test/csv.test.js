@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./harness");
+
+// Pure helpers: required directly, without jsdom or Leaflet
+const {
+  parseCSV,
+  formatCSV,
+  parseLabelCSV,
+  validateLabelOverrides,
+} = require("../src/label-csv.js");
+
+test("parseCSV: quoted fields, escaped quotes and line breaks inside quotes", () => {
+  const rows = parseCSV('a,"b,c","say ""hi"""\r\n"line\nbreak",,x\n');
+  assert.deepEqual(rows, [
+    ["a", "b,c", 'say "hi"'],
+    ["line\nbreak", "", "x"],
+  ]);
+});
+
+test("parseCSV: BOM, no trailing newline, empty input", () => {
+  assert.deepEqual(parseCSV("\uFEFFCPNAME,Label\nA,B"), [
+    ["CPNAME", "Label"],
+    ["A", "B"],
+  ]);
+  assert.deepEqual(parseCSV(""), []);
+});
+
+test("formatCSV round-trips through parseCSV", () => {
+  const rows = [
+    ["Plan area", "Shared (mi)"],
+    ['MID-CITY: "CITY HEIGHTS"', "1.25"],
+    ["A, B", "line\nbreak"],
+  ];
+  assert.deepEqual(parseCSV(formatCSV(rows)), rows);
+});
+
+test("parseLabelCSV: columns by header, in any case and order", () => {
+  const { overrides, columns } = parseLabelCSV(
+    "url,cpname,LABEL,hidden,minzoom,anchor\n" +
+      'https://example.org/np,North Park,North|Park,,13,"32.745, -117.129"\n' +
+      ",uptown,,yes,,\n"
+  );
+  assert.deepEqual(columns, ["URL", "CPNAME", "LABEL", "HIDDEN", "MINZOOM", "ANCHOR"]);
+  assert.deepEqual(overrides["NORTH PARK"], {
+    label: "North|Park",
+    minZoom: 13,
+    hidden: false,
+    anchor: [32.745, -117.129],
+    url: "https://example.org/np",
+    line: 2,
+  });
+  assert.equal(overrides.UPTOWN.hidden, true);
+  assert.equal(overrides.UPTOWN.minZoom, null);
+  assert.equal(overrides.UPTOWN.label, "");
+});
+
+test("parseLabelCSV: duplicates (later row wins) and invalid values are reported", () => {
+  const parsed = parseLabelCSV(
+    "CPNAME,Label,MinZoom,Anchor\n" +
+      "NORTH PARK,First,,\n" +
+      "\n" +
+      "north park,Second,soon,nowhere\n"
+  );
+  assert.equal(parsed.overrides["NORTH PARK"].label, "Second");
+  assert.deepEqual(parsed.duplicates, [{ cpname: "NORTH PARK", line: 4 }]);
+  assert.deepEqual(parsed.invalid, [
+    { cpname: "NORTH PARK", line: 4, column: "MinZoom", value: "soon" },
+    { cpname: "NORTH PARK", line: 4, column: "Anchor", value: "nowhere" },
+  ]);
+
+  const report = validateLabelOverrides(parsed, ["North Park", "Uptown"]);
+  assert.deepEqual(report.unmatched, []);
+  assert.deepEqual(report.missing, ["UPTOWN"]);
+});
+
+test("data/cpa-labels.csv parses cleanly", () => {
+  const text = fs.readFileSync(path.join(ROOT, "data", "cpa-labels.csv"), "utf8");
+  const parsed = parseLabelCSV(text);
+  assert.deepEqual(parsed.duplicates, []);
+  assert.deepEqual(parsed.invalid, []);
+  assert.ok(parsed.overrides["NORTH PARK"], "NORTH PARK row");
+  for (const row of Object.values(parsed.overrides)) {
+    if (row.url) assert.match(row.url, /^https:\/\//, `line ${row.line}`);
+  }
+});
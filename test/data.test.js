@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { ROOT, startApp, waitFor } = require("./harness");
+
+/** APP_CONFIG as the browser sees it (config.js in a stand-in window). */
+function loadConfig() {
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, "config.js"), "utf8"), sandbox);
+  return sandbox.window.APP_CONFIG;
+}
+
+const config = loadConfig();
+const history = config.history?.enabled !== false ? config.history : null;
+const snapshots = [
+  ...config.layers.overlays.map((o) => o.fallbackUrl),
+  ...[history?.before, history?.after].flatMap((s) =>
+    s?.type === "geojson" ? [].concat(s.url) : [s?.fallbackUrl]
+  ),
+].filter(Boolean);
+
+test("the GeoJSON snapshots config.js points at are in data/", () => {
+  // Generated with network access: node scripts/snapshot-overlays.js
+  const missing = [...new Set(snapshots)].filter((file) => !fs.existsSync(path.join(ROOT, file)));
+  assert.deepEqual(missing, []);
+  for (const file of new Set(snapshots)) {
+    const fc = JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+    assert.equal(fc.type, "FeatureCollection", file);
+    assert.ok(fc.features.length, `${file} has features`);
+  }
+});
+
+test("a missing data file is reported in the banner", async (t) => {
+  const app = await startApp({
+    configure: (cfg) => {
+      const extra = { id: "extra", name: "Extra", type: "geojson", url: "data/missing.geojson" };
+      cfg.layers.overlays.push(extra);
+    },
+  });
+  t.after(app.close);
+  const banner = () => app.window.document.querySelector(".np-banner")?.textContent || "";
+
+  await waitFor(() => banner().includes("data file not found"));
+  assert.match(banner(), /Extra: data file not found \(HTTP 404 for data\/missing\.geojson\)/);
+  assert.ok(!banner().includes("Community Plan"), "the live overlays still load");
+});
+
+/** Point the focus overlay's snapshot at the mock server's own fixture. */
+const withFixtureSnapshot = (cfg) => {
+  cfg.layers.overlays.find((o) => o.id === "north-park").fallbackUrl =
+    "scripts/fixtures/cpas.geojson";
+};
+
+/** Fails the first query for the focus area, after `delay` ms. */
+const failFirstFocusQuery = (delay) => {
+  let seen = 0;
+  return async (params) => {
+    if (!params.get("where").startsWith("cpname =") || ++seen > 1) return false;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return true;
+  };
+};
+
+for (const [name, failQuery] of [
+  ["every query", () => true],
+  ["its first query", failFirstFocusQuery(0)],
+  // Answered after the others: Esri Leaflet fires "load" before its "requesterror"
+  ["its last query", failFirstFocusQuery(300)],
+]) {
+  test(
+    `the focus overlay falls back to its snapshot when ${name} fails`,
+    { timeout: 20000 },
+    async (t) => {
+      const app = await startApp({ configure: withFixtureSnapshot, failQuery });
+      t.after(app.close);
+      const banner = () => app.window.document.querySelector(".np-banner")?.textContent || "";
+      const group = app.helpers.OVERLAYS["north-park"];
+      const names = () => [...group.getFeatures().map((f) => f.properties.cpname)];
+
+      await group.ready;
+      assert.deepEqual(names(), ["NORTH PARK"], "ready waits for the snapshot");
+      assert.match(banner(), /live service query failed .*showing the saved snapshot/);
+
+      // Requests still in flight from the FeatureLayer change nothing
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      assert.deepEqual(names(), ["NORTH PARK"]);
+      assert.ok(!banner().includes("no features matched"), banner());
+    }
+  );
+}
+
+test(
+  "an overlay that keeps failing settles overlayReady (the embed ready event)",
+  { timeout: 60000 },
+  async (t) => {
+    const app = await startApp({ failQuery: () => true });
+    t.after(app.close);
+    const { overlayReady } = app.helpers;
+
+    // Automatic retries run 2 s, 5 s and 15 s apart before the final "error"
+    const error = await overlayReady(app.map, "north-park").then(
+      () => assert.fail("resolved without features"),
+      (err) => err
+    );
+    assert.equal(error.overlayId, "north-park");
+    assert.match(error.message, /request\(s\) failed/);
+  }
+);
@@ -0,0 +1,199 @@
+/* ============================================================================
+ * harness.js — run the app (or just the helpers in src/) inside jsdom
+ * - The app's own scripts run as classic scripts in index.html order, so the
+ *   modules in src/ share one global scope as they do in the browser
+ * - Leaflet and Esri Leaflet come from node_modules (index.html loads them
+ *   from unpkg); esri-leaflet-vector is stubbed, since MapLibre needs WebGL
+ * - startApp() serves the repo through scripts/mock-arcgis-server.js, so
+ *   every FeatureServer request and tile goes to the local stand-in
+ * - Canvas 2D is a no-op stub (jsdom has no canvas); there is no layout, so
+ *   element sizes are 0 except the map container, which reports MAP_SIZE
+ * ========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { createMockServer, loadFeatures, DEFAULT_DATA } = require("../scripts/mock-arcgis-server");
+
+const ROOT = path.resolve(__dirname, "..");
+
+/** Map container size in px (a laptop-sized map, as fitBounds and tile requests depend on it). */
+const MAP_SIZE = { width: 1024, height: 768 };
+
+const read = (file) => fs.readFileSync(file, "utf8");
+const LIBRARIES = [
+  require.resolve("leaflet/dist/leaflet-src.js"),
+  require.resolve("esri-leaflet/dist/esri-leaflet-debug.js"),
+].map(read);
+
+const INDEX = read(path.join(ROOT, "index.html"));
+
+/** index.html without its <script> tags (the harness runs them itself). */
+const PAGE = INDEX.replace(/<script[\s\S]*?<\/script>/g, "");
+
+/** The app's local scripts in load order: src/*.js, then main.js (config.js is run apart). */
+const APP_SCRIPTS = [...INDEX.matchAll(/<script[^>]*\ssrc="([^":]+)"/g)]
+  .map((m) => m[1])
+  .filter((src) => src !== "config.js");
+
+/** Canvas 2D context whose methods do nothing (enough for Leaflet's Canvas renderer). */
+function stubContext(canvas) {
+  const state = { canvas };
+  return new Proxy(state, {
+    get: (target, key) => (key in target ? target[key] : () => ({ width: 0 })),
+    set: (target, key, value) => ((target[key] = value), true),
+  });
+}
+
+/**
+ * A jsdom window with the browser APIs the app expects.
+ * @param {string} url Page URL
+ * @returns {{window: Window, errors: string[], run: (files: string[]) => void}}
+ *   errors: console.error output and script errors; run: execute repo files as
+ *   classic scripts (top-level declarations shared, as between <script> tags)
+ */
+function createWindow(url) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("error", (...args) => errors.push(args.map(String).join(" ")));
+  virtualConsole.on("jsdomError", (err) => {
+    if (!/^Not implemented/.test(err.message)) errors.push(err.stack || err.message);
+  });
+
+  const dom = new JSDOM(PAGE, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+  window.matchMedia = (media) => ({
+    media,
+    matches: false,
+    addEventListener() {},
+    removeEventListener() {},
+  });
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    return stubContext(this);
+  };
+  for (const [prop, key] of [
+    ["clientWidth", "width"],
+    ["clientHeight", "height"],
+  ]) {
+    Object.defineProperty(window.HTMLElement.prototype, prop, {
+      get() {
+        return this.id === "map" ? MAP_SIZE[key] : 0;
+      },
+    });
+  }
+  window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 0, height: 0 });
+  // Same fetch as the page would use, resolved against the page URL
+  window.fetch = (input, init) => fetch(new URL(String(input), window.location.href), init);
+
+  LIBRARIES.forEach((source) => window.eval(source));
+  window.eval("L.esri.Vector = { vectorTileLayer: function () { return L.layerGroup(); } };");
+  // Each file in src/ adds its helpers to module.exports when `module` exists
+  window.eval("var module = { exports: {} };");
+
+  const context = dom.getInternalVMContext();
+  const run = (files) =>
+    files.forEach((file) =>
+      new vm.Script(read(path.join(ROOT, file)), { filename: file }).runInContext(context)
+    );
+  return { window, errors, run };
+}
+
+/**
+ * The helpers exported by src/, without a config or the entry point.
+ * @returns {{helpers: Record<string, any>, window: Window}}
+ */
+function loadHelpers() {
+  const { window, run } = createWindow("http://localhost/");
+  run(APP_SCRIPTS.filter((file) => file !== "main.js"));
+  return { helpers: window.module.exports, window };
+}
+
+/**
+ * Start the mock server and load the app from it.
+ * @param {Object} [opts]
+ * @param {string} [opts.search] Query string, e.g. "?focus=..."
+ * @param {string} [opts.hash] Deep link, e.g. "#map=15/32.74/-117.13"
+ * @param {(config: any) => void} [opts.configure] Edit APP_CONFIG (after the mock overrides)
+ * @param {string[]} [opts.data] GeoJSON files for the mock FeatureServer
+ * @param {(params: URLSearchParams) => boolean|Promise<boolean>} [opts.failQuery] Queries the
+ *   mock answers with a 500 (see createMockServer)
+ * @returns {Promise<{window: Window, map: L.Map, helpers: Record<string, any>,
+ *   errors: string[], requests: string[], close: () => Promise<void>}>}
+ *   requests: every path and query string the mock server received
+ */
+async function startApp(opts = {}) {
+  const requests = [];
+  let pending = 0;
+  const server = createMockServer(loadFeatures(opts.data || [DEFAULT_DATA]), {
+    log: () => {},
+    failQuery: opts.failQuery,
+  });
+  server.on("request", (req, res) => {
+    requests.push(req.url);
+    pending++;
+    res.on("close", () => pending--);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const { window, errors, run } = createWindow(`${base}/${opts.search || ""}${opts.hash || ""}`);
+  let map = null;
+  window.L.Map.addInitHook(function () {
+    map = this;
+  });
+
+  // config.js as served by the mock, i.e. with its overrides appended
+  window.eval(await (await fetch(`${base}/config.js`)).text());
+  opts.configure?.(window.APP_CONFIG);
+  run(APP_SCRIPTS);
+
+  return {
+    window,
+    map,
+    helpers: window.module.exports,
+    errors,
+    requests,
+    // Let in-flight responses reach the page first (their handlers need the document)
+    close: async () => {
+      await waitFor(() => pending === 0);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      window.close();
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Resolve once `predicate` returns something truthy (checked every 20 ms).
+ * @template T
+ * @param {() => T} predicate
+ * @param {number} [timeout=5000]
+ * @returns {Promise<T>}
+ */
+async function waitFor(predicate, timeout = 5000) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = predicate();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Timed out after ${timeout} ms: ${predicate}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Resolve on the next `type` event from `target` (a Leaflet map or layer).
+ * @param {L.Evented} target
+ * @param {string} type
+ */
+const nextEvent = (target, type) => new Promise((resolve) => target.once(type, resolve));
+
+module.exports = { ROOT, MAP_SIZE, loadHelpers, startApp, waitFor, nextEvent };
@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadHelpers, startApp, waitFor } = require("./harness");
+
+const { helpers, window } = loadHelpers();
+const { labelTextFor, labelVisibleAt, parseLabelCSV } = helpers;
+
+window.CPA_LABEL_OVERRIDES = parseLabelCSV(
+  "CPNAME,Label,MinZoom,Hidden\n" +
+    "NORTH PARK,North|Park,,\n" +
+    "UPTOWN,,16,\n" +
+    "BALBOA PARK,,,yes\n" +
+    "GREATER GOLDEN HILL,,12,\n"
+).overrides;
+
+const feature = (cpname) => ({ type: "Feature", properties: { cpname }, geometry: null });
+
+test("labelTextFor: CSV override first, with | as a line break", () => {
+  const entry = { name: "Plans", label: { prop: "cpname", overrides: true } };
+  assert.equal(labelTextFor(entry, feature("North Park")), "North\nPark");
+});
+
+test("labelTextFor: overrides apply only when label.overrides is set", () => {
+  const entry = { name: "Plans", label: { prop: "cpname" } };
+  assert.equal(labelTextFor(entry, feature("NORTH PARK")), "NORTH PARK");
+});
+
+test("labelTextFor: an empty CSV label keeps the attribute value", () => {
+  const entry = { name: "Plans", label: { prop: "cpname", overrides: true } };
+  assert.equal(labelTextFor(entry, feature("UPTOWN")), "UPTOWN");
+});
+
+test("labelTextFor: attribute, then label.text, then the overlay name, then null", () => {
+  assert.equal(labelTextFor({ label: { prop: "cpname" } }, feature("UPTOWN")), "UPTOWN");
+  assert.equal(
+    labelTextFor({ name: "Plans", label: { prop: "cpname", text: "Plan area" } }, feature(null)),
+    "Plan area"
+  );
+  assert.equal(labelTextFor({ name: "Plans", label: { prop: "cpname" } }, feature(null)), "Plans");
+  assert.equal(labelTextFor({ name: "Plans" }, feature("UPTOWN")), "Plans");
+  assert.equal(labelTextFor({}, feature("UPTOWN")), null);
+});
+
+test("labelVisibleAt: label.minZoom gates every feature of the overlay", () => {
+  const entry = { label: { prop: "cpname", minZoom: 14 } };
+  assert.equal(labelVisibleAt(entry, feature("MISSION VALLEY"), 13), false);
+  assert.equal(labelVisibleAt(entry, feature("MISSION VALLEY"), 14), true);
+  assert.equal(labelVisibleAt({}, feature("MISSION VALLEY"), 18), false, "no label config");
+});
+
+test("labelVisibleAt: CSV MinZoom and Hidden win over label.minZoom", () => {
+  const entry = { label: { prop: "cpname", minZoom: 14, overrides: true } };
+  assert.equal(labelVisibleAt(entry, feature("UPTOWN"), 15), false);
+  assert.equal(labelVisibleAt(entry, feature("UPTOWN"), 16), true);
+  assert.equal(labelVisibleAt(entry, feature("GREATER GOLDEN HILL"), 12), true);
+  assert.equal(labelVisibleAt(entry, feature("BALBOA PARK"), 20), false);
+});
+
+test("labelVisibleAt: label.skipValues never label", () => {
+  const entry = { label: { prop: "cpname", skipValues: ["BALBOA PARK"] } };
+  assert.equal(labelVisibleAt(entry, feature("BALBOA PARK"), 18), false);
+  assert.equal(labelVisibleAt(entry, feature("UPTOWN"), 18), true);
+});
+
+test("label layout: minZoom closes labels below it and opens them at it", async (t) => {
+  const app = await startApp({
+    configure: (config) => {
+      config.layers.overlays.find((o) => o.id === "cpas-context").label.minZoom = 16;
+    },
+  });
+  t.after(app.close);
+  const { OVERLAYS } = app.helpers;
+  await Promise.all([OVERLAYS["cpas-context"].ready, OVERLAYS["north-park"].ready]);
+
+  // Spread: arrays from the page are from another realm (deepEqual compares prototypes)
+  const open = (id) =>
+    [...OVERLAYS[id].labelCandidates()]
+      .filter((c) => c.layer.isTooltipOpen())
+      .map((c) => c.layer.feature.properties.cpname);
+
+  await waitFor(() => open("north-park").length);
+  assert.ok(app.map.getZoom() < 16);
+  assert.deepEqual(open("cpas-context"), []);
+  assert.deepEqual(open("north-park"), ["NORTH PARK"]);
+
+  app.map.setZoom(16, { animate: false });
+  await waitFor(() => open("cpas-context").length);
+  assert.ok(open("cpas-context").every((name) => name !== "NORTH PARK"));
+  assert.deepEqual(app.errors, []);
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { ROOT, loadHelpers, startApp, waitFor } = require("./harness");
+
+const { helpers } = loadHelpers();
+/** neighborReport in this realm's arrays, so deepEqual compares values */
+const neighborReport = (...args) => [...helpers.neighborReport(...args)];
+
+const grid = JSON.parse(
+  fs.readFileSync(path.join(ROOT, "scripts", "fixtures", "cpas.geojson"), "utf8")
+).features;
+const northPark = grid.find((f) => f.properties.cpname === "NORTH PARK");
+
+/** A 0.01° square plan area whose west edge is at `west`, level with North Park. */
+const square = (cpname, west) => ({
+  type: "Feature",
+  properties: { cpname },
+  geometry: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [west, 32.74],
+        [west + 0.01, 32.74],
+        [west + 0.01, 32.75],
+        [west, 32.75],
+        [west, 32.74],
+      ],
+    ],
+  },
+});
+
+test("neighborReport: bordering areas by shared edge, corner-touching ones at distance 0", () => {
+  const rows = neighborReport(northPark, grid, 100);
+  const adjacent = rows.filter((r) => r.adjacent).map((r) => r.name);
+  assert.deepEqual([...adjacent].sort(), [
+    "GREATER GOLDEN HILL",
+    "MID-CITY:CITY HEIGHTS",
+    "MID-CITY:NORMAL HEIGHTS",
+    "UPTOWN",
+  ]);
+  // North Park's east and west edges are 0.025° of latitude long (~2.8 km)
+  const east = rows.find((r) => r.name === "MID-CITY:CITY HEIGHTS");
+  assert.ok(Math.abs(east.sharedMeters - 2780) < 20, String(east.sharedMeters));
+  assert.deepEqual(
+    rows.filter((r) => !r.adjacent).map((r) => [r.name, r.distanceMeters]),
+    [
+      ["BALBOA PARK", 0],
+      ["MID-CITY:KENSINGTON-TALMADGE", 0],
+      ["MISSION VALLEY", 0],
+      ["SOUTHEASTERN SAN DIEGO", 0],
+    ]
+  );
+  assert.equal(neighborReport(northPark, grid, 0).length, 4, "no ring: bordering areas only");
+});
+
+test("neighborReport: the ring keeps areas within the radius, near and far edges alike", () => {
+  // North Park's east edge is at -117.114; 0.001° of longitude is ~94 m here
+  const near = square("NEAR", -117.109); // ~470 m east
+  const far = square("FAR", -117.1); // ~1.3 km east
+  const names = (meters) =>
+    neighborReport(northPark, [near, far], meters).map((r) => [
+      r.name,
+      Math.round(r.distanceMeters),
+    ]);
+
+  assert.deepEqual(names(400), []);
+  assert.deepEqual(names(500), [["NEAR", 468]]);
+  assert.deepEqual(names(1400), [
+    ["NEAR", 468],
+    ["FAR", 1311],
+  ]);
+});
+
+test("the Neighbors panel refreshes on plan-area loads, not basemap tiles", async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { document } = app.window;
+  const { OVERLAYS } = app.helpers;
+  await Promise.all([OVERLAYS["cpas-context"].ready, OVERLAYS["north-park"].ready]);
+  const settle = (ms = 300) => new Promise((resolve) => setTimeout(resolve, ms));
+  await settle(500);
+
+  document.querySelector(".np-neighbors-toggle").click();
+  const firstRow = () => document.querySelector(".np-neighbors-body tbody tr");
+  await waitFor(firstRow);
+  assert.match(document.querySelector(".np-neighbors-status").textContent, /borders 4 plan area/);
+
+  const row = firstRow();
+  app.map.fire("layer:status", { key: "basemap:osm", name: "OpenStreetMap", state: "ready" });
+  await settle();
+  assert.equal(firstRow(), row, "basemap status: not recomputed");
+
+  app.map.fire("layer:status", { key: "overlay:cpas-context", name: "Context", state: "ready" });
+  await settle();
+  assert.notEqual(firstRow(), row, "overlay status: recomputed");
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { ROOT } = require("./harness");
+
+const SOURCE = fs.readFileSync(path.join(ROOT, "sw.js"), "utf8");
+
+/** In-memory Cache; put() throws QuotaExceededError while `full` is set. */
+class FakeCache {
+  constructor() {
+    this.entries = new Map();
+    this.full = false;
+  }
+  async match(request) {
+    return this.entries.get(request.url)?.clone();
+  }
+  async put(request, response) {
+    if (this.full) throw Object.assign(new Error("quota"), { name: "QuotaExceededError" });
+    this.entries.set(request.url, response);
+  }
+  async keys() {
+    return [...this.entries.keys()].map((url) => ({ url }));
+  }
+  async delete(request) {
+    return this.entries.delete(request.url);
+  }
+}
+
+/**
+ * Load sw.js in a stand-in worker scope.
+ * @param {(url: string) => Response} respond What the network returns
+ * @param {string} [query] sw.js query string
+ */
+function loadWorker(respond, query = "v=test") {
+  const stores = new Map();
+  const open = async (name) => {
+    if (!stores.has(name)) stores.set(name, new FakeCache());
+    return stores.get(name);
+  };
+  const listeners = {};
+  const self = {
+    location: new URL(`https://map.example/sw.js?${query}`),
+    addEventListener: (type, fn) => (listeners[type] = fn),
+  };
+  const caches = {
+    open,
+    match: async (request, { cacheName }) => (await open(cacheName)).match(request),
+  };
+  vm.runInNewContext(SOURCE, {
+    self,
+    caches,
+    fetch: async (request) => respond(request.url),
+    URL,
+    Headers,
+    Response,
+    console: { warn() {} },
+    setTimeout,
+  });
+
+  /** Dispatch a GET fetch event; resolves with the response the worker chose. */
+  const request = (url) =>
+    new Promise((resolve, reject) => {
+      listeners.fetch({
+        request: { url, method: "GET" },
+        respondWith: (promise) => Promise.resolve(promise).then(resolve, reject),
+        waitUntil: (promise) => promise.catch(() => {}),
+      });
+    });
+  return { request, stores };
+}
+
+const QUERY = "https://example.com/arcgis/rest/services/CPA/FeatureServer/0/query?where=1%3D1";
+const TILE = "https://tiles.example.com/12/700/1600.png";
+
+test("a cache write that fails still returns the network response", async () => {
+  const worker = loadWorker(() => new Response("{}", { status: 200 }));
+  const { stores } = worker;
+  for (const name of ["np-data-test", "np-tiles-test"]) {
+    const cache = new FakeCache();
+    cache.full = true;
+    stores.set(name, cache);
+  }
+
+  const query = await worker.request(QUERY);
+  assert.equal(query.status, 200);
+  assert.equal(await query.text(), "{}");
+
+  const tile = await worker.request(TILE);
+  assert.equal(tile.status, 200);
+  assert.equal(stores.get("np-tiles-test").entries.size, 0);
+});
+
+test("opaque tiles are kept in their own cache, up to opaqueTiles", async () => {
+  const opaque = () =>
+    Object.defineProperty(new Response(null, { status: 200 }), "type", { value: "opaque" });
+  const worker = loadWorker(opaque, "v=test&tiles=10&opaqueTiles=2");
+  for (let x = 0; x < 4; x++) await worker.request(`https://tiles.example.com/12/70${x}/1600.png`);
+  await new Promise((resolve) => setTimeout(resolve, 10)); // trimCache runs after the response
+
+  assert.deepEqual(
+    [...worker.stores.get("np-opaque-test").entries.keys()],
+    ["https://tiles.example.com/12/702/1600.png", "https://tiles.example.com/12/703/1600.png"]
+  );
+  assert.equal(worker.stores.get("np-tiles-test")?.entries.size ?? 0, 0);
+});